@@ -36,7 +36,7 @@ export default [
         input: "src/index.js",
         output: {
             name: "ShadowCard",
-            file: "dist/index.cjs.js",  // CommonJS output file
+            file: "dist/index.cjs",     // CommonJS output file (.cjs because the package is "type": "module")
             format: "cjs",              // CommonJS module format (require/module.exports)
             sourcemap: true
         },
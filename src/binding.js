@@ -0,0 +1,461 @@
+/**
+ * TemplateBinder - incremental data binding over a card's sanitized DOM
+ * Supported bindings:
+ * - data-field="a.b"        textContent from a dotted path (HTML from Markdown with data-format="markdown");
+ *                           the value, checked state or selected options of <input>, <select> and <textarea>
+ * - data-img="a.b"          <img> source from a URL or { src, alt, srcset, sizes }
+ * - {{ a.b }}               interpolation inside text nodes
+ * - data-bind-<attr>="a.b"  attribute value, passed through the sanitizer rules
+ * - data-each="list"        repeat the element per item (`item`/`index` in scope, alias via data-as)
+ * - data-if="a.b"           show the element only when the path is truthy (`!a.b` negates)
+ *
+ * Each binding tracks the top-level data keys it depends on, so update()
+ * only touches bindings whose keys changed.
+ *
+ * With `markers` (renderToString) the rendered DOM keeps what hydration needs:
+ * a <!--sc-text:...--> comment before each interpolated text node, a
+ * <template data-sc-each> holding each list template, data-sc-item on its
+ * clones and data-sc-display on elements hidden by data-if.
+ * compile(root, { hydrate: true }) binds to that DOM instead of the template.
+ *
+ * The text of raw-text elements (<style>, <script>, ...) is never bound: the
+ * sanitizer has already judged it, and data must not be able to rewrite it.
+ */
+
+const INTERPOLATION = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const BIND_PREFIX = 'data-bind-';
+const IMAGE_ATTRS = ['src', 'alt', 'srcset', 'sizes', 'width', 'height', 'loading'];
+
+const TEXT_MARKER = 'sc-text:';
+const EACH_MARKER = 'data-sc-each';
+const ITEM_MARKER = 'data-sc-item';
+const DISPLAY_MARKER = 'data-sc-display';
+
+// elements whose text is not parsed as markup
+const RAW_TEXT_TAGS = ['SCRIPT', 'STYLE', 'XMP', 'IFRAME', 'NOEMBED', 'NOFRAMES', 'NOSCRIPT', 'PLAINTEXT'];
+
+// comments cannot hold "--"; encodeURIComponent leaves "-" alone
+const encodeMarker = text => encodeURIComponent(text).replace(/-/g, '%2D');
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj
+ * @param {string} path - e.g. "author.name" or "items.0.title"
+ */
+export const getPath = (obj, path) => {
+    if (!path) return undefined;
+    return String(path).split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+};
+
+/**
+ * Immutably write a dotted path, cloning each object along the way
+ * @param {Object} obj
+ * @param {string} path
+ * @param {*} value
+ * @returns {Object} New object
+ */
+export const setPath = (obj, path, value) => {
+    const [head, ...rest] = String(path).split('.');
+    const base = Array.isArray(obj) ? obj.slice() : { ...(obj || {}) };
+    base[head] = rest.length ? setPath(base[head], rest.join('.'), value) : value;
+    return base;
+};
+
+const toText = value => (value == null ? '' : String(value));
+
+const CONTROL_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+
+/**
+ * Whether an element is a form control whose value a data-field binds
+ * @param {Element} el
+ */
+export const isFormControl = el => !!el && CONTROL_TAGS.includes(el.tagName);
+
+const controlType = el => String(el.type || '').toLowerCase();
+
+/**
+ * Read the data value of a bound form control:
+ * checkboxes give a boolean (or add/remove their value in an array), number and
+ * range inputs a number (null when empty), multiple selects an array of values
+ * @param {Element} el
+ * @param {*} current - Value currently stored under the control's path
+ */
+export const readControlValue = (el, current) => {
+    const type = controlType(el);
+    if (type === 'checkbox') {
+        // checkboxes sharing an array path each contribute their value
+        if (!Array.isArray(current)) return el.checked;
+        const rest = current.filter(item => String(item) !== el.value);
+        return el.checked ? [...rest, el.value] : rest;
+    }
+    if (type === 'number' || type === 'range') return el.value === '' ? null : Number(el.value);
+    if (el.tagName === 'SELECT' && el.multiple) return Array.from(el.selectedOptions).map(option => option.value);
+    return el.value;
+};
+
+const writeControlValue = (el, value) => {
+    const type = controlType(el);
+    if (type === 'file') return;
+    if (type === 'checkbox') {
+        el.checked = Array.isArray(value) ? value.map(String).includes(el.value) : Boolean(value);
+    } else if (type === 'radio') {
+        el.checked = value != null && String(value) === el.value;
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+        const values = (Array.isArray(value) ? value : [value]).map(toText);
+        Array.from(el.options).forEach(option => {
+            option.selected = values.includes(option.value);
+        });
+    } else if (el.value !== toText(value)) {
+        // only on a real change, so the caret stays put while typing
+        el.value = toText(value);
+    }
+};
+
+/**
+ * Replace `{{ path }}` placeholders in a string with values from data
+ * @param {string} template
+ * @param {Object} data
+ */
+export const interpolate = (template, data) =>
+    String(template).replace(INTERPOLATION, (_, path) => toText(getPath(data, path)));
+
+/**
+ * Normalize an image binding value to { src, alt, srcset, sizes }.
+ * A bare URL clears srcset/sizes, which would otherwise win over the new src.
+ * @param {string|Object} value - URL or image descriptor
+ */
+export const normalizeImage = value =>
+    (value && typeof value === 'object' ? value : { src: value, srcset: null, sizes: null });
+
+export class TemplateBinder {
+    /**
+     * @param {Object} options
+     * @param {Function} options.sanitizeAttr - (tagName, attr, value) => safe value or null
+     * @param {Function} options.onImageChange - Called with an <img> whose source was swapped
+     * @param {Function} options.renderMarkdown - (text) => safe HTML for data-format="markdown" fields
+     * @param {Document} options.document - Creates comments and elements (default: the global document)
+     * @param {boolean} options.markers - Leave hydration markers in the rendered DOM
+     */
+    constructor({ sanitizeAttr, onImageChange, renderMarkdown, document: doc, markers = false } = {}) {
+        this.sanitizeAttr = typeof sanitizeAttr === 'function' ? sanitizeAttr : () => null;
+        this.onImageChange = typeof onImageChange === 'function' ? onImageChange : () => { };
+        this.renderMarkdown = typeof renderMarkdown === 'function' ? renderMarkdown : null;
+        this.doc = doc || (typeof document !== 'undefined' ? document : null);
+        this.markers = !!markers;
+        this.bindings = [];
+        this._scopedRoots = new WeakSet();
+        this._hydrating = false;
+        this._adoptedText = new WeakSet();
+    }
+
+    /**
+     * Scan a freshly rendered subtree and replace previous bindings
+     * @param {Element} root
+     * @param {Object} options
+     * @param {boolean} options.hydrate - root holds markup rendered with markers
+     */
+    compile(root, { hydrate = false } = {}) {
+        this.bindings = [];
+        if (!root) return this;
+        this._hydrating = hydrate;
+        try {
+            Array.from(root.childNodes).forEach(node => this._collect(node, [], this.bindings));
+        } finally {
+            this._hydrating = false;
+        }
+        return this;
+    }
+
+    /** Evaluate every binding against data */
+    render(data = {}) {
+        this.bindings.forEach(binding => binding.apply(data, null));
+        return this;
+    }
+
+    /**
+     * Re-evaluate only bindings that depend on the given top-level keys
+     * @param {Object} data
+     * @param {string[]} keys
+     */
+    update(data = {}, keys = []) {
+        const changed = new Set(keys.map(key => String(key).split('.')[0]));
+        if (!changed.size) return this;
+        this.bindings.forEach(binding => {
+            if (binding.dependsOn(changed)) binding.update(data, null, changed);
+        });
+        return this;
+    }
+
+    /** Whether an element was produced by a data-each block */
+    isScoped(el) {
+        for (let node = el; node; node = node.parentNode) {
+            if (this._scopedRoots.has(node)) return true;
+        }
+        return false;
+    }
+
+    // ---------- Compilation ----------
+    _collect(node, aliases, out) {
+        if (node.nodeType === 8) {
+            if (this._hydrating) this._hydrateText(node, aliases, out);
+            return;
+        }
+        if (node.nodeType === 3) {
+            if (this._adoptedText.has(node)) return;
+            if (node.nodeValue && node.nodeValue.includes('{{')) {
+                out.push(this._textBinding(node, aliases));
+            }
+            return;
+        }
+        if (node.nodeType !== 1) return;
+
+        if (this._hydrating && node.tagName === 'TEMPLATE' && node.hasAttribute(EACH_MARKER)) {
+            const el = node.content.firstElementChild;
+            if (el) out.push(this._eachBinding(el, aliases, node));
+            else node.remove();
+            return;
+        }
+        if (node.hasAttribute('data-each')) {
+            out.push(this._eachBinding(node, aliases));
+            return;
+        }
+        if (node.hasAttribute('data-if')) out.push(this._ifBinding(node, aliases));
+        if (RAW_TEXT_TAGS.includes(node.tagName.toUpperCase())) return;
+        const field = node.hasAttribute('data-field') ? this._fieldBinding(node, aliases) : null;
+        const control = isFormControl(node);
+        if (field && !control) out.push(field);
+        if (node.tagName === 'IMG' && node.hasAttribute('data-img')) out.push(this._imgBinding(node, aliases));
+        Array.from(node.attributes)
+            .filter(attr => attr.name.startsWith(BIND_PREFIX))
+            .forEach(attr => out.push(this._attrBinding(node, attr, aliases)));
+
+        Array.from(node.childNodes).forEach(child => this._collect(child, aliases, out));
+        // a <select> can only pick its value once its options (maybe data-each ones) exist
+        if (field && control) out.push(field);
+    }
+
+    _leaf(paths, aliases, apply) {
+        const deps = new Set(paths
+            .map(path => path.split('.')[0])
+            .filter(head => !aliases.includes(head)));
+        return {
+            dependsOn: changed => [...deps].some(key => changed.has(key)),
+            apply,
+            update: apply
+        };
+    }
+
+    // the server rendered the text; its marker keeps the template
+    _hydrateText(comment, aliases, out) {
+        const value = comment.nodeValue || '';
+        if (!value.startsWith(TEXT_MARKER)) return;
+        let text = comment.nextSibling;
+        // an empty text node does not survive serialization
+        if (!text || text.nodeType !== 3) {
+            text = this.doc.createTextNode('');
+            comment.after(text);
+        }
+        comment.remove();
+        this._adoptedText.add(text);
+        out.push(this._textBinding(text, aliases, decodeURIComponent(value.slice(TEXT_MARKER.length))));
+    }
+
+    _textBinding(node, aliases, source = node.nodeValue) {
+        const template = source;
+        if (this.markers) node.before(this.doc.createComment(TEXT_MARKER + encodeMarker(template)));
+        const paths = [...template.matchAll(INTERPOLATION)].map(match => match[1]);
+        return this._leaf(paths, aliases, (data, scope) => {
+            const text = template.replace(INTERPOLATION, (_, path) => toText(resolve(path, data, scope)));
+            if (node.nodeValue !== text) node.nodeValue = text;
+        });
+    }
+
+    _fieldBinding(el, aliases) {
+        const path = el.getAttribute('data-field');
+        const markdown = !!this.renderMarkdown && isMarkdownField(el);
+        const control = isFormControl(el);
+        let rendered = false;
+        let lastText = null;
+        return this._leaf([path], aliases, (data, scope) => {
+            const value = resolve(path, data, scope);
+            // keep the template's own text (or control value) until the field has a value
+            if (value === undefined && !rendered) return;
+            rendered = true;
+            if (control) {
+                writeControlValue(el, value);
+                return;
+            }
+            const text = toText(value);
+            if (markdown) {
+                if (text !== lastText) el.innerHTML = this.renderMarkdown(text);
+                lastText = text;
+            } else if (el.textContent !== text) {
+                el.textContent = text;
+            }
+        });
+    }
+
+    _imgBinding(el, aliases) {
+        const path = el.getAttribute('data-img');
+        return this._leaf([path], aliases, (data, scope) => {
+            const value = resolve(path, data, scope);
+            // keep the template's own image until the key has a value
+            if (value === undefined) return;
+            const image = normalizeImage(value);
+            // a new alt text alone does not restart loading
+            let changed = false;
+            IMAGE_ATTRS.forEach(name => {
+                if (image[name] === undefined) return;
+                const safe = image[name] == null ? null : this.sanitizeAttr(el.tagName, name, String(image[name]));
+                if (safe == null) {
+                    if (!el.hasAttribute(name)) return;
+                    el.removeAttribute(name);
+                } else {
+                    if (el.getAttribute(name) === safe) return;
+                    el.setAttribute(name, safe);
+                }
+                changed = changed || name !== 'alt';
+            });
+            if (changed) this.onImageChange(el);
+        });
+    }
+
+    _attrBinding(el, attr, aliases) {
+        const name = attr.name.slice(BIND_PREFIX.length);
+        const path = attr.value;
+        return this._leaf([path], aliases, (data, scope) => {
+            const value = resolve(path, data, scope);
+            const safe = value == null || value === false
+                ? null
+                : this.sanitizeAttr(el.tagName, name, value === true ? '' : String(value));
+            if (safe == null) el.removeAttribute(name);
+            else if (el.getAttribute(name) !== safe) el.setAttribute(name, safe);
+        });
+    }
+
+    _ifBinding(el, aliases) {
+        const expr = el.getAttribute('data-if').trim();
+        const negate = expr.startsWith('!');
+        const path = negate ? expr.slice(1).trim() : expr;
+        const hidden = this._hydrating && el.hasAttribute(DISPLAY_MARKER);
+        const display = hidden ? el.getAttribute(DISPLAY_MARKER) : el.style.display;
+        if (hidden) el.removeAttribute(DISPLAY_MARKER);
+        return this._leaf([path], aliases, (data, scope) => {
+            const visible = Boolean(resolve(path, data, scope)) !== negate;
+            el.style.display = visible ? display : 'none';
+            if (!this.markers) return;
+            if (visible) el.removeAttribute(DISPLAY_MARKER);
+            else el.setAttribute(DISPLAY_MARKER, display);
+        });
+    }
+
+    // marker: the <template data-sc-each> of server-rendered markup, followed by its items
+    _eachBinding(el, aliases, marker = null) {
+        const path = el.getAttribute('data-each');
+        const alias = el.getAttribute('data-as') || 'item';
+        const childAliases = [...aliases, alias, 'index'];
+
+        // the element itself becomes the template; a comment marks its place
+        // (with markers, a <template> that carries it to the client)
+        let anchor;
+        if (this.markers) {
+            anchor = this.doc.createElement('template');
+            anchor.setAttribute(EACH_MARKER, '');
+            anchor.appendChild(el.cloneNode(true));
+        } else {
+            anchor = this.doc.createComment(` data-each: ${path} `);
+        }
+        const rendered = marker ? renderedItems(marker) : [];
+        (marker || el).replaceWith(anchor);
+        el.removeAttribute('data-each');
+        const template = el;
+
+        // dependencies of the block = list root + whatever the template reads from the root
+        const probe = [];
+        this._collect(template.cloneNode(true), childAliases, probe);
+
+        const head = path.split('.')[0];
+        const listDependsOnScope = aliases.includes(head);
+        let clones = rendered.map(node => {
+            node.removeAttribute(ITEM_MARKER);
+            const bindings = [];
+            this._collect(node, childAliases, bindings);
+            this._scopedRoots.add(node);
+            return { node, bindings, scope: null };
+        });
+
+        const renderClone = (clone, data) =>
+            clone.bindings.forEach(binding => binding.apply(data, clone.scope));
+
+        const reconcile = (data, scope) => {
+            const list = resolve(path, data, scope);
+            const items = Array.isArray(list) ? list : [];
+
+            items.forEach((item, index) => {
+                const vars = { [alias]: item, index };
+                let clone = clones[index];
+                if (!clone) {
+                    const node = template.cloneNode(true);
+                    if (this.markers) node.setAttribute(ITEM_MARKER, '');
+                    const bindings = [];
+                    this._collect(node, childAliases, bindings);
+                    this._scopedRoots.add(node);
+                    const prev = clones[index - 1]?.node || anchor;
+                    prev.after(node);
+                    clone = clones[index] = { node, bindings, scope: null };
+                }
+                clone.scope = { vars, parent: scope };
+                renderClone(clone, data);
+            });
+
+            clones.slice(items.length).forEach(clone => clone.node.remove());
+            clones = clones.slice(0, items.length);
+        };
+
+        return {
+            dependsOn: changed => changed.has(head) || probe.some(binding => binding.dependsOn(changed)),
+            apply: reconcile,
+            update: (data, scope, changed) => {
+                if (changed.has(head) || listDependsOnScope) {
+                    reconcile(data, scope);
+                    return;
+                }
+                // the list is unchanged: only refresh clone bindings reading changed root keys
+                clones.forEach(clone => {
+                    clone.scope = { ...clone.scope, parent: scope };
+                    clone.bindings.forEach(binding => {
+                        if (binding.dependsOn(changed)) binding.update(data, clone.scope, changed);
+                    });
+                });
+            }
+        };
+    }
+}
+
+/**
+ * Whether a data-field renders its value as Markdown
+ * @param {Element} el
+ */
+export const isMarkdownField = el => el.getAttribute('data-format') === 'markdown';
+
+// items rendered by the server right after a data-each marker
+const renderedItems = marker => {
+    const items = [];
+    for (let node = marker.nextSibling; node?.nodeType === 1 && node.hasAttribute(ITEM_MARKER); node = node.nextSibling) {
+        items.push(node);
+    }
+    return items;
+};
+
+// Resolve a path against the innermost data-each scope first, then the root data
+const resolve = (path, data, scope) => {
+    const [head] = String(path).split('.');
+    for (let s = scope; s; s = s.parent) {
+        if (Object.prototype.hasOwnProperty.call(s.vars, head)) {
+            return getPath(s.vars, path);
+        }
+    }
+    return getPath(data, path);
+};
+
+export default TemplateBinder;
@@ -0,0 +1,554 @@
+import { SNAPSHOT_VERSION, EVENT_TYPES, ERROR_CODES, ERROR_MESSAGES, ERROR_SEVERITY } from './constants.js';
+import { ShadowCardError, notifyError } from './errors.js';
+import { migrateBatchSnapshot } from './snapshot.js';
+import { layoutOf } from './layout.js';
+
+/**
+ * CardCollection - ordered set of ShadowCard instances with bulk operations
+ * Features:
+ * - Lookup by card id
+ * - Bulk content updates, resizing, theming, loading states and destruction
+ * - Collection-level listeners that also reach cards added later
+ * - Versioned JSON snapshots of the whole batch
+ * - Export of every card to HTML, SVG or PNG
+ * - Roving keyboard focus: one card is in the Tab order, arrow keys and
+ *   Home/End move between cards
+ * - Selection: 'single' or 'multi' (Ctrl/Cmd-click toggles, Shift-click
+ *   selects a range); selected hosts get the `selected` attribute
+ * - Order follows cards dragged with CardSortable (`card-reorder`)
+ *
+ * Cards destroyed directly (card.destroy()) are dropped on next access.
+ */
+export class CardCollection {
+    /**
+     * @param {Object[]} cards - Initial ShadowCard instances or card options
+     * @param {Object} options
+     * @param {Function} options.create - Factory turning card options into a ShadowCard
+     * @param {Function} options.fromJSON - Factory turning (snapshot, options) into a ShadowCard
+     * @param {string} options.selection - 'none' (default), 'single' or 'multi'
+     */
+    constructor(cards = [], { create, fromJSON, selection = 'none' } = {}) {
+        this._cards = [];
+        this._byId = new Map();
+        this._listeners = new Map();
+        this._create = typeof create === 'function' ? create : null;
+        this._fromJSON = typeof fromJSON === 'function' ? fromJSON : null;
+        this._cardHandlers = new WeakMap();
+        this._activeId = null;
+        this._selected = new Set();
+        this._anchorId = null;
+        this.setSelectionMode(selection);
+        cards.forEach(card => this.add(card));
+    }
+
+    get size() {
+        this._prune();
+        return this._cards.length;
+    }
+
+    [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+    }
+
+    toArray() {
+        this._prune();
+        return this._cards.slice();
+    }
+
+    get(id) {
+        const card = this._byId.get(id);
+        return card && !card.isDestroyed ? card : undefined;
+    }
+
+    has(id) {
+        return !!this.get(id);
+    }
+
+    /**
+     * Add a ShadowCard instance, or create one from options.
+     * An id already in the collection keeps its card: options for it create nothing, another
+     * instance with it is destroyed, and a DUPLICATE_ID warning is reported either way.
+     * @param {Object} cardOrOptions
+     * @returns {Object} The added card, or the card already holding the id
+     */
+    add(cardOrOptions) {
+        const isCard = this._isCard(cardOrOptions);
+        if (isCard && cardOrOptions.isDestroyed) {
+            throw new ShadowCardError(ERROR_CODES.DESTROYED, 'Cannot add a destroyed card', { cardId: cardOrOptions.id });
+        }
+        this._prune();
+        const existing = this._byId.get(cardOrOptions?.id);
+        if (existing) {
+            if (existing !== cardOrOptions) this._rejectDuplicate(existing.id, isCard ? cardOrOptions : null);
+            return existing;
+        }
+
+        const card = isCard ? cardOrOptions : this._createCard(cardOrOptions);
+
+        this._cards.push(card);
+        this._byId.set(card.id, card);
+        this._listeners.forEach((handlers, type) =>
+            handlers.forEach(wrapped => card.on(type, wrapped))
+        );
+        this._bindCard(card);
+        return card;
+    }
+
+    /**
+     * Remove a card from the collection
+     * @param {string|Object} idOrCard
+     * @param {Object} options
+     * @param {boolean} options.destroy - Also destroy the card
+     * @returns {Object|null} The removed card
+     */
+    remove(idOrCard, { destroy = false } = {}) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        const card = this._byId.get(id);
+        if (!card) return null;
+
+        const wasTabStop = this._isTabStop(card);
+        this._cards.splice(this._cards.indexOf(card), 1);
+        this._byId.delete(id);
+        if (!card.isDestroyed) {
+            this._listeners.forEach((handlers, type) =>
+                handlers.forEach(wrapped => card.off(type, wrapped))
+            );
+            this._unbindCard(card);
+            if (destroy) card.destroy();
+            else card._setTabbable(true);
+        }
+        if (wasTabStop) this._resetTabStop();
+        // virtual collections remove cards they unmount but keep them selected
+        if (!this._hasId(id)) this._dropSelection(id);
+        return card;
+    }
+
+    forEach(callback) {
+        this.toArray().forEach((card, index) => callback(card, index, this));
+        return this;
+    }
+
+    map(callback) {
+        return this.toArray().map((card, index) => callback(card, index, this));
+    }
+
+    /**
+     * Call setContent on each card listed in dataById
+     * @param {Object} dataById - { [cardId]: data }
+     */
+    updateAll(dataById = {}) {
+        Object.entries(dataById || {}).forEach(([id, data]) => this.get(id)?.setContent(data));
+        return this;
+    }
+
+    resizeAll(targetWidth) {
+        this.forEach(card => card.resize(targetWidth));
+        return this;
+    }
+
+    /**
+     * Switch every card to a theme
+     * @param {string|Object|null} theme - Theme name, { light, dark } pair or null
+     */
+    setTheme(theme) {
+        this.forEach(card => card.setTheme(theme));
+        return this;
+    }
+
+    /**
+     * Call setLoading on every card, e.g. while fetching data for the whole batch
+     * @param {boolean|Object|Function} state - setLoading state, or (cardId) => state per card
+     */
+    setLoading(state) {
+        this.forEach(card => card.setLoading(typeof state === 'function' ? state(card.id) : state));
+        return this;
+    }
+
+    /** Whether any card shows its loading overlay */
+    isLoading() {
+        return this.toArray().some(card => card.isLoading());
+    }
+
+    destroyAll() {
+        this.toArray().forEach(card => card.destroy());
+        this._cards.length = 0;
+        this._byId.clear();
+        this._activeId = null;
+        this._selected.clear();
+        this._anchorId = null;
+        return this;
+    }
+
+    // ---------- Serialization ----------
+    /**
+     * Snapshot every card in order
+     * @returns {Object} { version, cards }
+     */
+    serialize() {
+        return { version: SNAPSHOT_VERSION, cards: this.map(card => card.toJSON()) };
+    }
+
+    toJSON() {
+        return this.serialize();
+    }
+
+    /**
+     * Recreate cards from a batch snapshot and add them to the collection.
+     * As with add(), an id that is already in the collection keeps its card.
+     * @param {Object|Array|string} json - Output of serialize(), in any schema version
+     * @param {Object} options - Options overriding each snapshot; `container` is required
+     * @returns {Object[]} The restored cards, or the cards kept for ids already present
+     */
+    restore(json, options = {}) {
+        if (!this._fromJSON) throw new Error('CardCollection cannot restore cards without a factory');
+        const { cards } = migrateBatchSnapshot(json);
+        // look up before building: a card built for a known id would be left in the DOM
+        return cards.map(snapshot => this.get(snapshot.id) || this.add(this._fromJSON(snapshot, options)));
+    }
+
+    // ---------- Export ----------
+    /**
+     * Export every card in order
+     * @param {string} format - 'html' | 'svg' | 'png'
+     * @param {Object} options - Passed to the card's export method
+     * @returns {Promise<Array<{ id: string, output: string|Blob }>>}
+     */
+    exportAll(format = 'html', options = {}) {
+        const method = { html: 'exportHTML', svg: 'exportSVG', png: 'exportPNG' }[String(format).toLowerCase()];
+        if (!method) return Promise.reject(new Error(`Unsupported export format: ${format}`));
+        return Promise.all(this.map(async card => ({ id: card.id, output: await card[method](options) })));
+    }
+
+    // ---------- Keyboard navigation ----------
+    /**
+     * Focus a card and make it the collection's Tab stop
+     * @param {string|Object} idOrCard
+     */
+    focus(idOrCard) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        this.get(id)?.focus();
+        return this;
+    }
+
+    _bindCard(card) {
+        const handlers = {
+            keydown: event => this._handleNavKey(event, card),
+            focusin: () => this._setActive(card),
+            [EVENT_TYPES.CARD_CLICK]: event => this._handleSelectionClick(event, card),
+            [EVENT_TYPES.CARD_REORDER]: () => this._handleReorder(card)
+        };
+        this._cardHandlers.set(card, handlers);
+        Object.entries(handlers).forEach(([type, fn]) => card.element.addEventListener(type, fn));
+        card._setTabbable(this._isTabStop(card));
+        card._setSelected(this._selected.has(card.id));
+    }
+
+    _unbindCard(card) {
+        const handlers = this._cardHandlers.get(card);
+        if (!handlers) return;
+        Object.entries(handlers).forEach(([type, fn]) => card.element?.removeEventListener(type, fn));
+        this._cardHandlers.delete(card);
+        card._setSelected(false);
+    }
+
+    // the last focused card, or the first card until one was focused
+    _isTabStop(card) {
+        const stopId = this._activeId ?? this._cards.find(c => !c.isDestroyed)?.id;
+        return card.id === stopId;
+    }
+
+    _setActive(card) {
+        if (card.isDestroyed || card.id === this._activeId) return;
+        const previous = this.get(this._activeId) || this._cards.find(c => !c.isDestroyed);
+        this._activeId = card.id;
+        if (previous && previous !== card) previous._setTabbable(false);
+        card._setTabbable(true);
+    }
+
+    _resetTabStop() {
+        this._activeId = null;
+        const first = this._cards.find(c => !c.isDestroyed);
+        first?._setTabbable(true);
+    }
+
+    // only keys pressed on the card itself move between cards, not keys from its fields
+    _handleNavKey(event, card) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+        const origin = typeof event.composedPath === 'function' ? event.composedPath()[0] : event.target;
+        if (origin !== card.element) return;
+        const target = this._navigationTarget(card, event.key);
+        if (!target) return;
+        event.preventDefault();
+        if (target !== card) target.focus();
+    }
+
+    /**
+     * The card a navigation key moves to
+     * @param {Object} card - Focused card
+     * @param {string} key - ArrowRight/ArrowLeft, ArrowDown/ArrowUp (one row), Home or End
+     * @returns {Object|null}
+     */
+    _navigationTarget(card, key) {
+        const cards = this.toArray();
+        const index = cards.indexOf(card);
+        if (index === -1) return null;
+        const targetIndex = this._navigationIndex(index, cards.length, key, this._columnCount(card));
+        return targetIndex === -1 ? null : cards[targetIndex];
+    }
+
+    // up and down stay put when there is no card a row away
+    _navigationIndex(index, length, key, columns = 1) {
+        switch (key) {
+            case 'ArrowRight':
+                return Math.min(index + 1, length - 1);
+            case 'ArrowLeft':
+                return Math.max(index - 1, 0);
+            case 'ArrowDown':
+                return index + columns < length ? index + columns : index;
+            case 'ArrowUp':
+                return index - columns >= 0 ? index - columns : index;
+            case 'Home':
+                return 0;
+            case 'End':
+                return length - 1;
+            default:
+                return -1;
+        }
+    }
+
+    // cards per row around a card: its container's CardLayout columns, else the
+    // tracks of a CSS grid container; any other container is one column
+    _columnCount(card) {
+        const container = card.element?.parentElement;
+        if (!container) return 1;
+        const layout = layoutOf(container);
+        if (layout?.columns) return layout.columns;
+        const computed = getComputedStyle(container);
+        if (!/grid/.test(computed.display)) return 1;
+        // resolved tracks, e.g. "[start] 200px 200px"
+        const tracks = String(computed.gridTemplateColumns || '').replace(/\[[^\]]*\]/g, ' ').trim();
+        return tracks && tracks !== 'none' ? tracks.split(/\s+/).length : 1;
+    }
+
+    // ---------- Selection ----------
+    /**
+     * @param {string} mode - 'none' (clicks do not select), 'single' or 'multi'
+     */
+    setSelectionMode(mode) {
+        if (!['none', 'single', 'multi'].includes(mode)) throw new Error(`Unknown selection mode: ${mode}`);
+        this.selectionMode = mode;
+        if (mode === 'single' && this._selected.size > 1) {
+            const keep = this._selected.has(this._anchorId) ? this._anchorId : [...this._selected].pop();
+            this._commitSelection(new Set([keep]), keep);
+        }
+        return this;
+    }
+
+    /**
+     * Select a card; replaces the selection unless `add` is set in multi mode
+     * @param {string|Object} idOrCard
+     * @param {Object} options
+     * @param {boolean} options.add - Keep the current selection (multi mode)
+     */
+    select(idOrCard, { add = false } = {}) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        if (!this._hasId(id)) return this;
+        const next = add && this.selectionMode === 'multi' ? new Set(this._selected) : new Set();
+        next.add(id);
+        this._anchorId = id;
+        this._commitSelection(next, id);
+        return this;
+    }
+
+    deselect(idOrCard) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        if (!this._selected.has(id)) return this;
+        const next = new Set(this._selected);
+        next.delete(id);
+        this._commitSelection(next, id);
+        return this;
+    }
+
+    clearSelection() {
+        this._anchorId = null;
+        this._commitSelection(new Set(), null);
+        return this;
+    }
+
+    /** Selected cards in collection order */
+    getSelected() {
+        return this.toArray().filter(card => this._selected.has(card.id));
+    }
+
+    /** Ids of the selected cards in collection order */
+    getSelectedIds() {
+        return this._orderedIds().filter(id => this._selected.has(id));
+    }
+
+    isSelected(idOrCard) {
+        return this._selected.has(typeof idOrCard === 'string' ? idOrCard : idOrCard?.id);
+    }
+
+    _handleSelectionClick(event, card) {
+        if (this.selectionMode === 'none' || card.isDestroyed) return;
+        const source = event.detail?.originalEvent || {};
+        const toggle = !!(source.ctrlKey || source.metaKey);
+        if (source.shiftKey && this.selectionMode === 'multi' && this._hasId(this._anchorId)) {
+            this._selectRange(this._anchorId, card.id, toggle);
+        } else if (toggle && this._selected.has(card.id)) {
+            this._anchorId = card.id;
+            this.deselect(card);
+        } else {
+            this.select(card, { add: toggle });
+        }
+    }
+
+    // the anchor stays put so consecutive Shift-clicks resize the same range
+    _selectRange(fromId, toId, add) {
+        const ids = this._orderedIds();
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+        if (from === -1 || to === -1) return;
+        const next = add ? new Set(this._selected) : new Set();
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => next.add(id));
+        this._commitSelection(next, toId);
+    }
+
+    _commitSelection(next, triggerId) {
+        const added = [...next].filter(id => !this._selected.has(id));
+        const removed = [...this._selected].filter(id => !next.has(id));
+        if (!added.length && !removed.length) return;
+        this._selected = next;
+        added.forEach(id => this.get(id)?._setSelected(true));
+        removed.forEach(id => this.get(id)?._setSelected(false));
+
+        const detail = { selected: this.getSelectedIds(), added, removed };
+        const trigger = this.get(triggerId);
+        if (trigger) {
+            trigger.dispatchEvent(EVENT_TYPES.SELECTION_CHANGE, detail);
+            return;
+        }
+        // no trigger (clearSelection(), a removed card): dispatch on the Tab stop, with cardId null
+        const event = new CustomEvent(EVENT_TYPES.SELECTION_CHANGE, { detail: { ...detail, cardId: null }, bubbles: true, cancelable: true });
+        const target = this.get(this._activeId) || this._cards.find(card => !card.isDestroyed);
+        if (target) target.element.dispatchEvent(event);
+        // nothing left to dispatch on: reach collection listeners directly
+        else this._listeners.get(EVENT_TYPES.SELECTION_CHANGE)?.forEach(wrapped => wrapped(event));
+    }
+
+    // ids that left the collection leave the selection too
+    _dropSelection(...ids) {
+        if (ids.includes(this._anchorId)) this._anchorId = null;
+        const next = new Set(this._selected);
+        ids.forEach(id => next.delete(id));
+        this._commitSelection(next, null);
+    }
+
+    _hasId(id) {
+        return this.has(id);
+    }
+
+    _orderedIds() {
+        return this.toArray().map(card => card.id);
+    }
+
+    // ---------- Ordering ----------
+    _handleReorder(card) {
+        this._reposition(this._cards, card, card.element, el =>
+            (el.card && this._byId.get(el.card.id) === el.card ? el.card : null));
+    }
+
+    /**
+     * Move an entry of `list` next to its new DOM neighbours after its element moved
+     * @param {Array} list - Ordered entries (cards, or virtual records)
+     * @param {*} item - Entry whose element moved
+     * @param {Element} element - The moved element
+     * @param {Function} itemFor - Maps a sibling element to its entry, or null
+     */
+    _reposition(list, item, element, itemFor) {
+        const index = list.indexOf(item);
+        if (index === -1) return;
+        list.splice(index, 1);
+        for (let el = element.nextElementSibling; el; el = el.nextElementSibling) {
+            const next = itemFor(el);
+            if (next && list.includes(next)) {
+                list.splice(list.indexOf(next), 0, item);
+                return;
+            }
+        }
+        for (let el = element.previousElementSibling; el; el = el.previousElementSibling) {
+            const previous = itemFor(el);
+            if (previous && list.includes(previous)) {
+                list.splice(list.indexOf(previous) + 1, 0, item);
+                return;
+            }
+        }
+        // no neighbours from this collection in the new container: keep its place
+        list.splice(index, 0, item);
+    }
+
+    // ---------- Event binding ----------
+    // Handlers receive (event, card) and stay attached to cards added later.
+    on(type, handler) {
+        if (typeof handler !== 'function') return this;
+        if (!this._listeners.has(type)) this._listeners.set(type, new Map());
+        const handlers = this._listeners.get(type);
+        if (handlers.has(handler)) return this;
+
+        const wrapped = event => handler(event, this.get(event.detail?.cardId));
+        handlers.set(handler, wrapped);
+        this.forEach(card => card.on(type, wrapped));
+        return this;
+    }
+
+    off(type, handler) {
+        const handlers = this._listeners.get(type);
+        if (!handlers) return this;
+
+        const targets = handler ? [handler] : [...handlers.keys()];
+        targets.forEach(h => {
+            const wrapped = handlers.get(h);
+            if (!wrapped) return;
+            this.forEach(card => card.off(type, wrapped));
+            handlers.delete(h);
+        });
+        if (!handlers.size) this._listeners.delete(type);
+        return this;
+    }
+
+    _isCard(value) {
+        return !!value && typeof value.setContent === 'function' && typeof value.destroy === 'function';
+    }
+
+    _createCard(options) {
+        if (!this._create) throw new Error('CardCollection cannot create cards without a factory');
+        return this._create(options);
+    }
+
+    // a second card for an id is destroyed; the warning goes to the card keeping the id
+    _rejectDuplicate(id, duplicate = null) {
+        if (duplicate && !duplicate.isDestroyed) duplicate.destroy();
+        const error = new ShadowCardError(ERROR_CODES.DUPLICATE_ID, ERROR_MESSAGES.DUPLICATE_ID, {
+            severity: ERROR_SEVERITY.WARNING,
+            cardId: id
+        });
+        const card = this.get(id);
+        if (card) card.dispatchError(error);
+        else notifyError(error, null, null);
+        return error;
+    }
+
+    _prune() {
+        if (!this._cards.some(card => card.isDestroyed)) return;
+        const dropped = [];
+        this._cards = this._cards.filter(card => {
+            if (!card.isDestroyed) return true;
+            this._byId.delete(card.id);
+            if (!this._hasId(card.id)) dropped.push(card.id);
+            return false;
+        });
+        if (dropped.length) this._dropSelection(...dropped);
+    }
+}
+
+export default CardCollection;
@@ -3,10 +3,36 @@
  */
 export const DEFAULT_OPTIONS = {
     targetWidth: 160,
-    container: document.body,
+    fit: 'fixed',
+    minWidth: 160,
+    maxWidth: 1200,
+    minScale: 0.2,
+    // read when options are merged, so importing works without a DOM (e.g. in Node)
+    get container() {
+        return typeof document !== 'undefined' ? document.body : null;
+    },
     editable: false,
+    editDebounceMs: 150,
+    historyLimit: 50,
+    historyCoalesceMs: 800,
+    fallbackImage: '',
+    imageTimeoutMs: 5000,
+    imageRetries: 2,
+    imageRetryDelayMs: 500,
+    imageLoading: null,
+    loadingTemplate: null,
+    format: 'html',
+    role: 'group',
+    ariaLabel: '',
+    theme: null,
+    sanitize: null,
+    schema: null,
+    plugins: null,
+    strict: false,
+    onError: null,
     html: '',
     css: '',
+    styleLayers: null,
     data: {},
     styles: {
         border: '1px solid #e2e8f0',
@@ -26,9 +52,25 @@ export const EVENT_TYPES = {
     CARD_CLICK: 'card-click',
     FIELD_CLICK: 'field-click',
     IMG_CLICK: 'img-click',
+    IMG_LOAD: 'img-load',
+    IMG_ERROR: 'img-error',
+    HISTORY_CHANGE: 'history-change',
+    CARD_RESIZE: 'card-resize',
+    BATCH_PROGRESS: 'batch-progress',
+    SANITIZE_REPORT: 'sanitize-report',
+    SELECTION_CHANGE: 'selection-change',
+    CARD_REORDER: 'card-reorder',
+    VALIDATION_CHANGE: 'validation-change',
+    LOADING_START: 'loading-start',
+    LOADING_END: 'loading-end',
     ERROR: 'error'
 };
 
+/**
+ * Selector for nodes that become contenteditable when `editable` is enabled
+ */
+export const EDITABLE_SELECTOR = '[data-editable="open"], [data-field]';
+
 /**
  * Error message constants for consistent error reporting
  */
@@ -36,11 +78,102 @@ export const ERROR_MESSAGES = {
     INVALID_CONTAINER: 'Container must be a valid DOM element',
     INVALID_HTML: 'HTML content must be a string',
     INVALID_CSS: 'Styles must be a string',
+    INVALID_STYLE_LAYERS: 'Style layers must be an array of { name, css } strings',
     INVALID_DATA: 'Data must be an object',
     INVALID_TARGET_WIDTH: 'Target width must be a positive number',
-    ELEMENT_DESTROYED: 'Card has been destroyed and cannot perform operations'
+    INVALID_OPTIONS: 'Card options must be an object',
+    INVALID_SCHEMA: 'Schema must be an object of rules keyed by data path',
+    ELEMENT_DESTROYED: 'Card has been destroyed and cannot perform operations',
+    INVALID_SNAPSHOT: 'Snapshot must be an object or a JSON string',
+    UNSUPPORTED_SNAPSHOT_VERSION: 'Snapshot was created by a newer version and cannot be loaded',
+    NOT_SERVER_RENDERED: 'Element does not hold a card rendered by renderToString',
+    HYDRATION_MISMATCH: 'Server-rendered markup does not pass the card sanitization policy; rendered again',
+    DUPLICATE_ID: 'A card with this id is already in the collection',
+    INVALID_PLUGIN: 'Plugin must be an object with a non-empty name'
+};
+
+/**
+ * Codes carried by ShadowCardError (`error.code`)
+ */
+export const ERROR_CODES = {
+    INVALID_OPTIONS: 'INVALID_OPTIONS',
+    INVALID_CONTAINER: 'INVALID_CONTAINER',
+    INVALID_HTML: 'INVALID_HTML',
+    INVALID_CSS: 'INVALID_CSS',
+    INVALID_DATA: 'INVALID_DATA',
+    INVALID_TARGET_WIDTH: 'INVALID_TARGET_WIDTH',
+    INVALID_THEME: 'INVALID_THEME',
+    INVALID_SCHEMA: 'INVALID_SCHEMA',
+    INVALID_SNAPSHOT: 'INVALID_SNAPSHOT',
+    INVALID_PLUGIN: 'INVALID_PLUGIN',
+    IMG_LOAD_FAILED: 'IMG_LOAD_FAILED',
+    IMG_TIMEOUT: 'IMG_TIMEOUT',
+    RESIZE_FAILED: 'RESIZE_FAILED',
+    PLUGIN_FAILED: 'PLUGIN_FAILED',
+    DUPLICATE_ID: 'DUPLICATE_ID',
+    DESTROYED: 'DESTROYED',
+    UNKNOWN: 'UNKNOWN'
 };
 
+/**
+ * Severities carried by ShadowCardError (`error.severity`)
+ */
+export const ERROR_SEVERITY = {
+    WARNING: 'warning',
+    ERROR: 'error',
+    FATAL: 'fatal'
+};
+
+/**
+ * Current schema version written by card.toJSON() and collection.serialize()
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Card options persisted in snapshots (besides html, css, data and styles)
+ */
+export const SNAPSHOT_OPTION_KEYS = [
+    'targetWidth', 'fit', 'minWidth', 'maxWidth', 'minScale', 'editable', 'editDebounceMs',
+    'historyLimit', 'historyCoalesceMs', 'fallbackImage', 'format', 'theme',
+    'role', 'ariaLabel', 'imageTimeoutMs', 'imageRetries', 'imageRetryDelayMs', 'imageLoading', 'loadingTemplate'
+];
+
+/**
+ * Default allowlists of card HTML: DOMPurify's html profile (USE_PROFILES: { html: true }),
+ * spelled out so that policies can adjust them and the server sanitizer can apply them.
+ * data-* and aria-* attributes are allowed on top, as DOMPurify does.
+ */
+export const ALLOWED_TAGS_HTML = [
+    'a', 'abbr', 'acronym', 'address', 'area', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo',
+    'big', 'blink', 'blockquote', 'body', 'br', 'button', 'canvas', 'caption', 'center', 'cite',
+    'code', 'col', 'colgroup', 'content', 'data', 'datalist', 'dd', 'decorator', 'del', 'details',
+    'dfn', 'dialog', 'dir', 'div', 'dl', 'dt', 'element', 'em', 'fieldset', 'figcaption', 'figure',
+    'font', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr',
+    'html', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'map', 'mark',
+    'marquee', 'menu', 'menuitem', 'meter', 'nav', 'nobr', 'ol', 'optgroup', 'option', 'output',
+    'p', 'picture', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'search', 'section',
+    'select', 'shadow', 'slot', 'small', 'source', 'spacer', 'span', 'strike', 'strong', 'style',
+    'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead',
+    'time', 'tr', 'track', 'tt', 'u', 'ul', 'var', 'video', 'wbr'
+];
+
+export const ALLOWED_ATTRS_HTML = [
+    'accept', 'action', 'align', 'alt', 'autocapitalize', 'autocomplete', 'autopictureinpicture',
+    'autoplay', 'background', 'bgcolor', 'border', 'capture', 'cellpadding', 'cellspacing',
+    'checked', 'cite', 'class', 'clear', 'color', 'cols', 'colspan', 'controls', 'controlslist',
+    'coords', 'crossorigin', 'datetime', 'decoding', 'default', 'dir', 'disabled',
+    'disablepictureinpicture', 'disableremoteplayback', 'download', 'draggable', 'enctype',
+    'enterkeyhint', 'exportparts', 'face', 'for', 'headers', 'height', 'hidden', 'high', 'href',
+    'hreflang', 'id', 'inert', 'inputmode', 'integrity', 'ismap', 'kind', 'label', 'lang', 'list',
+    'loading', 'loop', 'low', 'max', 'maxlength', 'media', 'method', 'min', 'minlength', 'multiple',
+    'muted', 'name', 'nonce', 'noshade', 'novalidate', 'nowrap', 'open', 'optimum', 'part',
+    'pattern', 'placeholder', 'playsinline', 'popover', 'popovertarget', 'popovertargetaction',
+    'poster', 'preload', 'pubdate', 'radiogroup', 'readonly', 'rel', 'required', 'rev', 'reversed',
+    'role', 'rows', 'rowspan', 'spellcheck', 'scope', 'selected', 'shape', 'size', 'sizes', 'slot',
+    'span', 'srclang', 'start', 'src', 'srcset', 'step', 'style', 'summary', 'tabindex', 'title',
+    'translate', 'type', 'usemap', 'valign', 'value', 'width', 'wrap', 'xmlns'
+];
+
 // HTML tags compatible with MARKDOWN
 export const ALLOWED_TAGS_MARKDOWN = [
     // block-level
@@ -48,7 +181,7 @@ export const ALLOWED_TAGS_MARKDOWN = [
     'ul', 'ol', 'li', 'dl', 'dt', 'dd',
 
     // inline text
-    'span', 'a', 'strong', 'em', 'b', 'i', 'u', 's', 'br', 'sub', 'sup',
+    'span', 'a', 'strong', 'em', 'b', 'i', 'u', 's', 'del', 'br', 'sub', 'sup',
 
     // heading
     'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
@@ -63,13 +196,23 @@ export const ALLOWED_TAGS_MARKDOWN = [
     'code', 'kbd', 'samp',
 
     // misc
-    'details', 'summary'
+    'details', 'summary',
+
+    // form controls bound with data-field
+    'input', 'select', 'option', 'optgroup', 'textarea', 'label', 'fieldset', 'legend',
+
+    // light DOM projection for <shadow-card> children
+    'slot'
 ];
 
 // HTML ATTRS compatible with MARKDOWN
 export const ALLOWED_ATTRS_MARKDOWN = [
-    'href', 'title', 'src', 'alt', 'width', 'height',
+    'href', 'title', 'src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding',
     'class', 'id', 'name', 'style',
     'data-field', 'data-img', 'data-*',
-    'align', 'valign', 'colspan', 'rowspan', 'target', 'rel'
+    'align', 'valign', 'colspan', 'rowspan', 'target', 'rel',
+    'tabindex', 'role',
+    'type', 'value', 'checked', 'selected', 'disabled', 'readonly', 'required', 'multiple',
+    'placeholder', 'min', 'max', 'step', 'minlength', 'maxlength', 'pattern',
+    'for', 'label', 'rows', 'cols', 'inputmode', 'autocomplete'
 ];
@@ -0,0 +1,231 @@
+import { DEFAULT_OPTIONS, ERROR_CODES, ERROR_SEVERITY } from './constants.js';
+import { isServerRendered } from './ssr.js';
+import { getPlugins, pluginStyles } from './plugins.js';
+
+/**
+ * <shadow-card> custom element
+ * Declarative front end for ShadowCard:
+ *
+ *   <shadow-card target-width="300" editable border-radius="12px">
+ *     <template>
+ *       <style>h3 { color: #1e293b; }</style>
+ *       <h3 data-field="title"></h3>
+ *       <slot name="footer"></slot>
+ *     </template>
+ *     <script type="application/json">{ "title": "Hello" }</script>
+ *     <span slot="footer">Light DOM content</span>
+ *   </shadow-card>
+ *
+ * - `template="#id"` points at a <template> elsewhere instead of a child one
+ * - <style> elements inside the template become the card CSS
+ * - `target-width`, `template`, `theme`, `loading` and the kebab-case style keys
+ *   (`border-radius`, `hover-border-color`, ...) are observed and applied live;
+ *   style keys of plugins registered with ShadowCard.use() are read when the card
+ *   is created and watched from then on
+ * - `editable`, `fit`, `loading-template` and `id` are read once, when the card is created
+ *
+ * Cards created with `new ShadowCard()` use the same element; they are marked
+ * through `element.card` and skip declarative initialization. Markup from
+ * renderToString is hydrated instead, one microtask later, so a module that
+ * imports the package can first call ShadowCard.hydrate() with its own options.
+ */
+
+const toKebab = key => key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+
+const isLoadingAttribute = value => value !== null && value !== 'false';
+
+// kebab-case attribute -> style key
+const toAttributes = keys => keys.reduce((acc, key) => ({ ...acc, [toKebab(key)]: key }), {});
+
+/**
+ * Read html and css from a <template>: <style> children become css
+ * @param {HTMLTemplateElement} template
+ * @returns {{ html: string, css: string }}
+ */
+export const readTemplate = template => {
+    if (!template || !template.content) return { html: '', css: '' };
+    const fragment = template.content.cloneNode(true);
+    const css = Array.from(fragment.querySelectorAll('style'))
+        .map(style => {
+            style.remove();
+            return style.textContent || '';
+        })
+        .join('\n');
+    const wrapper = document.createElement('div');
+    wrapper.append(fragment);
+    return { html: wrapper.innerHTML.trim(), css: css.trim() };
+};
+
+/**
+ * Define the <shadow-card> element backed by the given ShadowCard class
+ * @param {Function} ShadowCard - ShadowCard class
+ * @param {string} tagName
+ * @returns {Function|undefined} Element class, or undefined without customElements
+ */
+export const defineShadowCardElement = (ShadowCard, tagName = 'shadow-card') => {
+    if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') return undefined;
+    const existing = customElements.get(tagName);
+    if (existing) return existing;
+
+    // built-in style keys; plugin keys are only known once the element initialises
+    const styleAttributes = toAttributes(Object.keys(ShadowCard.prototype._getStyleMappings()));
+
+    class ShadowCardElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['target-width', 'template', 'theme', 'loading', ...Object.keys(styleAttributes)];
+        }
+
+        constructor() {
+            super();
+            /** ShadowCard instance driving this element */
+            this.card = null;
+            this._ownsCard = false;
+            this._pendingData = null;
+            this._styleAttributes = styleAttributes;
+            this._pluginObserver = null;
+        }
+
+        get data() {
+            return this.card ? this.card.data : this._pendingData;
+        }
+
+        // frameworks may assign data before the card exists
+        set data(value) {
+            if (this.card) this.card.setContent(value);
+            else this._pendingData = { ...this._pendingData, ...value };
+        }
+
+        connectedCallback() {
+            if (this.card) return;
+            // children are not parsed yet when the element upgrades mid-parse
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this._init(), { once: true });
+            } else {
+                this._init();
+            }
+        }
+
+        disconnectedCallback() {
+            if (!this._ownsCard) return;
+            // a move (remove + insert) reconnects within the same task
+            queueMicrotask(() => {
+                if (this.isConnected) return;
+                this._pluginObserver?.disconnect();
+                this._pluginObserver = null;
+                if (this.card && !this.card.isDestroyed) this.card.destroy();
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            if (!this.card || this.card.isDestroyed || oldValue === value) return;
+            if (name === 'target-width') {
+                const width = Number(value);
+                if (Number.isFinite(width) && width > 0) this.card.resize(width);
+            } else if (name === 'template') {
+                const { html, css } = this._readTemplate();
+                this.card.setStyle(css, true).setHTML(html);
+            } else if (name === 'theme') {
+                this.card.setTheme(value || null);
+            } else if (name === 'loading') {
+                this.card.setLoading(isLoadingAttribute(value));
+            } else if (styleAttributes[name]) {
+                this.card.setCssVariables({ [styleAttributes[name]]: value });
+            }
+        }
+
+        // plugin style attributes are not in observedAttributes (fixed at define time)
+        _resolveStyleAttributes() {
+            const pluginAttributes = toAttributes(Object.keys(pluginStyles(getPlugins())));
+            this._styleAttributes = { ...pluginAttributes, ...styleAttributes };
+            const watched = Object.keys(pluginAttributes).filter(attr => !styleAttributes[attr]);
+            if (!watched.length || typeof MutationObserver === 'undefined') return;
+            this._pluginObserver = new MutationObserver(records => records.forEach(({ attributeName, oldValue }) => {
+                const value = this.getAttribute(attributeName);
+                if (!this.card || this.card.isDestroyed || oldValue === value) return;
+                this.card.setCssVariables({ [this._styleAttributes[attributeName]]: value });
+            }));
+            this._pluginObserver.observe(this, { attributes: true, attributeOldValue: true, attributeFilter: watched });
+        }
+
+        _init() {
+            if (this.card || !this.isConnected) return;
+            if (isServerRendered(this)) {
+                queueMicrotask(() => this._hydrate());
+                return;
+            }
+            this._resolveStyleAttributes();
+            const { html, css } = this._readTemplate();
+            const { data, error } = this._readData();
+            const styles = {};
+            Object.entries(this._styleAttributes).forEach(([attr, key]) => {
+                if (this.hasAttribute(attr)) styles[key] = this.getAttribute(attr);
+            });
+
+            const options = {
+                element: this,
+                container: this.parentElement || document.body,
+                editable: this.hasAttribute('editable') && this.getAttribute('editable') !== 'false',
+                html,
+                css,
+                data: { ...data, ...this._pendingData }
+            };
+            if (this.id) options.id = this.id;
+            if (this.hasAttribute('fit')) options.fit = this.getAttribute('fit');
+            if (this.getAttribute('theme')) options.theme = this.getAttribute('theme');
+            if (this.getAttribute('loading-template')) options.loadingTemplate = this.getAttribute('loading-template');
+            if (Object.keys(styles).length) {
+                options.styles = { ...DEFAULT_OPTIONS.styles, ...styles };
+            }
+            const width = Number(this.getAttribute('target-width'));
+            if (this.hasAttribute('target-width') && Number.isFinite(width)) options.targetWidth = width;
+
+            this._ownsCard = true;
+            this.card = new ShadowCard(options);
+            if (isLoadingAttribute(this.getAttribute('loading'))) this.card.setLoading(true);
+            if (error) {
+                this.card.dispatchError(new Error(`Invalid JSON data in <${tagName}>: ${error.message}`), {
+                    code: ERROR_CODES.INVALID_DATA,
+                    severity: ERROR_SEVERITY.WARNING
+                });
+            }
+        }
+
+        _hydrate() {
+            if (this.card || !this.isConnected) return;
+            this._ownsCard = true;
+            this._resolveStyleAttributes();
+            ShadowCard.hydrate(this);
+            if (isLoadingAttribute(this.getAttribute('loading'))) this.card.setLoading(true);
+            if (this._pendingData) this.card.setContent(this._pendingData);
+        }
+
+        _readTemplate() {
+            const selector = this.getAttribute('template');
+            let template = null;
+            if (selector) {
+                try {
+                    const root = this.getRootNode();
+                    template = (root.querySelector ? root.querySelector(selector) : null) || document.querySelector(selector);
+                } catch (e) { /* invalid selector */ }
+            } else {
+                template = Array.from(this.children).find(child => child.tagName === 'TEMPLATE');
+            }
+            return readTemplate(template);
+        }
+
+        _readData() {
+            const script = Array.from(this.children)
+                .find(child => child.tagName === 'SCRIPT' && child.type === 'application/json');
+            if (!script) return { data: {} };
+            try {
+                const data = JSON.parse(script.textContent || '{}');
+                return { data: data && typeof data === 'object' ? data : {} };
+            } catch (error) {
+                return { data: {}, error };
+            }
+        }
+    }
+
+    customElements.define(tagName, ShadowCardElement);
+    return ShadowCardElement;
+};
@@ -0,0 +1,92 @@
+import { ERROR_CODES, ERROR_SEVERITY } from './constants.js';
+
+/**
+ * Error model
+ * Every error a card reports is a ShadowCardError with a stable `code` to
+ * group by, a `severity` and the `cardId` it belongs to. Errors raised by
+ * other code (DOM, fetch, user callbacks) are wrapped and kept as `cause`.
+ *
+ * Severities:
+ * - warning  the card still works (an image failed, unknown JSON data)
+ * - error    an operation failed and was skipped (invalid setHTML input, resize)
+ * - fatal    the card could not be created
+ */
+export class ShadowCardError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     * @param {Object} options
+     * @param {string} options.severity - 'warning' | 'error' | 'fatal'
+     * @param {string|null} options.cardId
+     * @param {*} options.cause - Underlying error
+     * @param {Object} options.details - Extra data, e.g. { src } for image errors
+     */
+    constructor(code, message, { severity = ERROR_SEVERITY.ERROR, cardId = null, cause, details } = {}) {
+        super(message);
+        this.name = 'ShadowCardError';
+        this.code = code || ERROR_CODES.UNKNOWN;
+        this.severity = severity;
+        this.cardId = cardId;
+        if (cause !== undefined) this.cause = cause;
+        if (details !== undefined) this.details = details;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            severity: this.severity,
+            message: this.message,
+            cardId: this.cardId,
+            details: this.details,
+            cause: this.cause instanceof Error ? this.cause.message : this.cause
+        };
+    }
+}
+
+/**
+ * Wrap anything thrown into a ShadowCardError; existing ones only get missing fields filled in
+ * @param {*} error
+ * @param {Object} defaults - { code, severity, cardId, details }
+ * @returns {ShadowCardError}
+ */
+export const toShadowCardError = (error, { code, severity, cardId = null, details } = {}) => {
+    if (error instanceof ShadowCardError) {
+        if (error.cardId == null) error.cardId = cardId;
+        return error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    return new ShadowCardError(code || ERROR_CODES.UNKNOWN, message, {
+        severity: severity || ERROR_SEVERITY.ERROR,
+        cardId,
+        cause: error instanceof Error ? error : undefined,
+        details
+    });
+};
+
+const errorHandlers = new Set();
+
+/**
+ * Register a handler called with (error, card) for errors of every card
+ * @param {Function} handler
+ * @returns {Function} Removes the handler
+ */
+export const addErrorHandler = handler => {
+    if (typeof handler !== 'function') throw new Error('Error handler must be a function');
+    errorHandlers.add(handler);
+    return () => errorHandlers.delete(handler);
+};
+
+/**
+ * Call an onError hook and the global handlers
+ * @param {ShadowCardError} error
+ * @param {Object|null} card - ShadowCard instance, or null for configs that never became a card
+ * @param {Function} onError - Card or batch hook
+ */
+export const notifyError = (error, card, onError) => {
+    [onError, ...errorHandlers].forEach(handler => {
+        if (typeof handler !== 'function') return;
+        // monitoring code must never turn one error into another
+        try { handler(error, card); } catch (e) { /* ignore */ }
+    });
+};
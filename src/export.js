@@ -0,0 +1,187 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Card export helpers
+ * A card is flattened into a plain element tree: the host becomes a
+ * `.shadow-card-export` div carrying the host's inline style (size and CSS
+ * variables), followed by one <style> holding every shadow-root stylesheet
+ * with `:host` rewritten to that class, and a clone of the inner container.
+ * Export documents contain a single card, so the rewritten CSS stays scoped.
+ */
+const HOST_CLASS = 'shadow-card-export';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Rewrite :host selectors to target the export wrapper.
+ * `:host(.a)` becomes `.shadow-card-export.a` and `:host-context(.a)` becomes
+ * `.shadow-card-export:is(.a, .a *)`; the argument may nest parentheses, as in
+ * `:host(:not(.x))`.
+ * @param {string} css
+ */
+export const scopeHostCss = (css = '') => {
+    const source = String(css);
+    const functional = /:host(-context)?\(/g;
+    let output = '';
+    let index = 0;
+    let match;
+    while ((match = functional.exec(source))) {
+        const start = match.index;
+        let depth = 0;
+        let end = start + match[0].length - 1;
+        for (; end < source.length; end++) {
+            if (source[end] === '(') depth++;
+            else if (source[end] === ')' && --depth === 0) break;
+        }
+        // unbalanced: leave the rest as it is
+        if (end >= source.length) break;
+        const argument = source.slice(start + match[0].length, end);
+        const scoped = match[1] ? `:is(${argument}, ${argument} *)` : argument;
+        output += `${source.slice(index, start)}.${HOST_CLASS}${scoped}`;
+        index = end + 1;
+        functional.lastIndex = index;
+    }
+    return (output + source.slice(index)).replace(/:host(?![\w(-])/g, `.${HOST_CLASS}`);
+};
+
+const collectCss = card => {
+    const parts = [];
+    card.shadow.querySelectorAll('style').forEach(style => parts.push(style.textContent || ''));
+    (card.shadow.adoptedStyleSheets || []).forEach(sheet => {
+        try {
+            parts.push(Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n'));
+        } catch (e) { /* unreadable sheet */ }
+    });
+    parts.push(`.${HOST_CLASS} { margin: 0; }`);
+    return scopeHostCss(parts.join('\n'));
+};
+
+const isSameOrigin = url => {
+    try {
+        if (url.startsWith('data:')) return true;
+        return new URL(url, document.baseURI).origin === window.location.origin;
+    } catch (e) {
+        return false;
+    }
+};
+
+const toDataUrl = async url => {
+    if (url.startsWith('data:')) return url;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+};
+
+/**
+ * Measure the rendered (scaled) card size
+ * @param {Object} card - ShadowCard instance
+ * @returns {{ width: number, height: number }}
+ */
+export const getExportSize = card => ({
+    width: Math.ceil(parseFloat(card.element.style.width) || card.element.offsetWidth || 0),
+    height: Math.ceil(parseFloat(card.element.style.height) || card.element.offsetHeight || 0)
+});
+
+/**
+ * Flatten a card into a standalone element tree
+ * @param {Object} card - ShadowCard instance
+ * @param {Object} options
+ * @param {boolean} options.inlineImages - Embed same-origin images as data URIs
+ * @returns {Promise<HTMLElement>}
+ */
+export const buildExportTree = async (card, { inlineImages = true } = {}) => {
+    const host = document.createElementNS(XHTML_NS, 'div');
+    host.setAttribute('class', HOST_CLASS);
+    host.setAttribute('data-card-id', card.id);
+    const hostStyle = card.element.getAttribute('style');
+    if (hostStyle) host.setAttribute('style', hostStyle);
+
+    const style = document.createElementNS(XHTML_NS, 'style');
+    style.textContent = collectCss(card);
+
+    const content = card.innerContainer.cloneNode(true);
+    content.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+
+    // pin each image to the source the browser actually picked
+    const originals = card.innerContainer.querySelectorAll('img');
+    const clones = content.querySelectorAll('img');
+    await Promise.all(Array.from(clones).map(async (img, i) => {
+        const url = originals[i]?.currentSrc || originals[i]?.src || '';
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        if (!url) return;
+        img.setAttribute('src', url);
+        if (!inlineImages || !isSameOrigin(url)) return;
+        try {
+            img.setAttribute('src', await toDataUrl(url));
+        } catch (e) { /* keep the URL */ }
+    }));
+
+    host.append(style, content);
+    return host;
+};
+
+/**
+ * Serialize an export tree as a complete HTML document
+ * @param {HTMLElement} tree
+ * @param {Object} options
+ * @param {string} options.title
+ */
+export const toHTMLDocument = (tree, { title = '' } = {}) => [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body style="margin:0">',
+    tree.outerHTML,
+    '</body>',
+    '</html>'
+].join('\n');
+
+/**
+ * Wrap an export tree in an SVG foreignObject
+ * @param {HTMLElement} tree
+ * @param {{ width: number, height: number }} size
+ */
+export const toSVG = (tree, { width, height }) => {
+    const markup = new XMLSerializer().serializeToString(tree);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<foreignObject x="0" y="0" width="${width}" height="${height}">${markup}</foreignObject>`
+        + '</svg>';
+};
+
+/**
+ * Rasterize an SVG string to a PNG blob
+ * @param {string} svg
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.scale - Pixel ratio of the output
+ * @returns {Promise<Blob>}
+ */
+export const svgToPNG = (svg, { width, height, scale = 1 }) => new Promise((resolve, reject) => {
+    const ratio = Number(scale) > 0 ? Number(scale) : 1;
+    const img = new Image();
+    img.onload = () => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * ratio));
+            canvas.height = Math.max(1, Math.round(height * ratio));
+            const ctx = canvas.getContext('2d');
+            ctx.scale(ratio, ratio);
+            ctx.drawImage(img, 0, 0, width, height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        } catch (err) {
+            reject(err);
+        }
+    };
+    img.onerror = () => reject(new Error('Failed to render card for PNG export'));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
@@ -0,0 +1,75 @@
+/**
+ * Bounded undo/redo stack for card mutations.
+ * Each entry records one mutation as `{ type, key, before, after }`.
+ * Entries flagged with `coalesce` are merged into the previous entry when
+ * they share its type and key and arrive within `coalesceMs`, so a burst
+ * of keystrokes in one field becomes a single undo step.
+ */
+export class HistoryStack {
+    constructor({ limit = 50, coalesceMs = 800 } = {}) {
+        this.limit = Math.max(0, Number(limit) || 0);
+        this.coalesceMs = Math.max(0, Number(coalesceMs) || 0);
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a mutation. Clears the redo stack.
+     * @param {Object} entry - { type, key, before, after, coalesce }
+     * @returns {boolean} Whether the stack changed
+     */
+    push(entry) {
+        if (!this.limit || !entry) return false;
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        this.redoStack.length = 0;
+
+        if (entry.coalesce && last && last.coalesce
+            && last.type === entry.type && last.key === entry.key
+            && now - last.time <= this.coalesceMs) {
+            last.after = entry.type === 'data' ? { ...last.after, ...entry.after } : entry.after;
+            last.time = now;
+            // the burst ended where it started (e.g. typed then cancelled)
+            if (isSameValue(last.before, last.after)) this.undoStack.pop();
+            return true;
+        }
+
+        this.undoStack.push({ ...entry, time: now });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        return true;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+    }
+}
+
+const isSameValue = (a, b) => {
+    if (a === b) return true;
+    try { return JSON.stringify(a) === JSON.stringify(b); } catch (e) { return false; }
+};
+
+export default HistoryStack;
@@ -1,26 +1,102 @@
-import { generateUniqueId, Validator, sanitizeHtml } from './utils.js';
-import { DEFAULT_OPTIONS, EVENT_TYPES, ALLOWED_TAGS_MARKDOWN, ALLOWED_ATTRS_MARKDOWN } from './constants.js';
+import { generateUniqueId, Validator, yieldToMain } from './utils.js';
+import { sanitizeWithPolicy, sanitizeAttributeWithPolicy, mergePolicies } from './sanitize.js';
+import { markdownToHtml, markdownPolicyFor } from './markdown.js';
+import { HistoryStack } from './history.js';
+import { TemplateBinder, getPath, setPath, isMarkdownField, interpolate, isFormControl, readControlValue } from './binding.js';
+import { validateSchema, sameValidation } from './validation.js';
+import { CardCollection } from './collection.js';
+import { VirtualCardCollection } from './virtual.js';
+import { DEFAULT_OPTIONS, EVENT_TYPES, EDITABLE_SELECTOR, SNAPSHOT_VERSION, SNAPSHOT_OPTION_KEYS, ERROR_CODES, ERROR_MESSAGES, ERROR_SEVERITY } from './constants.js';
+import { ShadowCardError, toShadowCardError, addErrorHandler, notifyError } from './errors.js';
+import { cloneJson, snapshotToOptions } from './snapshot.js';
+import { buildExportTree, getExportSize, toHTMLDocument, toSVG, svgToPNG } from './export.js';
+import { defineShadowCardElement } from './element.js';
+import { CardLayout } from './layout.js';
+import { CardSortable } from './sortable.js';
+import { acquireSheet, releaseSheet } from './stylesheets.js';
+import { baseStyles, overlayMarkup, spinnerMarkup, progressMarkup, buildSkeleton, SKELETON, INNER_WIDTH, IMAGE_PLACEHOLDER } from './template.js';
+import { registerPlugin, unregisterPlugin, resolvePlugins, pluginStyles, pluginEvents, getPlugins, callHook, pipeHook } from './plugins.js';
+import { renderToString as renderCardMarkup, takeHydrationState, attachDeclarativeShadowRoot } from './ssr.js';
+import { registerTheme, getTheme, getThemeNames, isKnownTheme, resolveThemeName, getThemeSheet, watchTheme, unwatchTheme } from './themes.js';
+
+// layer that setStyle(css) without a layer name replaces
+const BASE_STYLE_LAYER = 'base';
+
+// data-bound elements reachable with Tab
+const TAB_STOP_SELECTOR = '[data-field], img[data-img]';
+
+// roles on which aria-selected is meaningful
+const SELECTABLE_ROLES = ['option', 'gridcell', 'row', 'tab', 'treeitem'];
+
+// elements that handle Enter/Space themselves
+const NATIVE_ACTIVATION_TAGS = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY'];
+
+// clicks on these belong to the control, not to the card
+const FORM_CONTROL_SELECTOR = 'input, select, textarea, label, option';
+
+const sameValue = (a, b) => a === b
+    || (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => item === b[i]));
+
+const isLazyImage = img => String(img.getAttribute('loading') || '').toLowerCase() === 'lazy';
+
+// setLoading() progress as a fraction between 0 and 1, or null when indeterminate
+const toProgress = value => {
+    if (value == null || value === '') return null;
+    const progress = Number(value);
+    return Number.isFinite(progress) ? Math.min(1, Math.max(0, progress)) : null;
+};
+
+// "w / h" from the width/height attributes, so the box is sized before the image arrives
+const aspectRatioOf = img => {
+    const width = parseFloat(img.getAttribute('width'));
+    const height = parseFloat(img.getAttribute('height'));
+    return width > 0 && height > 0 ? `${width} / ${height}` : null;
+};
 
 /**
- * ShadowCard - Production-ready, non-editable card component
+ * ShadowCard - Production-ready card component
  * Features:
  * - Shadow DOM encapsulation
- * - Dynamic resizing with debounce
- * - Image load detection with timeout
- * - Event delegation (card, field, image clicks)
+ * - <shadow-card> custom element for declarative use
+ * - Template binding (dotted paths, attributes, lists, conditionals)
+ * - Markdown content and Markdown data fields
+ * - Optional inline editing of data fields
+ * - Form controls bound two-way to data, validated against a schema
+ * - Undo/redo history for data, HTML and CSS
+ * - Dynamic resizing with debounce, optionally fitted to the container
+ * - Image pipeline: lazy loading, retries with backoff, srcset sizes from the
+ *   scaled width and aspect-ratio placeholders
+ * - Coded errors (ShadowCardError) with onError hooks and a strict mode
+ * - Image slots bound to data, with fallback image on failure
+ * - Event delegation (card, field, image clicks), also from the keyboard
+ * - Keyboard focus, ARIA role/label from data and busy state
+ * - Loading overlay under explicit control, with progress, custom templates or a
+ *   skeleton of the card layout
+ * - Configurable sanitization policy with reports of stripped markup
  * - Custom CSS variables
+ * - Layered card CSS on stylesheets shared between cards
+ * - Named themes, optionally following prefers-color-scheme
+ * - JSON snapshots (toJSON / fromJSON)
+ * - Server-side rendering to declarative shadow DOM, hydrated without re-rendering
+ * - Plugins with lifecycle hooks, extra style keys and event types
+ * - Export to standalone HTML, SVG and PNG
  * - Safe destruction
  */
 export class ShadowCard {
     constructor(options = {}) {
         try {
+            // Plugins may rewrite the options before they are merged and validated
+            this._plugins = resolvePlugins(options?.plugins);
+            const input = pipeHook(this._plugins, 'beforeCreate', { ...options }, [], (err, plugin) =>
+                notifyError(toShadowCardError(err, {
+                    code: ERROR_CODES.PLUGIN_FAILED,
+                    severity: ERROR_SEVERITY.WARNING,
+                    details: { plugin: plugin.name, hook: 'beforeCreate' }
+                }), null, options?.onError));
+
             // Merge default options and validate
-            this.options = { ...DEFAULT_OPTIONS, ...options };
-            Validator.validateContainer(this.options.container);
-            Validator.validateHtml(this.options.html);
-            Validator.validateCss(this.options.css);
-            Validator.validateData(this.options.data);
-            Validator.validateTargetWidth(this.options.targetWidth);
+            this.options = { ...DEFAULT_OPTIONS, ...input };
+            Validator.validateOptions(this.options);
 
             this.id = this.options.id || generateUniqueId();
             this.isDestroyed = false;
@@ -30,230 +106,173 @@ export class ShadowCard {
             this._pendingResize = false;
             this._resizeDebounce = null;
             this._hideOverlayRaf = null;
+            this._pendingQuiet = true;
+            this._loading = null;
+            this._busy = false;
+            this._loadingShown = false;
+            this._loadingAnnounced = true;
+            this._overlayMode = 'default';
+            this._containerWidth = null;
+            this.resizeObserver = null;
+            this._editSession = null;
+            this._editDebounce = null;
+            this._html = '';
+            this._htmlSource = '';
+            this._cssText = '';
+            this._historyPaused = false;
+            this.history = null;
+            this._themeName = null;
+            this._themeProps = [];
+            this._themeSheet = null;
+            this._styleLayers = [];
+            this._layerCss = [];
+            this._layerSheets = [];
+            this._tabbable = true;
+            this._tabStops = new WeakSet();
+            this._images = new WeakMap();
+            this._imageScale = 1;
+            this._validation = null;
+            this._touched = new Set();
+            this._showAllErrors = false;
+            this._controlBase = new WeakMap();
+            this._hydrating = false;
+            this._binder = new TemplateBinder({
+                sanitizeAttr: (tag, attr, value) =>
+                    sanitizeAttributeWithPolicy(tag, attr, value, this.options.sanitize),
+                onImageChange: img => this._resetImageState(img),
+                renderMarkdown: text =>
+                    sanitizeWithPolicy(markdownToHtml(text), markdownPolicyFor(this.options.sanitize)).html
+            });
 
             // Create host element and shadow DOM
             this.element = this._createHostElement();
             this.shadow = this.element.shadowRoot;
             this.innerContainer = this.shadow.getElementById('inner-container');
+            // new cards start behind the overlay until their first resize
+            this._busy = this._loadingShown = !this._hydrating;
+            this._loadingAnnounced = !this._loadingShown;
 
             // Set initial content, styles, and data
-            this.setHTML(this.options.html);
+            // server markup the client policy would change is rendered afresh
+            if (this._hydrating && !this._adoptHTML(this.options.html)) this._hydrating = false;
+            if (!this._hydrating) this.setHTML(this.options.html);
             this.setStyle(this.options.css);
+            (this.options.styleLayers || []).forEach(entry => this.setStyle(entry.css, { layer: entry.name }));
+            if (this.options.theme) this.setTheme(this.options.theme);
             this.setContent(this.options.data);
+            // baseline for validation-change, also when there was no data to apply
+            if (!this._validation) this._runValidation();
+            if (this.options.editable) this._bindEditing();
+            this._updateAriaLabel();
+            if (this._loadingShown) {
+                this._renderLoading(true);
+                // listeners can only be added once the constructor returns
+                queueMicrotask(() => this._announceLoading());
+            }
 
-            this.options.container.appendChild(this.element);
+            // Start recording only after the initial state is in place
+            this.history = new HistoryStack({
+                limit: this.options.historyLimit,
+                coalesceMs: this.options.historyCoalesceMs
+            });
 
-            // Schedule initial resize
-            this._scheduleResize();
+            // an adopted <shadow-card> is already in place
+            if (!this.element.parentNode) this.options.container.appendChild(this.element);
+            this._observeSize();
+
+            // Schedule initial resize; server-rendered cards are already sized, so no overlay
+            this._scheduleResize(undefined, { quiet: this._hydrating });
+            this._hydrating = false;
+            this._callPlugins('afterCreate', this);
         } catch (error) {
-            this.dispatchError(error.message || String(error));
-            throw error;
+            const err = toShadowCardError(error, { code: ERROR_CODES.INVALID_OPTIONS, cardId: this.id || null });
+            err.severity = ERROR_SEVERITY.FATAL;
+            // only an adopted <shadow-card> can have listeners yet; a new host is not attached
+            if (this.element?.isConnected) this.dispatchError(err);
+            else notifyError(err, null, options?.onError);
+            throw err;
         }
     }
 
     // ---------- Image loader ----------
     /**
-     * Wait until all images inside the card are loaded or timeout
+     * Wait until the card's images have loaded or finally failed (after retries)
      * @param {Object} options
-     * @param {number} options.timeoutMs - Max wait in ms
+     * @param {number} options.timeoutMs - Max wait in ms (default: the imageTimeoutMs option)
+     * @param {boolean} options.includeLazy - Also wait for loading="lazy" images
+     * @returns {Promise<{ success: boolean, errorCount: number, total: number, errors?: string[], timeout?: boolean }>}
      */
-    waitForImages({ timeoutMs = 5000 } = {}) {
-        return new Promise(resolve => {
-            try {
-                if (this.isDestroyed || !this.shadow) {
-                    return resolve({ success: false, error: 'destroyed', errorCount: 0, total: 0 });
-                }
-
-                const images = Array.from(this.shadow.querySelectorAll('img'));
-                if (!images.length) {
-                    return resolve({ success: true, errorCount: 0, total: 0 });
-                }
-
-                let loadedCount = 0;
-                let errorCount = 0;
-                let resolved = false;
-                const errors = [];
-                let timer = null;
-
-                const finish = (result) => {
-                    if (resolved) return;
-                    resolved = true;
-                    if (timer) clearTimeout(timer);
-                    // cleanup listeners
-                    images.forEach(img => {
-                        try {
-                            img.removeEventListener('load', onLoad);
-                            img.removeEventListener('error', onError);
-                        } catch (e) { /* ignore */ }
-                    });
-                    resolve(result);
-                };
-
-                const checkDone = () => {
-                    loadedCount++;
-                    if (loadedCount >= images.length && !resolved) {
-                        const success = errorCount === 0;
-                        finish({ success, errorCount, total: images.length, errors: errors.length ? errors.slice() : undefined });
-                    }
-                };
+    waitForImages({ timeoutMs = this.options?.imageTimeoutMs, includeLazy = false } = {}) {
+        if (this.isDestroyed || !this.innerContainer) {
+            return Promise.resolve({ success: false, error: 'destroyed', errorCount: 0, total: 0 });
+        }
+        const images = Array.from(this.innerContainer.querySelectorAll('img'))
+            .filter(img => includeLazy || !isLazyImage(img));
+        return this._settleImages(images, timeoutMs);
+    }
 
-                const onLoad = ev => {
-                    const img = ev.currentTarget;
-                    try {
-                        img.removeEventListener('load', onLoad);
-                        img.removeEventListener('error', onError);
-                    } catch (e) { }
-                    checkDone();
-                };
+    _settleImages(images, timeoutMs) {
+        if (!images.length) return Promise.resolve({ success: true, errorCount: 0, total: 0 });
+        const states = images.map(img => this._imageState(img));
+        const ms = Number(timeoutMs) > 0 ? Number(timeoutMs) : DEFAULT_OPTIONS.imageTimeoutMs;
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), ms);
+        });
 
-                const onError = ev => {
-                    const img = ev.currentTarget;
-                    try {
-                        img.removeEventListener('load', onLoad);
-                        img.removeEventListener('error', onError);
-                    } catch (e) { }
-                    // avoid double-counting
-                    if (img.dataset._scLoadError) return checkDone();
-                    img.dataset._scLoadError = 'true';
-                    errorCount++;
-                    try { errors.push(img.currentSrc || img.src || '<unknown>'); } catch (e) { }
-                    // visual feedback via class (prefer CSS class over inline styles)
-                    try { img.classList.add('shadowcard-img-error'); } catch (e) { }
-                    // notify once per failed image (string message to match existing dispatchError)
-                    try { this.dispatchError(`Image failed to load: ${img.currentSrc || img.src || '<unknown>'}`); } catch (e) { }
-                    checkDone();
+        return Promise.race([Promise.all(states.map(state => state.done)).then(() => false), timeout])
+            .then(timedOut => {
+                clearTimeout(timer);
+                if (timedOut) images.forEach((img, i) => this._timeoutImage(img, states[i], ms));
+                const failed = images.filter((img, i) => states[i].status === 'failed');
+                return {
+                    success: !timedOut && !failed.length,
+                    errorCount: failed.length,
+                    total: images.length,
+                    errors: failed.length ? failed.map(img => img.currentSrc || img.src || '<unknown>') : undefined,
+                    ...(timedOut ? { timeout: true } : {})
                 };
-
-                // Attach listeners or handle already-complete images.
-                images.forEach(img => {
-                    try {
-                        if (img.complete) {
-                            // ensure handlers run after timer/listeners are set up
-                            queueMicrotask(() => {
-                                if (img.naturalWidth) onLoad({ currentTarget: img });
-                                else onError({ currentTarget: img });
-                            });
-                        } else {
-                            img.addEventListener('load', onLoad, { once: true });
-                            img.addEventListener('error', onError, { once: true });
-                        }
-                    } catch (e) {
-                        // treat access errors as image failures
-                        if (!img.dataset?._scLoadError) {
-                            img.dataset._scLoadError = 'true';
-                            errorCount++;
-                            try { errors.push('<access-error>'); } catch (e) { }
-                        }
-                        // still count as "processed"
-                        checkDone();
-                    }
-                });
-
-                // Start timeout after listeners are attached to avoid race.
-                timer = setTimeout(() => {
-                    if (!resolved) {
-                        // mark unresolved images as errored (best-effort)
-                        images.forEach(img => {
-                            if (!img.dataset?._scLoadError && !(img.complete && img.naturalWidth)) {
-                                try {
-                                    img.dataset._scLoadError = 'true';
-                                    img.classList.add('shadowcard-img-error');
-                                } catch (e) { }
-                            }
-                        });
-                        try { this.dispatchError(`Image load timeout after ${Number(timeoutMs) || 5000}ms`); } catch (e) { }
-                        finish({ success: false, timeout: true, errorCount, total: images.length, errors: errors.length ? errors.slice() : undefined });
-                    }
-                }, Number(timeoutMs) || 5000);
-
-            } catch (err) {
-                resolve({ success: false, error: err?.message || String(err), errorCount: 0, total: 0 });
-            }
-        });
+            });
     }
 
-
     // ---------- Host element creation ----------
     _createHostElement() {
-        const element = document.createElement('shadow-card');
+        const element = this.options.element || document.createElement('shadow-card');
+        element.card = this;
         element.id = this.id;
         element.dataset.id = this.id;
+        if (this.options.role) element.setAttribute('role', this.options.role);
+        if (!element.hasAttribute('tabindex')) element.tabIndex = 0;
 
         this._applyStyleVariables(element);
 
-        const shadow = element.attachShadow({ mode: 'open' });
-        shadow.innerHTML = `
-        <style>
-            :host {
-                all: initial;
-                display: block;
-                background: #ffffff;
-                border: var(--shadow-card-border)!important;
-                border-radius: var(--shadow-card-border-radius, 6px);
-                cursor: pointer;
-                overflow: hidden;
-                box-sizing: border-box;
-                transition: border 0.3s ease;
-                user-select: none;
-                position: relative;
-                padding:0;
-                margin: ${this.options?.styles?.marginHeight || '0'} ${this.options?.styles?.marginWidth || '0'};
-            }
-            :host(:hover) {
-                border-color: var(--shadow-card-hover-border-color, #3b82f6)!important;
-            }
-            #inner-container {
-                width: 640px;
-                transform-origin: top left;
-                transform: scale(1);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                pointer-events: ${!this.options?.editable ? 'auto' : 'none'};
-            }
-            #inner-container [data-editable="open"] {
-                pointer-events: ${!this.options?.editable ? 'none' : 'auto'};
-            }
-            #inner-container [data-img] {
-                pointer-events: ${!this.options?.editable ? 'none' : 'auto'};
-            }
-            #loading-overlay {
-                position: absolute;
-                inset: 0;
-                background: var(--shadow-card-loading-bg, #ffffff);
-                color: var(--shadow-card-loading-color, #4b5563);
-                font-size: var(--shadow-card-loading-font-size, 0.8rem);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                gap: var(--shadow-card-loading-gap, 8px);
-                z-index: 10;
-                opacity: 1;
-                transition: opacity 0.3s ease;
-                pointer-events: none;
-            }
-            .loading-spinner {
-                width: var(--shadow-card-loading-icon-size, 20px);
-                height: var(--shadow-card-loading-icon-size, 20px);
-                border: 2px solid var(--shadow-card-loading-spinner-border, rgba(0,0,0,0.1));
-                border-top-color: var(--shadow-card-loading-spinner-color, #3b82f6);
-                border-radius: 50%;
-                animation: spin var(--shadow-card-loading-spinner-speed, 1s) linear infinite;
-            }
-            @keyframes spin { to { transform: rotate(360deg); } }
-            #loading-overlay.hidden { opacity: 0; }
-        </style>
-        <div id="loading-overlay">
-            <div class="loading-spinner"></div>
-            <span class="loading-text">${this.options?.styles?.loadingText || ''}</span>
-        </div>
-        <div id="inner-container"></div>
-        `;
+        // markup from renderToString is adopted as it is (see ShadowCard.hydrate)
+        this._hydrating = !!element.shadowRoot?.getElementById('inner-container');
+        const shadow = this._hydrating ? element.shadowRoot : element.attachShadow({ mode: 'open' });
+        if (!this._hydrating) {
+            element.setAttribute('aria-busy', 'true');
+            shadow.innerHTML = `
+            <style>${baseStyles(this.options)}</style>
+            ${overlayMarkup(this.options.styles?.loadingText)}
+            <div id="inner-container"></div>
+            `;
+        }
 
         // Event delegation
         this.boundClickHandler = e => this._handleClickDelegated(e);
         // shadow.addEventListener('click', this.boundClickHandler);
         element.addEventListener('click', this.boundClickHandler);
+        this.boundKeyHandler = e => this._handleKeyActivate(e);
+        element.addEventListener('keydown', this.boundKeyHandler);
+
+        // load/error do not bubble; capture them to follow image swaps
+        this.boundMediaHandler = e => this._handleMediaEvent(e);
+        shadow.addEventListener('load', this.boundMediaHandler, true);
+        shadow.addEventListener('error', this.boundMediaHandler, true);
+
+        // form controls write back into data
+        this.boundControlHandler = e => this._handleControlEvent(e);
+        ['input', 'change', 'focusout'].forEach(type => shadow.addEventListener(type, this.boundControlHandler));
 
         return element;
     }
@@ -276,8 +295,10 @@ export class ShadowCard {
         });
     }
 
+    // plugin style keys come first, so they cannot remap the built-in ones
     _getStyleMappings() {
         return {
+            ...pluginStyles(this._plugins || getPlugins()),
             border: '--shadow-card-border',
             borderColor: '--shadow-card-border-color',
             borderRadius: '--shadow-card-border-radius',
@@ -290,7 +311,19 @@ export class ShadowCard {
             loadingSpinnerBorder: '--shadow-card-loading-spinner-border',
             loadingSpinnerColor: '--shadow-card-loading-spinner-color',
             loadingSpinnerSpeed: '--shadow-card-loading-spinner-speed',
-            loadingText: '--shadow-card-loading-text'
+            loadingText: '--shadow-card-loading-text',
+            loadingProgressHeight: '--shadow-card-loading-progress-height',
+            skeletonColor: '--shadow-card-skeleton-color',
+            skeletonRadius: '--shadow-card-skeleton-radius',
+            skeletonSpeed: '--shadow-card-skeleton-speed',
+            focusRingColor: '--shadow-card-focus-ring-color',
+            focusRingWidth: '--shadow-card-focus-ring-width',
+            focusRingOffset: '--shadow-card-focus-ring-offset',
+            selectedBorderColor: '--shadow-card-selected-border-color',
+            imagePlaceholderBg: '--shadow-card-image-placeholder-bg',
+            invalidColor: '--shadow-card-invalid-color',
+            marginWidth: '--shadow-card-margin-width',
+            marginHeight: '--shadow-card-margin-height'
         };
     }
 
@@ -299,6 +332,8 @@ export class ShadowCard {
         Object.entries(vars).forEach(([key, val]) => {
             const cssVar = this._getStyleMappings()[key];
             if (cssVar && val !== undefined) {
+                // keep options.styles current so snapshots see runtime changes
+                this.options.styles = { ...this.options.styles, [key]: val };
                 try {
                     if (typeof val === 'string' || typeof val === 'number' || typeof val === 'boolean') {
                         this.element.style.setProperty(cssVar, String(val));
@@ -312,84 +347,382 @@ export class ShadowCard {
                 }
             }
         });
-        if (vars.loadingText) {
-            const el = this.shadow.querySelector('.loading-text');
-            if (el) el.textContent = vars.loadingText;
+        if (vars.loadingText) this._renderLoading();
+        return this;
+    }
+
+    // ---------- Themes ----------
+    /**
+     * Switch theme live, without rebuilding the shadow DOM
+     * @param {string|{light?: string, dark?: string}|null} theme - Registered theme name,
+     * a pair following prefers-color-scheme, or null to remove the theme
+     */
+    setTheme(theme = null) {
+        if (this.isDestroyed) return this;
+        if (!isKnownTheme(theme)) {
+            this.dispatchError(new Error(`Unknown theme: ${typeof theme === 'string' ? theme : JSON.stringify(theme)}`), {
+                code: ERROR_CODES.INVALID_THEME,
+                throwIfStrict: true
+            });
+            return this;
+        }
+        this.options.theme = theme || null;
+        watchTheme(this);
+        return this._applyTheme();
+    }
+
+    getTheme() {
+        return this._themeName;
+    }
+
+    // theme values win over options.styles; later setCssVariables calls win until the next switch
+    _applyTheme() {
+        if (this.isDestroyed) return this;
+        const name = resolveThemeName(this.options.theme);
+        const theme = name ? getTheme(name) : null;
+        const style = this.element.style;
+
+        this._themeProps.forEach(prop => style.removeProperty(prop));
+        this._applyStyleVariables(this.element);
+
+        const mappings = this._getStyleMappings();
+        const props = [];
+        const setProp = (prop, value) => {
+            if (value == null || typeof value === 'object') return;
+            try {
+                style.setProperty(prop, String(value));
+                props.push(prop);
+            } catch (e) { /* ignore invalid CSS values */ }
+        };
+        if (theme) {
+            Object.entries(theme.styles).forEach(([key, value]) => mappings[key] && setProp(mappings[key], value));
+            Object.entries(theme.variables).forEach(([prop, value]) => setProp(prop, value));
         }
+        this._themeProps = props;
+        this._themeName = theme ? name : null;
+        if (theme) this.element.setAttribute('data-theme', name);
+        else this.element.removeAttribute('data-theme');
+
+        this._renderLoading();
+
+        this._applyThemeCss(theme);
+        this._invalidateSize();
+        this._scheduleResize(undefined, { quiet: true });
         return this;
     }
 
+    // theme CSS sits underneath the card CSS: adopted first, or a <style> before #custom-style
+    _applyThemeCss(theme) {
+        const sheet = theme ? getThemeSheet(theme) : null;
+        let styleEl = this.shadow.querySelector('#theme-style');
+        if (sheet && this.shadow.adoptedStyleSheets !== undefined) {
+            styleEl?.remove();
+            this._themeSheet = sheet;
+        } else {
+            this._themeSheet = null;
+            if (theme?.css) {
+                if (!styleEl) {
+                    styleEl = document.createElement('style');
+                    styleEl.id = 'theme-style';
+                }
+                this.shadow.insertBefore(styleEl, this.shadow.querySelector('#custom-style') || this.innerContainer);
+                styleEl.textContent = theme.css;
+            } else {
+                styleEl?.remove();
+            }
+        }
+        this._syncAdoptedSheets();
+    }
+
+    _syncAdoptedSheets() {
+        if (this.shadow?.adoptedStyleSheets === undefined) return;
+        try {
+            this.shadow.adoptedStyleSheets = [this._themeSheet, ...this._layerSheets].filter(Boolean);
+        } catch (e) { /* unsupported */ }
+    }
+
 
     // ---------- Content / HTML / CSS ----------
-    setHTML(html = '') {
+    /**
+     * Replace the card content
+     * @param {string} html - HTML, or Markdown when the format is 'markdown'
+     * @param {Object} options
+     * @param {'html'|'markdown'} options.format - Defaults to the card's `format` option
+     */
+    setHTML(html = '', { format } = {}) {
         try {
             Validator.validateNotDestroyed(this);
             Validator.validateHtml(html);
             if (!this.innerContainer) throw new Error('Inner container not found');
+            const nextFormat = format || this.options.format || 'html';
+            const markdown = nextFormat === 'markdown';
 
             // ---------- sanitize user HTML ----------
-            const safeHtml = sanitizeHtml(html, ALLOWED_TAGS_MARKDOWN, ALLOWED_ATTRS_MARKDOWN);
-
-            this.innerContainer.innerHTML = safeHtml || '';
+            const input = this._pipePlugins('beforeSetHTML', html, this, { format: nextFormat });
+            const { html: safeHtml, removed } = markdown
+                ? sanitizeWithPolicy(markdownToHtml(input), markdownPolicyFor(this.options.sanitize))
+                : sanitizeWithPolicy(input, this.options.sanitize);
+
+            // Markdown is recorded as written, HTML as sanitized; both without plugin
+            // changes, which undo and fromJSON apply again through setHTML
+            const before = { html: this._htmlSource, format: this.options.format || 'html' };
+            const source = markdown || input === html ? null : sanitizeWithPolicy(html, this.options.sanitize).html;
+            const after = { html: markdown ? html : source ?? safeHtml, format: nextFormat };
+            this._recordHistory({ type: 'html', key: 'html', before, after });
+            this.options.format = nextFormat;
+            this._htmlSource = after.html;
+            this._html = safeHtml;
+            this._releaseImages();
+            this.innerContainer.innerHTML = safeHtml;
+            this._invalidateSize();
+            this._binder.compile(this.innerContainer).render(this.data || {});
+            this._prepareImages();
+            this._applyEditable();
+            this._applyTabStops();
+            this._applyValidity();
+            this._callPlugins('afterRender', this);
+            if (removed.length) this._reportSanitized(removed);
             this.innerContainer.offsetHeight; // Force reflow
             this._scheduleResize();
             return this;
-        } catch (err) { this.dispatchError(err.message || String(err)); return this; }
+        } catch (err) {
+            this.dispatchError(err, { code: ERROR_CODES.INVALID_HTML, throwIfStrict: true });
+            return this;
+        }
     }
 
 
-    setStyle(css = '', reset = false) {
+    // server-rendered content is already sanitized and bound: keep its nodes and bind to them.
+    // The server sanitizer only mirrors DOMPurify, so the adopted markup is checked again under
+    // the client policy; returns false (nothing adopted) when that would strip anything.
+    _adoptHTML(html) {
+        const markdown = this.options.format === 'markdown';
+        const policy = markdown ? markdownPolicyFor(this.options.sanitize) : this.options.sanitize;
+        const { removed } = sanitizeWithPolicy(this.innerContainer.innerHTML, policy);
+        if (removed.length) {
+            this.dispatchError(new ShadowCardError(ERROR_CODES.INVALID_HTML, ERROR_MESSAGES.HYDRATION_MISMATCH, {
+                severity: ERROR_SEVERITY.WARNING,
+                cardId: this.id,
+                details: { removed }
+            }));
+            return false;
+        }
+
+        const input = this._pipePlugins('beforeSetHTML', html, this, { format: this.options.format || 'html' });
+        const { html: safeHtml } = markdown ? sanitizeWithPolicy(markdownToHtml(input), policy) : sanitizeWithPolicy(input, policy);
+        let source = markdown ? html : safeHtml;
+        if (!markdown && input !== html) source = sanitizeWithPolicy(html, this.options.sanitize).html;
+        this._htmlSource = source;
+        this._html = safeHtml;
+        this._binder.compile(this.innerContainer, { hydrate: true }).render(this.data || {});
+        this._prepareImages();
+        this._applyEditable();
+        this._applyTabStops();
+        this._applyValidity();
+        this._callPlugins('afterRender', this);
+        return true;
+    }
+
+    // a card still being constructed is not in the document yet; report once listeners can see it
+    _reportSanitized(removed) {
+        const report = () => this.dispatchEvent(EVENT_TYPES.SANITIZE_REPORT, { removed });
+        if (this.element.isConnected) report();
+        else queueMicrotask(report);
+    }
+
+    /**
+     * Set card CSS. Without a layer, css replaces the base layer.
+     * @param {string} css
+     * @param {boolean|Object} options - `true` replaces all card CSS (same as { reset: true })
+     * @param {string} options.layer - Named layer whose CSS is replaced; empty css removes the layer
+     * @param {boolean} options.append - Add css to the end of the layer instead of replacing it
+     * @param {boolean} options.reset - Replace every layer with css
+     */
+    setStyle(css = '', options = false) {
         if (this.isDestroyed) return this;
-        try {
-            // prefer constructable stylesheet if supported
-            if (typeof CSSStyleSheet !== 'undefined' && this.shadow?.adoptedStyleSheets !== undefined) {
-                if (!this._adoptedSheet || reset) {
-                    this._adoptedSheet = new CSSStyleSheet();
-                    this._adoptedSheet.replaceSync(css || '');
-                } else {
-                    // append new rules (simple concat)
-                    const combined = reset ? (css || '') : `${this._adoptedSheet.cssText}\n${css || ''}`;
-                    this._adoptedSheet.replaceSync(combined);
-                }
-                // assign once
-                this.shadow.adoptedStyleSheets = [this._adoptedSheet];
+        const { layer = null, append = false, reset = false } = options && typeof options === 'object' ? options : { reset: !!options };
+        const current = this._styleLayers;
+        const name = layer || BASE_STYLE_LAYER;
+        const index = current.findIndex(entry => entry.name === name);
+        const text = append && index >= 0 && css ? `${current[index].css}\n${css}` : css || '';
+        let layers;
+
+        if (reset) {
+            layers = text ? [{ name, css: text }] : [];
+        } else if (layer) {
+            layers = current.filter(entry => entry.name !== name);
+            if (text) layers.splice(index < 0 ? layers.length : index, 0, { name, css: text });
+        } else {
+            // the base layer always comes first, underneath named layers
+            layers = [...(text ? [{ name, css: text }] : []), ...current.filter(entry => entry.name !== name)];
+        }
+
+        this._recordHistory({ type: 'css', key: 'css', before: current, after: layers });
+        return this._applyStyleLayers(layers);
+    }
+
+    /**
+     * Remove a named style layer
+     * @param {string} layer
+     */
+    removeStyleLayer(layer) {
+        return layer ? this.setStyle('', { layer }) : this;
+    }
+
+    /** Style layers in cascade order, as [{ name, css }] */
+    getStyleLayers() {
+        return this._styleLayers.map(entry => ({ ...entry }));
+    }
+
+    // cards with the same layer CSS adopt one shared sheet; <style id="custom-style"> otherwise
+    _applyStyleLayers(layers) {
+        const previous = this._layerCss;
+        this._styleLayers = layers;
+        this._cssText = layers.map(entry => entry.css).join('\n');
+        this._invalidateSize();
+        this._scheduleResize(undefined, { quiet: true });
+
+        if (typeof CSSStyleSheet !== 'undefined' && this.shadow?.adoptedStyleSheets !== undefined) {
+            const keys = layers.map(entry => entry.css);
+            const sheets = keys.map(acquireSheet);
+            if (sheets.every(Boolean)) {
+                previous.forEach(releaseSheet);
+                this._layerCss = keys;
+                this._layerSheets = sheets;
+                this.shadow.querySelector('#custom-style')?.remove();
+                this._syncAdoptedSheets();
                 return this;
             }
-        } catch (e) {
-            // fallthrough to style element fallback
+            keys.forEach(releaseSheet);
         }
 
         // fallback: style element
+        previous.forEach(releaseSheet);
+        this._layerCss = [];
+        this._layerSheets = [];
+        this._syncAdoptedSheets();
         let styleEl = this.shadow.querySelector('#custom-style');
         if (!styleEl) {
             styleEl = document.createElement('style');
             styleEl.id = 'custom-style';
             this.shadow.insertBefore(styleEl, this.innerContainer);
-            this._styleEl = styleEl;
         }
-        styleEl.textContent = reset ? (css || '') : `${styleEl.textContent || ''}\n${css || ''}`;
+        styleEl.textContent = this._cssText;
         return this;
     }
 
 
     setContent(data = {}) {
+        return this._applyContent(data, 'api');
+    }
+
+    /**
+     * Swap images in [data-img] slots. Values are stored in this.data under the same keys.
+     * @param {Object} images - { [imgKey]: url | { src, alt, srcset, sizes } }
+     */
+    setImages(images = {}) {
+        try {
+            Validator.validateNotDestroyed(this);
+            Validator.validateData(images);
+        } catch (err) {
+            this.dispatchError(err, { code: ERROR_CODES.INVALID_DATA, throwIfStrict: true });
+            return this;
+        }
+        return this._applyContent(images || {}, 'api');
+    }
+
+    _applyContent(data, source) {
         if (this.isDestroyed || !data) return this;
+        const previous = this.data || {};
+        const before = {};
+        const after = {};
         this.data = { ...this.data, ...data };
+        this._binder.update(this.data, Object.keys(data));
+        // data-each may have rendered new fields and images
+        this._prepareImages();
+        this._applyTabStops();
+        this._updateAriaLabel();
         Object.entries(data).forEach(([field, val]) => {
-            const el = this.shadow.querySelector(`[data-field="${field}"]`);
-            if (el) el.textContent = val == null ? '' : String(val);
+            if (previous[field] !== val) {
+                const el = this.shadow.querySelector(`[data-field="${field}"]`);
+                before[field] = previous[field];
+                after[field] = val;
+                this.dispatchEvent(EVENT_TYPES.CONTENT_CHANGE, {
+                    field,
+                    value: val,
+                    oldValue: previous[field],
+                    source,
+                    element: el || null
+                });
+            }
         });
+        if (Object.keys(after).length) {
+            this._recordHistory({ type: 'data', key: Object.keys(after).join(','), before, after });
+        }
+        this._runValidation();
+        this._callPlugins('afterSetContent', this, data, { source });
+        this._invalidateSize();
         this._scheduleResize();
         return this;
     }
 
     resize(targetWidth) {
+        // remember explicit widths so later content updates keep them
+        if (targetWidth !== undefined && Number.isFinite(Number(targetWidth)) && Number(targetWidth) > 0) {
+            this.options.targetWidth = Number(targetWidth);
+        }
         this._scheduleResize(targetWidth);
         return this;
     }
 
     // ---------- Resize ----------
-    async _doResize(targetWidth) {
+    // Cached unscaled content size; dropped whenever content, CSS or images change
+    _invalidateSize() {
+        this._originalWidth = this._originalHeight = null;
+    }
+
+    // fit: 'container' follows the container width; both modes re-fit when the content reflows
+    _observeSize() {
+        if (typeof ResizeObserver === 'undefined') return;
+        this.resizeObserver = new ResizeObserver(entries => this._handleObservedResize(entries));
+        this.resizeObserver.observe(this.innerContainer);
+        if (this.options.fit === 'container') this.resizeObserver.observe(this.options.container);
+    }
+
+    // cards moved by CardSortable keep fitting their new container
+    _setContainer(container) {
+        if (this.isDestroyed || !container || container === this.options.container) return;
+        if (this.options.fit === 'container' && this.resizeObserver) {
+            this.resizeObserver.unobserve(this.options.container);
+            this.resizeObserver.observe(container);
+            this._scheduleResize();
+        }
+        this.options.container = container;
+    }
+
+    _handleObservedResize(entries) {
+        if (this.isDestroyed) return;
+        let changed = false;
+        entries.forEach(entry => {
+            if (entry.target === this.innerContainer) {
+                // our own width/scale updates keep the unscaled height; anything else is a reflow
+                const height = entry.contentRect.height;
+                if (!this._isResizing && this._originalHeight && Math.abs(height - this._originalHeight) > 0.5) {
+                    this._invalidateSize();
+                    changed = true;
+                }
+            } else {
+                const width = Math.floor(entry.contentRect.width);
+                if (width > 0 && width !== this._containerWidth) {
+                    this._containerWidth = width;
+                    changed = true;
+                }
+            }
+        });
+        if (changed) this._scheduleResize(undefined, { quiet: true });
+    }
+
+    async _doResize(targetWidth, { quiet = false } = {}) {
         if (this.isDestroyed) return;
         if (!this.innerContainer) return;
 
@@ -403,51 +736,53 @@ export class ShadowCard {
                 this._pendingTargetWidth = explicitTarget;
             }
             this._pendingResize = true;
+            this._pendingQuiet = this._pendingQuiet && quiet;
             return;
         }
 
         // --- Validate target width ---
-        const requestedWidth = Number(targetWidth ?? this.options.targetWidth);
-        if (!Number.isFinite(requestedWidth) || requestedWidth < 160) return;
-        const targetW = Math.min(1200, requestedWidth);
+        const { minWidth, maxWidth, minScale } = this.options;
+        const fitWidth = this.options.fit === 'container' ? this._containerWidth : null;
+        const requestedWidth = Number(targetWidth ?? (fitWidth || this.options.targetWidth));
+        if (!Number.isFinite(requestedWidth) || requestedWidth <= 0) return;
+        const targetW = Math.min(Number(maxWidth) || 1200, Math.max(Number(minWidth) || 0, requestedWidth));
 
         this._isResizing = true;
         this._pendingResize = false;
         this._pendingTargetWidth = null;
-
-        const overlay = this.shadow?.querySelector('#loading-overlay');
+        this._pendingQuiet = true;
 
         try {
             // --- Step 1: Show overlay and set target width immediately ---
             this.element.style.width = `${targetW}px`;
-            overlay?.classList.remove('hidden');
-
-            // --- Step 2: Wait for images to load before measuring ---
-            const imgResult = await Promise.race([
-                this.waitForImages({ timeoutMs: 5000 }),
-                new Promise(resolve => setTimeout(
-                    () => resolve({ success: false, timeout: true, errorCount: 0 }),
-                    5000
-                ))
-            ]);
-
-            if (!imgResult.success) {
-                const errorMsg = imgResult.timeout
-                    ? `Image load timed out after 5s`
-                    : `Images failed to load (${imgResult.errorCount || 0} errors)`;
-                this.dispatchError(errorMsg);
-            }
+            if (!quiet) this._setBusy(true);
+
+            // --- Step 2: Wait for images without a known box before measuring ---
+            // (lazy images and ones with width/height keep their placeholder size)
+            await this._settleImages(this._layoutImages(), this.options.imageTimeoutMs);
+            if (this.isDestroyed) return;
 
             // --- Step 3: Measure original content dimensions ---
             if (!this._originalWidth || !this._originalHeight) {
                 try {
                     if (!this.innerContainer) return; 
+                    // measure the natural layout, then restore the current one until step 6
+                    // (server-rendered cards arrive zoomed instead of transformed)
+                    const { transform, width, zoom } = this.innerContainer.style;
                     this.innerContainer.style.transform = 'scale(1)';
+                    this.innerContainer.style.width = '';
+                    this.innerContainer.style.zoom = '';
                     const rect = this.innerContainer.getBoundingClientRect();
                     this._originalWidth = Math.max(1, rect.width || this.innerContainer.offsetWidth || 1);
                     this._originalHeight = Math.max(1, rect.height || this.innerContainer.offsetHeight || 1);
+                    this.innerContainer.style.transform = transform;
+                    this.innerContainer.style.width = width;
+                    this.innerContainer.style.zoom = zoom;
                 } catch (err) {
-                    this.dispatchError(`Failed to measure container: ${err.message}`);
+                    this.dispatchError(new Error(`Failed to measure container: ${err.message}`), {
+                        code: ERROR_CODES.RESIZE_FAILED,
+                        severity: ERROR_SEVERITY.WARNING
+                    });
                     this._originalWidth = targetW;
                     this._originalHeight = 100;
                 }
@@ -455,58 +790,881 @@ export class ShadowCard {
 
             // --- Step 4: Calculate scale ---
             const rawScale = targetW / this._originalWidth;
-            const clampedScale = Math.min(1, Math.max(0.2, rawScale));
+            const clampedScale = Math.min(1, Math.max(Number(minScale) || 0, rawScale));
             const finalScale = Number.isFinite(clampedScale) && clampedScale > 0 ? clampedScale : 1;
+            this._imageScale = finalScale;
+            this._applyImageSizes(finalScale);
 
             // --- Step 5: Set final container height immediately ---
             const scaledH = Math.round(this._originalHeight * finalScale) + 0.5;
             this.element.style.height = `${scaledH}px`;
+            this.dispatchEvent(EVENT_TYPES.CARD_RESIZE, { width: targetW, height: scaledH, scale: finalScale });
+            this._callPlugins('afterResize', this, { width: targetW, height: scaledH, scale: finalScale });
 
             // --- Step 6: Apply inner content scaling ---
             requestAnimationFrame(() => {
                 if (!this.innerContainer) return; 
+                this.innerContainer.style.zoom = '';
                 this.innerContainer.style.transform = `scale(${finalScale})`;
                 this.innerContainer.style.transformOrigin = 'top left';
                 const adjustedWidth = Math.round(targetW / finalScale) + 0.5;
                 this.innerContainer.style.width = `${adjustedWidth}px`;
                 this.innerContainer.style.overflow = 'hidden';
+                this._layoutSkeleton(targetW, finalScale);
             });
 
             // --- Step 7: Hide overlay after render ---
             if (this._hideOverlayRaf) cancelAnimationFrame(this._hideOverlayRaf);
             this._hideOverlayRaf = requestAnimationFrame(() => {
-                overlay?.classList.add('hidden');
+                this._setBusy(false);
                 this._hideOverlayRaf = null;
             });
 
         } catch (err) {
-            overlay?.classList.add('hidden');
-            this.dispatchError(`Resize failed: ${err.message || String(err)}`);
+            this._setBusy(false);
+            this.dispatchError(err, { code: ERROR_CODES.RESIZE_FAILED });
         } finally {
             this._isResizing = false;
 
             // --- Step 8: Handle pending resize ---
             if (this._pendingResize) {
                 const pendingTarget = this._pendingTargetWidth;
+                const pendingQuiet = this._pendingQuiet;
                 this._pendingResize = false;
                 this._pendingTargetWidth = null;
+                this._pendingQuiet = true;
                 setTimeout(() => {
-                    try { this._doResize(pendingTarget); } catch (e) {
-                        this.dispatchError(`Failed to process pending resize: ${e.message}`);
+                    try { this._doResize(pendingTarget, { quiet: pendingQuiet }); } catch (e) {
+                        this.dispatchError(e, { code: ERROR_CODES.RESIZE_FAILED });
                     }
                 }, 0);
             }
         }
     }
 
-    _scheduleResize(targetWidth) {
+    _scheduleResize(targetWidth, opts) {
         if (this._resizeDebounce) clearTimeout(this._resizeDebounce);
         this._resizeDebounce = setTimeout(() => {
-            this._doResize(targetWidth);
+            this._doResize(targetWidth, opts);
             this._resizeDebounce = null;
         }, 50);
     }
 
+    // ---------- Inline editing ----------
+    // Fields become contenteditable when `editable` is on. Input is debounced into
+    // this.data; the edit is committed (content-change) on blur or Enter and
+    // rolled back on Escape.
+    _applyEditable() {
+        if (!this.options?.editable || !this.innerContainer) return;
+        this.innerContainer.querySelectorAll(EDITABLE_SELECTOR).forEach(el => {
+            // repeated items have no single data path to write back to; Markdown fields show rendered HTML
+            if (el.tagName === 'IMG' || isFormControl(el) || this._binder.isScoped(el) || isMarkdownField(el)) return;
+            try {
+                el.contentEditable = 'plaintext-only';
+            } catch (e) {
+                // 'plaintext-only' unsupported, fall back to rich editing
+                el.contentEditable = 'true';
+            }
+        });
+    }
+
+    _bindEditing() {
+        this._editHandlers = {
+            focusin: e => this._handleEditFocusIn(e),
+            input: () => this._handleEditInput(),
+            focusout: e => {
+                if (this._editSession && e.target === this._editSession.element) this._commitEdit();
+            },
+            keydown: e => this._handleEditKeydown(e)
+        };
+        Object.entries(this._editHandlers).forEach(([type, handler]) =>
+            this.shadow.addEventListener(type, handler)
+        );
+    }
+
+    _unbindEditing() {
+        if (!this._editHandlers) return;
+        Object.entries(this._editHandlers).forEach(([type, handler]) =>
+            this.shadow?.removeEventListener(type, handler)
+        );
+        this._editHandlers = null;
+    }
+
+    _handleEditFocusIn(event) {
+        const el = event.target?.closest?.(EDITABLE_SELECTOR);
+        if (!el || !el.isContentEditable) return;
+        this._editSession = {
+            element: el,
+            field: el.getAttribute('data-field'),
+            oldValue: el.textContent
+        };
+    }
+
+    _handleEditInput() {
+        if (!this._editSession) return;
+        if (this._editDebounce) clearTimeout(this._editDebounce);
+        this._editDebounce = setTimeout(() => {
+            this._editDebounce = null;
+            this._syncEdit();
+        }, Number(this.options.editDebounceMs) || 0);
+    }
+
+    _handleEditKeydown(event) {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+            const key = String(event.key).toLowerCase();
+            const isUndo = key === 'z' && !event.shiftKey;
+            const isRedo = (key === 'z' && event.shiftKey) || key === 'y';
+            if (isUndo || isRedo) {
+                event.preventDefault();
+                // flush pending keystrokes so they become their own step
+                if (this._editDebounce) {
+                    clearTimeout(this._editDebounce);
+                    this._editDebounce = null;
+                    this._syncEdit();
+                }
+                if (isUndo) this.undo(); else this.redo();
+                return;
+            }
+        }
+        if (!this._editSession) return;
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();
+            const { element } = this._editSession;
+            this._commitEdit();
+            element.blur();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this._cancelEdit();
+        }
+    }
+
+    // Write the live text of the active field into this.data and re-measure
+    _syncEdit() {
+        const session = this._editSession;
+        if (!session || this.isDestroyed) return;
+        if (session.field) {
+            const { field } = session;
+            const [root] = field.split('.');
+            const value = session.element.textContent;
+            const current = getPath(this.data, field);
+            const oldValue = current !== undefined ? current : session.oldValue;
+            const before = this.data?.[root];
+            this.data = setPath(this.data, field, value);
+            // refresh other bindings of the same path; the edited node already holds the text
+            this._binder.update(this.data, [root]);
+            this._touched.add(field);
+            this._runValidation();
+            if (oldValue !== value) {
+                this._recordHistory({
+                    type: 'data',
+                    key: field,
+                    before: { [root]: root === field ? oldValue : before },
+                    after: { [root]: this.data[root] },
+                    coalesce: true
+                });
+            }
+        }
+        this._invalidateSize();
+        this._scheduleResize(undefined, { quiet: true });
+    }
+
+    _commitEdit() {
+        const session = this._editSession;
+        if (!session) return;
+        if (this._editDebounce) {
+            clearTimeout(this._editDebounce);
+            this._editDebounce = null;
+        }
+        this._syncEdit();
+        this._editSession = null;
+
+        const value = session.element.textContent;
+        if (value === session.oldValue) return;
+        this.dispatchEvent(EVENT_TYPES.CONTENT_CHANGE, {
+            field: session.field,
+            value,
+            oldValue: session.oldValue,
+            source: 'user',
+            element: session.element
+        });
+    }
+
+    _cancelEdit() {
+        const session = this._editSession;
+        if (!session) return;
+        if (this._editDebounce) {
+            clearTimeout(this._editDebounce);
+            this._editDebounce = null;
+        }
+        session.element.textContent = session.oldValue;
+        this._syncEdit();
+        this._editSession = null;
+        session.element.blur();
+    }
+
+    // ---------- Forms and validation ----------
+    // <input>, <select> and <textarea> with data-field write their value into this.data
+    // on input; `change` emits content-change. The schema option is checked after
+    // every data change; fields show their error once the user changed or left them,
+    // or after validate().
+    _handleControlEvent(event) {
+        const el = event.target;
+        if (this.isDestroyed || !isFormControl(el) || !el.hasAttribute('data-field')) return;
+        // repeated items have no single data path to write back to
+        if (this._binder.isScoped(el)) return;
+        const field = el.getAttribute('data-field');
+
+        if (event.type === 'focusout') {
+            this._touch(field);
+            return;
+        }
+        // a radio group reports through the radio that got checked
+        if (el.type === 'radio' && !el.checked) return;
+
+        const [root] = field.split('.');
+        const current = getPath(this.data, field);
+        if (!this._controlBase.has(el)) this._controlBase.set(el, current);
+        const value = readControlValue(el, current);
+        if (!sameValue(value, current)) {
+            const before = this.data?.[root];
+            this.data = setPath(this.data, field, value);
+            // refresh other bindings of the same path; the control already holds the value
+            this._binder.update(this.data, [root]);
+            this._recordHistory({
+                type: 'data',
+                key: field,
+                before: { [root]: before },
+                after: { [root]: this.data[root] },
+                coalesce: event.type === 'input'
+            });
+            this._updateAriaLabel();
+            this._touched.add(field);
+            this._runValidation();
+        }
+        if (event.type !== 'change') return;
+
+        const oldValue = this._controlBase.get(el);
+        this._controlBase.delete(el);
+        const newValue = getPath(this.data, field);
+        if (sameValue(oldValue, newValue)) return;
+        this.dispatchEvent(EVENT_TYPES.CONTENT_CHANGE, {
+            field,
+            value: newValue,
+            oldValue,
+            source: 'user',
+            element: el
+        });
+    }
+
+    _touch(field) {
+        if (this._touched.has(field)) return;
+        this._touched.add(field);
+        this._applyValidity();
+    }
+
+    /**
+     * Replace the validation schema and re-validate
+     * @param {Object|null} schema - Rules keyed by data path (see README)
+     */
+    setSchema(schema = null) {
+        try {
+            Validator.validateNotDestroyed(this);
+            Validator.validateSchema(schema);
+        } catch (err) {
+            this.dispatchError(err, { code: ERROR_CODES.INVALID_SCHEMA, throwIfStrict: true });
+            return this;
+        }
+        this.options.schema = schema || null;
+        // a new schema shows errors only as the user reaches the fields again
+        this._showAllErrors = false;
+        this._runValidation();
+        return this;
+    }
+
+    /**
+     * Validate data against the schema and show the error of every invalid field
+     * @returns {{ valid: boolean, errors: Object<string, { rule: string, message: string }> }}
+     */
+    validate() {
+        if (this.isDestroyed) return { valid: true, errors: {} };
+        this._showAllErrors = true;
+        return this._runValidation();
+    }
+
+    /**
+     * Hide the errors shown so far (by validate() or by fields the user reached), e.g. after
+     * the form was saved or reset. Validation keeps running; fields show errors again once
+     * the user changes or leaves them, or after the next validate().
+     */
+    clearValidation() {
+        if (this.isDestroyed) return this;
+        this._showAllErrors = false;
+        this._touched.clear();
+        this._applyValidity();
+        return this;
+    }
+
+    // validation-change fires when the set of errors differs from the last run
+    _runValidation() {
+        const previous = this._validation;
+        const result = validateSchema(this.data || {}, this.options.schema, this);
+        this._validation = result;
+        this._applyValidity();
+        if (previous && !sameValidation(previous, result)) {
+            this.dispatchEvent(EVENT_TYPES.VALIDATION_CHANGE, { valid: result.valid, errors: result.errors });
+        }
+        return { valid: result.valid, errors: { ...result.errors } };
+    }
+
+    // aria-invalid and native validity on fields, messages in [data-error] elements, [invalid] on the host
+    _applyValidity() {
+        if (!this.innerContainer || !this._validation) return;
+        const { errors } = this._validation;
+        const shown = field => (this._showAllErrors || this._touched.has(field) ? errors[field] : null);
+
+        this.innerContainer.querySelectorAll('[data-field]').forEach(el => {
+            if (this._binder.isScoped(el)) return;
+            const error = shown(el.getAttribute('data-field'));
+            if (error) el.setAttribute('aria-invalid', 'true');
+            else el.removeAttribute('aria-invalid');
+            if (typeof el.setCustomValidity === 'function') el.setCustomValidity(error ? error.message : '');
+        });
+        this.innerContainer.querySelectorAll('[data-error]').forEach(el => {
+            const text = shown(el.getAttribute('data-error'))?.message || '';
+            if (el.textContent !== text) el.textContent = text;
+        });
+        this.element.toggleAttribute('invalid', Object.keys(errors).some(shown));
+    }
+
+    // ---------- History ----------
+    undo() {
+        if (this.isDestroyed || !this.history) return this;
+        const entry = this.history.undo();
+        if (entry) {
+            this._applyHistoryEntry(entry, 'before');
+            this._emitHistoryChange('undo');
+        }
+        return this;
+    }
+
+    redo() {
+        if (this.isDestroyed || !this.history) return this;
+        const entry = this.history.redo();
+        if (entry) {
+            this._applyHistoryEntry(entry, 'after');
+            this._emitHistoryChange('redo');
+        }
+        return this;
+    }
+
+    canUndo() {
+        return !this.isDestroyed && !!this.history?.canUndo();
+    }
+
+    canRedo() {
+        return !this.isDestroyed && !!this.history?.canRedo();
+    }
+
+    clearHistory() {
+        if (this.isDestroyed || !this.history) return this;
+        this.history.clear();
+        this._emitHistoryChange('clear');
+        return this;
+    }
+
+    _recordHistory(entry) {
+        if (!this.history || this._historyPaused) return;
+        if (this.history.push(entry)) this._emitHistoryChange('record');
+    }
+
+    _applyHistoryEntry(entry, side) {
+        const value = entry[side];
+        this._historyPaused = true;
+        try {
+            if (entry.type === 'data') this._applyContent(value, 'history');
+            else if (entry.type === 'html') this.setHTML(value.html, { format: value.format });
+            else if (entry.type === 'css') this._applyStyleLayers(value);
+        } finally {
+            this._historyPaused = false;
+        }
+        // text of the field being edited may have been replaced underneath
+        if (this._editSession) this._editSession.oldValue = this._editSession.element.textContent;
+    }
+
+    _emitHistoryChange(action) {
+        this.dispatchEvent(EVENT_TYPES.HISTORY_CHANGE, {
+            action,
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+
+    // ---------- Image pipeline ----------
+    // Each <img> gets a state: status ('loading' | 'loaded' | 'failed'), attempts and a
+    // promise settled on load or final failure. Failed loads retry with exponential
+    // backoff before img-error and the fallback image (or the built-in placeholder).
+    // Images with a known aspect ratio (width/height attributes) or loading="lazy" do
+    // not hold up measuring.
+    _prepareImages() {
+        this.innerContainer?.querySelectorAll('img').forEach(img => this._imageState(img));
+        this._applyImageSizes(this._imageScale);
+    }
+
+    // stop pending retries of images about to be replaced
+    _releaseImages() {
+        this.innerContainer?.querySelectorAll('img').forEach(img => {
+            const state = this._images.get(img);
+            if (state) clearTimeout(state.retryTimer);
+        });
+    }
+
+    _imageState(img, previous = null) {
+        let state = this._images.get(img);
+        if (state) return state;
+        state = { status: 'loading', attempts: 0, fallback: false, timedOut: false, retryTimer: null, autoSizes: false, sizes: null };
+        state.done = new Promise(resolve => {
+            state.settle = resolve;
+        });
+        this._images.set(img, state);
+
+        const { imageLoading } = this.options;
+        if (imageLoading && !img.hasAttribute('loading')) img.setAttribute('loading', imageLoading);
+        const ratio = aspectRatioOf(img);
+        if (ratio) img.style.aspectRatio = ratio;
+        // sizes we wrote ourselves stay ours after a source swap
+        const sizes = img.getAttribute('sizes');
+        state.autoSizes = img.hasAttribute('srcset') && (!sizes || sizes === 'auto' || sizes === previous?.sizes);
+
+        if (!img.getAttribute('src') && !img.getAttribute('srcset')) this._settleImage(img, state, 'loaded');
+        else if (img.complete && img.naturalWidth) this._settleImage(img, state, 'loaded');
+        else {
+            img.classList.add('shadowcard-img-loading');
+            // already broken (e.g. a cached error): retry and fall back as for an error event,
+            // once the card's listeners can see img-error. An error event handled
+            // first has already scheduled a retry or given up.
+            if (img.complete) queueMicrotask(() => !state.retryTimer && this._handleImageFailure(img, state));
+        }
+        return state;
+    }
+
+    _settleImage(img, state, status) {
+        clearTimeout(state.retryTimer);
+        state.retryTimer = null;
+        state.status = status;
+        img.classList.remove('shadowcard-img-loading');
+        state.settle(status);
+    }
+
+    // Clear failure state so the new source is waited for and measured afresh
+    _resetImageState(img) {
+        const previous = this._images.get(img);
+        if (previous) {
+            clearTimeout(previous.retryTimer);
+            this._images.delete(img);
+        }
+        this._imageState(img, previous);
+        // size the new srcset before the browser picks a candidate
+        this._applyImageSizes(this._imageScale);
+        this._invalidateSize();
+    }
+
+    _handleMediaEvent(event) {
+        const img = event.target;
+        if (this.isDestroyed || !img || img.tagName !== 'IMG') return;
+        const state = this._imageState(img);
+
+        if (event.type === 'load') {
+            if (state.status === 'loading') {
+                this._settleImage(img, state, 'loaded');
+                this.dispatchEvent(EVENT_TYPES.IMG_LOAD, {
+                    imgKey: img.getAttribute('data-img'),
+                    src: img.currentSrc || img.src,
+                    attempts: state.attempts + 1,
+                    element: img
+                });
+            }
+            // an image finished loading after (re)render: its size may have changed
+            this._invalidateSize();
+            this._scheduleResize(undefined, { quiet: true });
+            return;
+        }
+
+        this._handleImageFailure(img, state);
+    }
+
+    // retry with backoff, then report and show the fallback
+    _handleImageFailure(img, state) {
+        // the fallback failing as well, or an error for an image already given up on
+        if (this.isDestroyed || this._images.get(img) !== state || state.status !== 'loading') return;
+        const { imageRetries, imageRetryDelayMs } = this.options;
+        if (state.attempts < (Number(imageRetries) || 0)) {
+            state.attempts++;
+            const delay = Math.max(0, Number(imageRetryDelayMs) || 0) * 2 ** (state.attempts - 1);
+            state.retryTimer = setTimeout(() => this._retryImage(img, state), delay);
+            return;
+        }
+
+        const src = img.currentSrc || img.getAttribute('src') || '<unknown>';
+        this._settleImage(img, state, 'failed');
+        this._reportImageError(img, state, ERROR_CODES.IMG_LOAD_FAILED, `Image failed to load: ${src}`, { src });
+        const fallback = this.options.fallbackImage || IMAGE_PLACEHOLDER;
+        if (!state.fallback) {
+            state.fallback = true;
+            img.removeAttribute('srcset');
+            img.src = fallback;
+        }
+    }
+
+    _retryImage(img, state) {
+        state.retryTimer = null;
+        if (this.isDestroyed || this._images.get(img) !== state || state.status !== 'loading') return;
+        // setting src again, even to the same URL, starts a new request
+        const src = img.getAttribute('src');
+        if (src != null) img.setAttribute('src', src);
+        else if (img.hasAttribute('srcset')) img.setAttribute('srcset', img.getAttribute('srcset'));
+    }
+
+    // images still loading when a wait times out are reported once and stop holding up the card
+    _timeoutImage(img, state, timeoutMs) {
+        if (state.status !== 'loading' || state.timedOut) return;
+        state.timedOut = true;
+        this._reportImageError(img, state, ERROR_CODES.IMG_TIMEOUT, `Image load timeout after ${timeoutMs}ms`, {
+            src: img.currentSrc || img.getAttribute('src') || '<unknown>',
+            timeoutMs
+        });
+    }
+
+    // image failures reach the onError hooks and img-error, not the card's `error` event
+    _reportImageError(img, state, code, message, details) {
+        const imgKey = img.getAttribute('data-img');
+        const error = new ShadowCardError(code, message, {
+            severity: ERROR_SEVERITY.WARNING,
+            cardId: this.id,
+            details: { ...details, imgKey }
+        });
+        notifyError(error, this, this.options.onError);
+        this.dispatchEvent(EVENT_TYPES.IMG_ERROR, {
+            imgKey,
+            src: details.src,
+            attempts: state.attempts + 1,
+            code,
+            error,
+            element: img
+        });
+    }
+
+    // images without a known box must load before the card can be measured
+    // (those that already timed out are not waited for again)
+    _layoutImages() {
+        if (!this.innerContainer) return [];
+        return Array.from(this.innerContainer.querySelectorAll('img'))
+            .filter(img => !isLazyImage(img) && !aspectRatioOf(img) && !this._images.get(img)?.timedOut);
+    }
+
+    // srcset candidates are picked for the width the image is displayed at, after scaling
+    _applyImageSizes(scale) {
+        this.innerContainer?.querySelectorAll('img[srcset]').forEach(img => {
+            const state = this._images.get(img);
+            if (!state?.autoSizes) return;
+            const layoutWidth = img.offsetWidth || this.innerContainer.offsetWidth;
+            if (!layoutWidth) return;
+            const sizes = `${Math.max(1, Math.ceil(layoutWidth * scale))}px`;
+            if (img.getAttribute('sizes') === sizes) return;
+            state.sizes = sizes;
+            img.setAttribute('sizes', sizes);
+        });
+    }
+
+    // ---------- Serialization ----------
+    /**
+     * Plain, versioned snapshot of the card's state
+     * @returns {Object} { version, id, html, css, styleLayers?, data, styles, options }
+     */
+    toJSON() {
+        Validator.validateNotDestroyed(this);
+        const options = {};
+        SNAPSHOT_OPTION_KEYS.forEach(key => {
+            if (this.options[key] !== undefined) options[key] = this.options[key];
+        });
+        const base = this._styleLayers.find(entry => entry.name === BASE_STYLE_LAYER);
+        const styleLayers = this.getStyleLayers().filter(entry => entry.name !== BASE_STYLE_LAYER);
+        return {
+            version: SNAPSHOT_VERSION,
+            id: this.id,
+            html: this._htmlSource,
+            css: base ? base.css : '',
+            ...(styleLayers.length ? { styleLayers } : {}),
+            data: cloneJson(this.data || {}),
+            styles: cloneJson(this.options.styles || {}),
+            options
+        };
+    }
+
+    /**
+     * Create a card from a snapshot produced by toJSON (any schema version)
+     * @param {Object|string} json - Snapshot object or JSON string
+     * @param {Object} options - Options overriding the snapshot; `container` is required
+     */
+    static fromJSON(json, options = {}) {
+        return new ShadowCard(snapshotToOptions(json, options));
+    }
+
+    // ---------- Server-side rendering ----------
+    /**
+     * Render a card to <shadow-card> markup with a declarative shadow root, without a DOM.
+     * Content is sanitized and bound, CSS inlined and the card sized to its target width.
+     * @param {Object} options - Card options (container and element are not used)
+     * @returns {string}
+     */
+    static renderToString(options = {}) {
+        return renderCardMarkup(ShadowCard, options);
+    }
+
+    /**
+     * Adopt a card rendered by renderToString, keeping its DOM
+     * @param {HTMLElement} element - The server-rendered <shadow-card>
+     * @param {Object} options - Options the embedded snapshot cannot carry
+     * (sanitize, schema, onError, ...) or should override
+     * @returns {ShadowCard}
+     */
+    static hydrate(element, options = {}) {
+        if (element?.card && !element.card.isDestroyed) return element.card;
+        Validator.validateContainer(element);
+        attachDeclarativeShadowRoot(element);
+        const state = takeHydrationState(element);
+        if (!state || !element.shadowRoot?.getElementById('inner-container')) {
+            throw new ShadowCardError(ERROR_CODES.INVALID_SNAPSHOT, ERROR_MESSAGES.NOT_SERVER_RENDERED);
+        }
+        return new ShadowCard(snapshotToOptions(state, {
+            container: element.parentElement || document.body,
+            ...options,
+            element
+        }));
+    }
+
+    // ---------- Export ----------
+    /**
+     * Standalone HTML document of the rendered card with its CSS inlined
+     * @param {Object} options
+     * @param {boolean} options.inlineImages - Embed same-origin images as data URIs (default true)
+     * @param {string} options.title - Document title
+     * @returns {Promise<string>}
+     */
+    async exportHTML({ inlineImages = true, title = this.id } = {}) {
+        Validator.validateNotDestroyed(this);
+        const tree = await buildExportTree(this, { inlineImages });
+        return toHTMLDocument(tree, { title });
+    }
+
+    /**
+     * SVG image of the rendered card (HTML inside a foreignObject)
+     * @param {Object} options
+     * @param {boolean} options.inlineImages - Embed same-origin images as data URIs (default true)
+     * @returns {Promise<string>}
+     */
+    async exportSVG({ inlineImages = true } = {}) {
+        Validator.validateNotDestroyed(this);
+        const tree = await buildExportTree(this, { inlineImages });
+        return toSVG(tree, getExportSize(this));
+    }
+
+    /**
+     * PNG image of the rendered card. Cross-origin images cannot be embedded and are left out.
+     * @param {Object} options
+     * @param {number} options.scale - Output pixel ratio (default devicePixelRatio)
+     * @returns {Promise<Blob>}
+     */
+    async exportPNG({ scale = window.devicePixelRatio || 1 } = {}) {
+        Validator.validateNotDestroyed(this);
+        const size = getExportSize(this);
+        const svg = await this.exportSVG({ inlineImages: true });
+        return svgToPNG(svg, { ...size, scale });
+    }
+
+    // ---------- Loading ----------
+    /**
+     * Show or hide the loading overlay, e.g. while fetching the card's data.
+     * The overlay also covers the card while it measures itself; it stays until both are done.
+     * @param {boolean|{text?: string|null, progress?: number|null}} state - true/false, or
+     * an object that shows the overlay and updates its text and progress (0 to 1, null for none)
+     */
+    setLoading(state = true) {
+        if (this.isDestroyed) return this;
+        if (!state) {
+            this._loading = null;
+        } else {
+            const next = { text: null, progress: null, ...this._loading };
+            if (typeof state === 'object') {
+                if (state.text !== undefined) next.text = state.text == null ? null : String(state.text);
+                if (state.progress !== undefined) next.progress = toProgress(state.progress);
+            }
+            this._loading = next;
+        }
+        this._syncLoading('manual');
+        return this;
+    }
+
+    /** Whether the loading overlay is showing (setLoading() or measuring) */
+    isLoading() {
+        return !this.isDestroyed && this._loadingShown;
+    }
+
+    // the overlay covers the content while the card measures itself
+    _setBusy(busy) {
+        this._busy = busy;
+        this._syncLoading('resize');
+    }
+
+    // loading-start/loading-end fire when the overlay appears or goes, whatever the reason
+    _syncLoading(reason) {
+        if (this.isDestroyed || !this.shadow) return;
+        const shown = !!this._loading || this._busy;
+        const changed = shown !== this._loadingShown;
+        this._loadingShown = shown;
+        // a skeleton copies the current content, so it is redrawn whenever measuring starts
+        this._renderLoading(shown && (changed || reason === 'resize'));
+        this.shadow.getElementById('loading-overlay')?.classList.toggle('hidden', !shown);
+        if (shown) this.element.setAttribute('aria-busy', 'true');
+        else this.element.removeAttribute('aria-busy');
+        if (!changed) return;
+        // the initial overlay went before its loading-start was sent: neither event fires
+        if (!this._loadingAnnounced) {
+            this._loadingAnnounced = true;
+            return;
+        }
+        this._dispatchLoading(shown, reason);
+    }
+
+    // loading-start for the overlay a new card starts with
+    _announceLoading() {
+        if (this._loadingAnnounced || this.isDestroyed) return;
+        this._loadingAnnounced = true;
+        this._dispatchLoading(true, 'resize');
+    }
+
+    _dispatchLoading(shown, reason) {
+        this.dispatchEvent(shown ? EVENT_TYPES.LOADING_START : EVENT_TYPES.LOADING_END, {
+            reason,
+            text: this._loadingText(),
+            progress: this._loading?.progress ?? null
+        });
+    }
+
+    _loadingText() {
+        if (this._loading?.text != null) return this._loading.text;
+        const theme = this._themeName ? getTheme(this._themeName) : null;
+        return theme?.styles.loadingText ?? this.options.styles?.loadingText ?? '';
+    }
+
+    // loadingTemplate: null (spinner and text), 'skeleton' or HTML; text and progress go into
+    // its .loading-text elements and the progress bar
+    _renderLoading(rebuild = false) {
+        const overlay = this.shadow?.getElementById('loading-overlay');
+        if (!overlay) return;
+        const { loadingTemplate } = this.options;
+        const mode = typeof loadingTemplate !== 'string' || !loadingTemplate.trim() ? 'default'
+            : loadingTemplate === SKELETON ? SKELETON : 'template';
+
+        if (mode !== this._overlayMode || (rebuild && mode === SKELETON)) {
+            overlay.classList.toggle('skeleton', mode === SKELETON);
+            if (mode === SKELETON) {
+                overlay.innerHTML = `<span class="loading-text loading-sr-only"></span>${progressMarkup()}`;
+                overlay.prepend(buildSkeleton(this.innerContainer));
+                this._layoutSkeleton();
+            } else if (mode === 'template') {
+                overlay.innerHTML = sanitizeWithPolicy(loadingTemplate, this.options.sanitize).html + progressMarkup();
+            } else {
+                overlay.innerHTML = spinnerMarkup() + progressMarkup();
+            }
+            this._overlayMode = mode;
+        }
+
+        const text = this._loadingText();
+        overlay.querySelectorAll('.loading-text').forEach(el => { el.textContent = text; });
+        const progress = this._loading?.progress ?? null;
+        const bar = overlay.querySelector('.loading-progress');
+        if (bar) {
+            bar.hidden = progress === null;
+            if (progress === null) bar.removeAttribute('aria-valuenow');
+            else bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        }
+        overlay.style.setProperty('--shadow-card-loading-progress', String(progress ?? 0));
+    }
+
+    // the skeleton copies the unscaled layout, so it scales like #inner-container
+    _layoutSkeleton(width = parseFloat(this.element?.style.width) || this.options?.targetWidth, scale = null) {
+        const skeleton = this.shadow?.querySelector('#loading-overlay .loading-skeleton');
+        if (!skeleton || !(width > 0)) return;
+        const minScale = Number(this.options.minScale) || 0;
+        const finalScale = scale || Math.min(1, Math.max(minScale, width / (this._originalWidth || INNER_WIDTH)));
+        skeleton.style.transform = `scale(${finalScale})`;
+        skeleton.style.width = `${Math.round(width / finalScale) + 0.5}px`;
+    }
+
+    // ---------- Accessibility ----------
+
+    // ariaLabel: a string with {{ path }} placeholders, or (data, card) => string
+    _updateAriaLabel() {
+        const { ariaLabel } = this.options;
+        if (!this.element || ariaLabel == null || ariaLabel === '') return;
+        let label = '';
+        try {
+            label = typeof ariaLabel === 'function' ? ariaLabel(this.data || {}, this) : interpolate(ariaLabel, this.data || {});
+        } catch (e) { /* keep the label empty */ }
+        label = String(label ?? '').trim();
+        if (label) this.element.setAttribute('aria-label', label);
+        else this.element.removeAttribute('aria-label');
+    }
+
+    /** Move keyboard focus to the card */
+    focus(options) {
+        if (!this.isDestroyed) this.element.focus(options);
+        return this;
+    }
+
+    // whether Tab reaches the card and its fields; collections keep one card tabbable
+    _setTabbable(tabbable) {
+        if (this.isDestroyed) return;
+        this._tabbable = !!tabbable;
+        this.element.tabIndex = this._tabbable ? 0 : -1;
+        this._applyTabStops();
+    }
+
+    _applyTabStops() {
+        if (!this.innerContainer) return;
+        const tabIndex = this._tabbable ? 0 : -1;
+        this.innerContainer.querySelectorAll(TAB_STOP_SELECTOR).forEach(el => {
+            // leave tabindex values written by the template alone
+            if (!this._tabStops.has(el) && el.hasAttribute('tabindex')) return;
+            this._tabStops.add(el);
+            if (el.tabIndex !== tabIndex) el.tabIndex = tabIndex;
+        });
+    }
+
+    /** Whether the card is selected in its collection */
+    get selected() {
+        return !!this.element?.hasAttribute('selected');
+    }
+
+    // selection is owned by CardCollection; the card only reflects it
+    _setSelected(selected) {
+        if (this.isDestroyed) return;
+        this.element.toggleAttribute('selected', !!selected);
+        if (SELECTABLE_ROLES.includes(this.element.getAttribute('role'))) {
+            this.element.setAttribute('aria-selected', String(!!selected));
+        }
+    }
+
+    // Enter/Space act like a click on the focused card, field or image
+    _handleKeyActivate(event) {
+        if (this.isDestroyed || (event.key !== 'Enter' && event.key !== ' ')) return;
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+        const target = typeof event.composedPath === 'function' ? event.composedPath()[0] : event.target;
+        if (!target || target.isContentEditable || NATIVE_ACTIVATION_TAGS.includes(target.tagName)) return;
+        event.preventDefault();
+        this._handleClickDelegated(event);
+    }
+
     // ---------- Event delegation ----------
     // Delegated click handler inside the shadow root.
     // Uses composedPath when available, falls back to manual path traversal.
@@ -535,6 +1693,7 @@ export class ShadowCard {
 
         // pick first relevant node from path as the initial target
         let target = (path && path.length) ? path[0] : event.target;
+        if (target?.closest?.(FORM_CONTROL_SELECTOR) && this.innerContainer?.contains(target)) return;
 
         // final fallback to elementFromPoint if target missing
         if (!target) {
@@ -574,6 +1733,7 @@ export class ShadowCard {
         // if (!found) {
         this.dispatchEvent(EVENT_TYPES.CARD_CLICK, {
             element: this.element,
+            originalEvent: event,
             stopPropagation
         });
         // }
@@ -591,9 +1751,28 @@ export class ShadowCard {
         }));
     }
 
-    dispatchError(err) {
-        const payload = typeof err === 'string' ? { message: err } : { message: err.message, stack: err.stack };
-        this.dispatchEvent(EVENT_TYPES.ERROR, payload);
+    /**
+     * Report an error: run the onError hooks, then emit `error` (or throw in strict mode)
+     * @param {Error|string} err - Wrapped into a ShadowCardError unless it is one
+     * @param {Object} options
+     * @param {string} options.code - Code for errors that have none
+     * @param {string} options.severity - Severity for errors that have none
+     * @param {Object} options.details - Extra data attached to the error
+     * @param {boolean} options.throwIfStrict - Raised by a method call, so strict cards throw it
+     * @returns {ShadowCardError}
+     */
+    dispatchError(err, { code, severity, details, throwIfStrict = false } = {}) {
+        const error = toShadowCardError(err, { code, severity, cardId: this.id, details });
+        notifyError(error, this, this.options?.onError);
+        if (throwIfStrict && this.options?.strict) throw error;
+        this.dispatchEvent(EVENT_TYPES.ERROR, {
+            error,
+            code: error.code,
+            severity: error.severity,
+            message: error.message,
+            stack: error.stack
+        });
+        return error;
     }
 
     // ---------- Event binding ----------
@@ -626,13 +1805,26 @@ export class ShadowCard {
     // ---------- Destroy ----------
     destroy() {
         if (this.isDestroyed) return;
+        this._callPlugins('beforeDestroy', this);
 
         clearTimeout(this._resizeDebounce);
+        clearTimeout(this._editDebounce);
         if (this._hideOverlayRaf) cancelAnimationFrame(this._hideOverlayRaf);
         if (this.resizeObserver) this.resizeObserver.disconnect();
+        this._releaseImages();
 
         // remove shadow listeners
         this.shadow?.removeEventListener('click', this.boundClickHandler);
+        this.element?.removeEventListener('click', this.boundClickHandler);
+        this.element?.removeEventListener('keydown', this.boundKeyHandler);
+        this.shadow?.removeEventListener('load', this.boundMediaHandler, true);
+        this.shadow?.removeEventListener('error', this.boundMediaHandler, true);
+        ['input', 'change', 'focusout'].forEach(type => this.shadow?.removeEventListener(type, this.boundControlHandler));
+        this._unbindEditing();
+        this._editSession = null;
+        unwatchTheme(this);
+        this._layerCss.forEach(releaseSheet);
+        this._layerCss = this._layerSheets = [];
 
         // remove bound custom event listeners
         this.eventListeners.forEach((handlers, type) =>
@@ -654,16 +1846,194 @@ export class ShadowCard {
         }
 
         // clear internal references for GC
-        this.element = this.shadow = this.innerContainer = this.data = this.options = null;
-        this.boundClickHandler = null;
+        this.history?.clear();
+        this.element = this.shadow = this.innerContainer = this.data = this.options = this.history = null;
+        this.boundClickHandler = this.boundMediaHandler = this.boundKeyHandler = this.boundControlHandler = null;
         this.isDestroyed = true;
     }
 
+    // ---------- Plugins ----------
+    /** Built-in event types plus those of this card's plugins, global and its own */
+    get eventTypes() {
+        return pluginEvents(this._plugins || getPlugins());
+    }
+
+    // a failing hook is reported and skipped; the card and the other plugins carry on
+    _callPlugins(hook, ...args) {
+        callHook(this._plugins, hook, args, (err, plugin) => this._reportPluginError(err, plugin, hook));
+    }
+
+    _pipePlugins(hook, value, ...args) {
+        return pipeHook(this._plugins, hook, value, args, (err, plugin) => this._reportPluginError(err, plugin, hook));
+    }
+
+    _reportPluginError(err, plugin, hook) {
+        this.dispatchError(err, {
+            code: ERROR_CODES.PLUGIN_FAILED,
+            severity: ERROR_SEVERITY.WARNING,
+            details: { plugin: plugin.name, hook }
+        });
+    }
+
+    /**
+     * Register (or replace, by name) a plugin for every card created afterwards
+     * @param {Object} plugin - { name, styles?, events?, ...lifecycle hooks } (see plugins.js)
+     */
+    static use(plugin) {
+        registerPlugin(plugin);
+        return ShadowCard;
+    }
+
+    /**
+     * Unregister a global plugin; its event types leave EVENT_TYPES and cards created before keep it
+     * @param {string} name
+     */
+    static unuse(name) {
+        unregisterPlugin(name);
+        return ShadowCard;
+    }
+
+    // ---------- Theme registry ----------
+    /**
+     * Register (or replace) a named theme; cards using it restyle immediately
+     * @param {string} name
+     * @param {Object} theme - { styles, css, variables }
+     */
+    static registerTheme(name, theme) {
+        registerTheme(name, theme);
+        return ShadowCard;
+    }
+
+    static getTheme(name) {
+        return getTheme(name);
+    }
+
+    static getThemeNames() {
+        return getThemeNames();
+    }
+
+    // ---------- Error handling ----------
+    /**
+     * Register a handler called with (error, card) for errors of every card
+     * @param {Function} handler
+     * @returns {Function} Removes the handler
+     */
+    static onError(handler) {
+        return addErrorHandler(handler);
+    }
+
     // ---------- Batch creation ----------
-    static batchCreate(cards) {
+    /**
+     * Create many cards at once
+     * @param {Object[]} cards - Card options
+     * @param {Object} options
+     * @param {boolean} options.virtual - Only render cards near the viewport (see VirtualCardCollection)
+     * @param {Object} options.sanitize - Sanitization policy for every card, merged under each card's own
+     * @param {string} options.selection - 'none', 'single' or 'multi' (see CardCollection)
+     * @param {Function} options.onError - Called with (error, card) for errors of every card, after the card's own hook
+     * @returns {CardCollection|VirtualCardCollection}
+     */
+    static batchCreate(cards, { virtual = false, sanitize = null, selection = 'none', onError = null, ...virtualOptions } = {}) {
         if (!Array.isArray(cards)) throw new Error('batchCreate requires an array');
-        return cards.map(opts => new ShadowCard(opts));
+        const { create, fromJSON } = ShadowCard._batchFactories(sanitize, onError);
+        if (virtual) {
+            return new VirtualCardCollection(cards, { ...virtualOptions, create, fromJSON, selection });
+        }
+        // the collection creates each card, so a duplicate id never leaves a card behind
+        return new CardCollection(cards, { create, fromJSON, selection });
+    }
+
+    // factories shared by a batch; they also apply to cards added or restored later
+    static _batchFactories(sanitize, onError) {
+        const withBatchOptions = opts => {
+            if (!opts || typeof opts !== 'object') return opts;
+            const merged = { ...opts };
+            if (sanitize) merged.sanitize = mergePolicies(sanitize, opts.sanitize);
+            if (typeof onError === 'function') {
+                const own = opts.onError;
+                merged.onError = typeof own === 'function'
+                    ? (error, card) => {
+                        try { own(error, card); } catch (e) { /* ignore */ }
+                        onError(error, card);
+                    }
+                    : onError;
+            }
+            return merged;
+        };
+        const create = opts => new ShadowCard(withBatchOptions(opts));
+        const fromJSON = (json, options = {}) => create(snapshotToOptions(json, options));
+        return { create, fromJSON };
+    }
+
+    /**
+     * Create many cards in chunks, yielding to the main thread in between.
+     * Invalid configs are reported instead of aborting the batch; an aborted
+     * signal stops before the next chunk and keeps the cards created so far.
+     * @param {Object[]} cards - Card options
+     * @param {Object} options
+     * @param {number} options.chunkSize - Cards created per chunk
+     * @param {AbortSignal} options.signal - Stops creation when aborted
+     * @param {EventTarget} options.target - Receives `batch-progress` events
+     * @param {Object} options.sanitize - Sanitization policy for every card
+     * @param {string} options.selection - Selection mode of the collection
+     * @param {Function} options.onError - Called with (error, card) for card errors, and with (error, null) for rejected configs
+     * @returns {Promise<{ collection: CardCollection, total: number, created: number, failed: number, errors: Object[], aborted: boolean }>}
+     */
+    static async batchCreateAsync(cards, { chunkSize = 50, signal, target = document, sanitize = null, selection = 'none', onError = null } = {}) {
+        if (!Array.isArray(cards)) throw new Error('batchCreateAsync requires an array');
+        const { create, fromJSON } = ShadowCard._batchFactories(sanitize, onError);
+        const collection = new CardCollection([], { create, fromJSON, selection });
+        const report = { collection, total: cards.length, created: 0, failed: 0, errors: [], aborted: false };
+        const size = Math.max(1, Math.floor(Number(chunkSize)) || 1);
+
+        const emitProgress = done => target?.dispatchEvent(new CustomEvent(EVENT_TYPES.BATCH_PROGRESS, {
+            detail: { created: report.created, failed: report.failed, total: report.total, done }
+        }));
+
+        for (let start = 0; start < cards.length; start += size) {
+            if (signal?.aborted) {
+                report.aborted = true;
+                break;
+            }
+            cards.slice(start, start + size).forEach((config, offset) => {
+                let validated = false;
+                try {
+                    // validate first so rejected configs never touch the DOM
+                    Validator.validateOptions(config && typeof config === 'object' ? { ...DEFAULT_OPTIONS, ...config } : config);
+                    if (config.id != null && collection.has(config.id)) {
+                        throw new ShadowCardError(ERROR_CODES.DUPLICATE_ID, ERROR_MESSAGES.DUPLICATE_ID, { cardId: config.id });
+                    }
+                    validated = true;
+                    collection.add(create(config));
+                    report.created++;
+                } catch (error) {
+                    const err = toShadowCardError(error, { code: ERROR_CODES.INVALID_OPTIONS, cardId: config?.id || null });
+                    err.severity = ERROR_SEVERITY.FATAL;
+                    // the constructor already reported its own failures
+                    if (!validated) notifyError(err, null, onError);
+                    report.failed++;
+                    report.errors.push({ index: start + offset, id: config?.id, code: err.code, message: err.message, error: err });
+                }
+            });
+            const done = start + size >= cards.length;
+            emitProgress(done);
+            if (!done) await yieldToMain();
+        }
+        if (report.aborted) emitProgress(true);
+        return report;
     }
 }
 
+// Register <shadow-card> so the host element can also be used declaratively
+const ShadowCardElement = defineShadowCardElement(ShadowCard);
+
+/**
+ * Render a card to <shadow-card> markup (see ShadowCard.renderToString)
+ * @param {Object} options
+ * @returns {string}
+ */
+const renderToString = options => ShadowCard.renderToString(options);
+
+export { HistoryStack, CardCollection, VirtualCardCollection, CardLayout, CardSortable, ShadowCardElement, ShadowCardError, renderToString, EVENT_TYPES };
+
 export default ShadowCard;
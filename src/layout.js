@@ -0,0 +1,216 @@
+import { EVENT_TYPES } from './constants.js';
+
+/**
+ * CardLayout - grid / masonry layout manager for the cards in one container
+ * Features:
+ * - Column count from minCardWidth / maxCardWidth and gap
+ * - Resizes each card so the columns fill the row
+ * - Masonry placement (shortest column first) from each card's scaled height
+ * - Batched relayout on container resize, card resize and cards added or removed
+ *
+ * Cards are discovered from the container's <shadow-card> children (in DOM order),
+ * so cards created with `new ShadowCard({ container })` join automatically.
+ * Laid-out cards are given fixed widths; do not combine with `fit: 'container'`.
+ */
+const DEFAULT_LAYOUT_OPTIONS = {
+    mode: 'grid',
+    minCardWidth: 200,
+    maxCardWidth: Infinity,
+    gap: 16
+};
+
+// layout per container, for keyboard navigation by row
+const layouts = new WeakMap();
+
+/**
+ * The CardLayout arranging a container, if any
+ * @param {HTMLElement} container
+ * @returns {CardLayout|null}
+ */
+export const layoutOf = container => layouts.get(container) || null;
+
+const CONTAINER_PROPS = ['display', 'grid-template-columns', 'gap', 'align-items', 'position', 'height'];
+const CARD_PROPS = ['position', 'left', 'top', 'margin'];
+
+export class CardLayout {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {'grid'|'masonry'} options.mode
+     * @param {number} options.minCardWidth - Columns never get narrower than this
+     * @param {number} options.maxCardWidth - Cards never get wider than this
+     * @param {number} options.gap - Space between cards in px
+     */
+    constructor(container, options = {}) {
+        if (!(container instanceof HTMLElement)) throw new Error('Container must be a valid DOM element');
+        this.container = container;
+        this.options = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+        this.columns = 0;
+        this.cardWidth = 0;
+        this.isDestroyed = false;
+        this._raf = null;
+        layouts.set(container, this);
+        this._widths = new WeakMap();
+        this._savedCardStyles = new Map();
+        this._savedContainerStyles = CONTAINER_PROPS.reduce((acc, prop) => ({
+            ...acc,
+            [prop]: container.style.getPropertyValue(prop)
+        }), {});
+
+        this._onCardResize = () => {
+            if (this.options.mode === 'masonry') this.relayout();
+        };
+        container.addEventListener(EVENT_TYPES.CARD_RESIZE, this._onCardResize);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(() => this.relayout());
+            this._resizeObserver.observe(container);
+        }
+        if (typeof MutationObserver !== 'undefined') {
+            this._mutationObserver = new MutationObserver(() => this.relayout());
+            this._mutationObserver.observe(container, { childList: true });
+        }
+
+        this.relayout();
+    }
+
+    /** Live cards in the container, in DOM order */
+    get cards() {
+        return Array.from(this.container.children)
+            .map(el => el.card)
+            .filter(card => card && !card.isDestroyed);
+    }
+
+    /**
+     * Change layout options and relayout
+     * @param {Object} options
+     */
+    setOptions(options = {}) {
+        if (this.isDestroyed) return this;
+        this.options = { ...this.options, ...options };
+        return this.relayout();
+    }
+
+    /** Schedule a relayout on the next animation frame (calls are batched) */
+    relayout() {
+        if (this.isDestroyed || this._raf) return this;
+        this._raf = requestAnimationFrame(() => {
+            this._raf = null;
+            this.layoutNow();
+        });
+        return this;
+    }
+
+    /** Lay out immediately */
+    layoutNow() {
+        if (this.isDestroyed) return this;
+        const cards = this.cards;
+        this._restoreRemovedCards(cards);
+
+        const { gap, minCardWidth, maxCardWidth, mode } = this.options;
+        const gapPx = Math.max(0, Number(gap) || 0);
+        const available = this._contentWidth();
+        const minW = Math.max(1, Number(minCardWidth) || 1);
+
+        this.columns = Math.max(1, Math.floor((available + gapPx) / (minW + gapPx)));
+        const fill = Math.floor((available - gapPx * (this.columns - 1)) / this.columns);
+        this.cardWidth = Math.max(1, Math.min(Number(maxCardWidth) || Infinity, fill));
+
+        cards.forEach(card => {
+            this._saveCardStyles(card);
+            card.element.style.margin = '0';
+            if (this._widths.get(card) !== this.cardWidth) {
+                this._widths.set(card, this.cardWidth);
+                card.resize(this.cardWidth);
+            }
+        });
+
+        if (mode === 'masonry') this._placeMasonry(cards, gapPx);
+        else this._placeGrid(cards, gapPx);
+        return this;
+    }
+
+    destroy() {
+        if (this.isDestroyed) return;
+        if (this._raf) cancelAnimationFrame(this._raf);
+        this._resizeObserver?.disconnect();
+        this._mutationObserver?.disconnect();
+        this.container.removeEventListener(EVENT_TYPES.CARD_RESIZE, this._onCardResize);
+        if (layouts.get(this.container) === this) layouts.delete(this.container);
+
+        this._restoreRemovedCards([]);
+        Object.entries(this._savedContainerStyles).forEach(([prop, value]) => setStyle(this.container, prop, value));
+        this.isDestroyed = true;
+        this.container = null;
+    }
+
+    _placeGrid(cards, gap) {
+        const style = this.container.style;
+        style.setProperty('display', 'grid');
+        style.setProperty('grid-template-columns', `repeat(${this.columns}, ${this.cardWidth}px)`);
+        style.setProperty('gap', `${gap}px`);
+        style.setProperty('align-items', 'start');
+        ['position', 'height'].forEach(prop => setStyle(this.container, prop, this._savedContainerStyles[prop]));
+        cards.forEach(card => ['position', 'left', 'top'].forEach(prop => card.element.style.removeProperty(prop)));
+    }
+
+    _placeMasonry(cards, gap) {
+        const computed = getComputedStyle(this.container);
+        const padLeft = parseFloat(computed.paddingLeft) || 0;
+        const padTop = parseFloat(computed.paddingTop) || 0;
+        const heights = new Array(this.columns).fill(0);
+
+        ['display', 'grid-template-columns', 'gap', 'align-items'].forEach(prop =>
+            setStyle(this.container, prop, this._savedContainerStyles[prop])
+        );
+        if (computed.position === 'static') this.container.style.setProperty('position', 'relative');
+
+        cards.forEach(card => {
+            const column = heights.indexOf(Math.min(...heights));
+            const el = card.element;
+            el.style.position = 'absolute';
+            el.style.left = `${padLeft + column * (this.cardWidth + gap)}px`;
+            el.style.top = `${padTop + heights[column]}px`;
+            // scaled height written by the card's last resize
+            const height = el.offsetHeight || parseFloat(el.style.height) || 0;
+            heights[column] += height + gap;
+        });
+
+        const contentHeight = Math.max(0, Math.max(...heights) - gap);
+        const extra = computed.boxSizing === 'border-box'
+            ? padTop + (parseFloat(computed.paddingBottom) || 0)
+            : 0;
+        this.container.style.setProperty('height', `${contentHeight + extra}px`);
+    }
+
+    _contentWidth() {
+        const computed = getComputedStyle(this.container);
+        const padding = (parseFloat(computed.paddingLeft) || 0) + (parseFloat(computed.paddingRight) || 0);
+        return Math.max(0, (this.container.clientWidth || 0) - padding);
+    }
+
+    _saveCardStyles(card) {
+        if (this._savedCardStyles.has(card)) return;
+        this._savedCardStyles.set(card, CARD_PROPS.reduce((acc, prop) => ({
+            ...acc,
+            [prop]: card.element.style.getPropertyValue(prop)
+        }), {}));
+    }
+
+    // give cards that left the layout their own positioning back
+    _restoreRemovedCards(current) {
+        this._savedCardStyles.forEach((saved, card) => {
+            if (current.includes(card)) return;
+            if (card.element) Object.entries(saved).forEach(([prop, value]) => setStyle(card.element, prop, value));
+            this._savedCardStyles.delete(card);
+            this._widths.delete(card);
+        });
+    }
+}
+
+const setStyle = (el, prop, value) => {
+    if (value) el.style.setProperty(prop, value);
+    else el.style.removeProperty(prop);
+};
+
+export default CardLayout;
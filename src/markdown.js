@@ -0,0 +1,43 @@
+import { Marked } from 'marked';
+import { mergePolicies } from './sanitize.js';
+
+/**
+ * Markdown support
+ * GitHub-flavoured Markdown (tables, fenced code, task lists, strikethrough,
+ * autolinks) is converted with a bundled `marked` instance and then goes
+ * through the card's sanitization policy like any other HTML. Raw HTML such
+ * as <details>/<summary> passes through to the sanitizer.
+ */
+const marked = new Marked({ gfm: true, breaks: false, async: false });
+
+/**
+ * Convert Markdown to (unsanitized) HTML
+ * @param {string} source
+ * @returns {string}
+ */
+export const markdownToHtml = (source = '') => {
+    if (source == null || source === '') return '';
+    return marked.parse(String(source));
+};
+
+/**
+ * Policy additions for Markdown output: task list checkboxes.
+ * Any <input> that survives is forced to a disabled checkbox.
+ */
+export const MARKDOWN_POLICY = {
+    addTags: ['input'],
+    addAttrs: ['type', 'checked', 'disabled', 'start'],
+    hooks: {
+        afterSanitizeAttributes: node => {
+            if (node.nodeName !== 'INPUT') return;
+            node.setAttribute('type', 'checkbox');
+            node.setAttribute('disabled', '');
+        }
+    }
+};
+
+/**
+ * The card policy extended for Markdown output
+ * @param {Object|null} policy - Card sanitization policy
+ */
+export const markdownPolicyFor = policy => (policy ? mergePolicies(MARKDOWN_POLICY, policy) : MARKDOWN_POLICY);
@@ -0,0 +1,158 @@
+import { EVENT_TYPES, ERROR_CODES, ERROR_MESSAGES } from './constants.js';
+import { ShadowCardError } from './errors.js';
+
+/**
+ * Plugin registry
+ * A plugin is a named object of lifecycle hooks, plus optional style keys and event types:
+ *
+ *   ShadowCard.use({
+ *     name: 'watermark',
+ *     styles: { watermarkColor: '--shadow-card-watermark-color' }, // style key -> CSS variable
+ *     events: { WATERMARK_CLICK: 'watermark-click' },              // see below
+ *     beforeCreate(options) { return { imageLoading: 'lazy', ...options }; },
+ *     beforeSetHTML(html, card, { format }) { return `${html}<span class="mark">Draft</span>`; },
+ *     afterCreate(card) { card.on('card-click', track); },
+ *     afterRender(card) {},
+ *     afterSetContent(card, data, { source }) {},
+ *     afterResize(card, { width, height, scale }) {},
+ *     beforeDestroy(card) {}
+ *   });
+ *
+ * Plugins registered with ShadowCard.use() apply to cards created afterwards, before
+ * the card's own `plugins` option; a card plugin with the same name replaces the global one.
+ * beforeCreate and beforeSetHTML transform their first argument: returning undefined
+ * keeps it. HTML from beforeSetHTML is sanitized like any other card HTML; snapshots and
+ * undo keep the HTML from before the plugins, which apply again when it is set.
+ * A hook that throws is reported as a PLUGIN_FAILED warning and the other hooks still run.
+ * Event types of global plugins are added to the shared EVENT_TYPES until the plugin is
+ * replaced or unregistered; those of a card's own plugins are only listed in that card's
+ * `eventTypes`. Invalid plugins throw a ShadowCardError with code INVALID_PLUGIN.
+ */
+const plugins = new Map();
+
+// EVENT_TYPES before any plugin added to it
+const BUILT_IN_EVENT_TYPES = { ...EVENT_TYPES };
+
+const invalidPlugin = (message, details) => new ShadowCardError(ERROR_CODES.INVALID_PLUGIN, message, { details });
+
+// built-in event types and those of the global plugins, leaving out the plugin called `name`
+const eventTypesWithout = name => [...plugins.values()]
+    .filter(plugin => plugin.name !== name)
+    .reduce((acc, plugin) => ({ ...acc, ...plugin.events }), { ...BUILT_IN_EVENT_TYPES });
+
+const validatePlugin = plugin => {
+    if (!plugin || typeof plugin !== 'object' || !plugin.name || typeof plugin.name !== 'string') {
+        throw invalidPlugin(ERROR_MESSAGES.INVALID_PLUGIN);
+    }
+    const taken = eventTypesWithout(plugin.name);
+    Object.entries(plugin.events || {}).forEach(([key, type]) => {
+        const details = { plugin: plugin.name, event: key };
+        if (!type || typeof type !== 'string') {
+            throw invalidPlugin(`Plugin ${plugin.name}: event type ${key} must be a non-empty string`, details);
+        }
+        if (taken[key] !== undefined && taken[key] !== type) {
+            throw invalidPlugin(`Plugin ${plugin.name}: EVENT_TYPES.${key} is already '${taken[key]}'`, details);
+        }
+    });
+    return plugin;
+};
+
+// EVENT_TYPES holds the built-in types plus those of the registered plugins
+const syncEventTypes = () => {
+    Object.keys(EVENT_TYPES).forEach(key => {
+        if (!(key in BUILT_IN_EVENT_TYPES)) delete EVENT_TYPES[key];
+    });
+    plugins.forEach(plugin => Object.assign(EVENT_TYPES, plugin.events));
+};
+
+/**
+ * Register (or replace) a plugin for every card created afterwards.
+ * Its event types join the shared EVENT_TYPES, so listeners can use the constants.
+ * @param {Object} plugin
+ */
+export const registerPlugin = plugin => {
+    plugins.set(validatePlugin(plugin).name, plugin);
+    syncEventTypes();
+};
+
+/**
+ * Remove a global plugin and its event types. Cards created before keep it.
+ * @param {string} name
+ * @returns {boolean} Whether a plugin was registered under that name
+ */
+export const unregisterPlugin = name => {
+    if (!plugins.delete(name)) return false;
+    syncEventTypes();
+    return true;
+};
+
+/** Globally registered plugins, in registration order */
+export const getPlugins = () => [...plugins.values()];
+
+/**
+ * Global plugins followed by a card's own
+ * @param {Object[]|null} own - The card's `plugins` option
+ * @returns {Object[]}
+ */
+export const resolvePlugins = (own = null) => {
+    const byName = new Map(plugins);
+    [].concat(own || []).forEach(plugin => {
+        validatePlugin(plugin);
+        byName.delete(plugin.name);
+        byName.set(plugin.name, plugin);
+    });
+    return [...byName.values()];
+};
+
+/**
+ * Style key -> CSS variable mappings added by plugins
+ * @param {Object[]} list - Resolved plugins
+ */
+export const pluginStyles = list => list.reduce((acc, plugin) => {
+    Object.entries(plugin.styles || {}).forEach(([key, cssVar]) => {
+        if (cssVar) acc[key] = String(cssVar).startsWith('--') ? String(cssVar) : `--${cssVar}`;
+    });
+    return acc;
+}, {});
+
+/**
+ * Built-in event types plus those of a card's plugins
+ * @param {Object[]} list - Resolved plugins
+ */
+export const pluginEvents = list => list.reduce((acc, plugin) => ({ ...acc, ...plugin.events }), { ...BUILT_IN_EVENT_TYPES });
+
+/**
+ * Call a hook on each plugin in order
+ * @param {Object[]} list - Resolved plugins
+ * @param {string} hook
+ * @param {Array} args
+ * @param {Function} onFail - (error, plugin) for a hook that threw
+ */
+export const callHook = (list, hook, args, onFail) => list.forEach(plugin => {
+    if (typeof plugin[hook] !== 'function') return;
+    try {
+        plugin[hook](...args);
+    } catch (err) {
+        onFail(err, plugin);
+    }
+});
+
+/**
+ * Pass a value through a hook of each plugin in order.
+ * A result of another type than the value (e.g. undefined) keeps the value.
+ * @param {Object[]} list - Resolved plugins
+ * @param {string} hook
+ * @param {*} value
+ * @param {Array} args - Passed after the value
+ * @param {Function} onFail - (error, plugin) for a hook that threw
+ */
+export const pipeHook = (list, hook, value, args, onFail) => list.reduce((current, plugin) => {
+    if (typeof plugin[hook] !== 'function') return current;
+    try {
+        const result = plugin[hook](current, ...args);
+        return result != null && typeof result === typeof current ? result : current;
+    } catch (err) {
+        onFail(err, plugin);
+        return current;
+    }
+}, value);
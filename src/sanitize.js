@@ -0,0 +1,279 @@
+import DOMPurify from 'dompurify';
+import { ALLOWED_TAGS_HTML, ALLOWED_ATTRS_HTML } from './constants.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Sanitization policies
+ * A policy adjusts the default tag/attribute allowlists and restricts URLs:
+ *
+ *   {
+ *     addTags: ['video', 'source'],     removeTags: ['img'],
+ *     addAttrs: ['controls', 'poster'], removeAttrs: ['style', 'aria-*'],
+ *     urlSchemes: ['https', 'mailto'],  // schemes allowed in URL attributes (relative URLs always pass)
+ *     urlHosts: ['cdn.example.com', '*.example.org'], // hosts allowed in absolute URLs
+ *     config: { ... },                  // extra DOMPurify config, applied last
+ *     hooks: { uponSanitizeElement(node, data, config) { ... } } // DOMPurify hooks for this policy
+ *   }
+ *
+ * `removeAttrs` accepts `prefix-*` patterns. Hooks are installed only while
+ * the policy's own markup is sanitized.
+ */
+const URL_ATTRS = ['href', 'src', 'srcset', 'poster', 'xlink:href', 'action', 'formaction'];
+const RELATIVE_BASE = 'https://relative.shadow-card.invalid/';
+const DOCUMENT_TAGS = ['html', 'head', 'body'];
+
+// DOMPurify defaults mirrored by sanitizeTree
+const FORBID_CONTENTS = ['annotation-xml', 'audio', 'colgroup', 'desc', 'foreignobject', 'head', 'iframe', 'math', 'mi', 'mn',
+    'mo', 'ms', 'mtext', 'noembed', 'noframes', 'noscript', 'plaintext', 'script', 'style', 'svg', 'template', 'thead',
+    'title', 'video', 'xmp'];
+const URI_SAFE_ATTRS = ['alt', 'class', 'for', 'id', 'label', 'name', 'pattern', 'placeholder', 'role', 'summary', 'title',
+    'value', 'style', 'xmlns'];
+const DATA_URI_TAGS = ['img', 'video', 'audio', 'source', 'track', 'image'];
+const DATA_ATTR = /^data-[\-\w.\u00B7-\uFFFF]+$/;
+const ARIA_ATTR = /^aria-[\-\w]+$/;
+const ALLOWED_URI = /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp|matrix):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i;
+const ATTR_WHITESPACE = /[\u0000-\u0020\u00A0\u1680\u180E\u2000-\u2029\u205F\u3000]/g;
+// values that could close a comment or raw-text element once serialized
+const UNSAFE_ATTR_VALUE = /((--!?|])>)|<\/(style|title|textarea)/i;
+// elements serialized without escaping: markup-like text in them is an mXSS attempt
+const RAW_TEXT = ['iframe', 'noembed', 'noframes', 'plaintext', 'script', 'style', 'xmp'];
+const MARKUP_TEXT = /<[/\w!]/;
+
+const unique = list => [...new Set(list)];
+const toLower = list => (Array.isArray(list) ? list.map(item => String(item).toLowerCase()) : []);
+
+/**
+ * Merge two policies; list entries and hooks accumulate, `override` wins for scalars
+ * @param {Object} base - e.g. the batch policy
+ * @param {Object} override - e.g. the card policy
+ */
+export const mergePolicies = (base, override) => {
+    if (!base) return override || null;
+    if (!override) return base;
+    const merged = { ...base, ...override };
+    ['addTags', 'removeTags', 'addAttrs', 'removeAttrs'].forEach(key => {
+        merged[key] = unique([...(base[key] || []), ...(override[key] || [])]);
+    });
+    merged.config = { ...base.config, ...override.config };
+    // hooks on the same entry point both run, base first
+    merged.hooks = { ...base.hooks };
+    Object.entries(override.hooks || {}).forEach(([entry, fn]) => {
+        const first = merged.hooks[entry];
+        merged.hooks[entry] = typeof first === 'function' && typeof fn === 'function'
+            ? (...args) => { first(...args); fn(...args); }
+            : fn;
+    });
+    return merged;
+};
+
+// Resolve a policy into DOMPurify config plus the checks run from our hook.
+// Not cached: policies are plain objects that callers may change between renders.
+const compilePolicy = (policy = null) => {
+    const p = policy || {};
+    const removeTags = toLower(p.removeTags);
+    const removeAttrs = toLower(p.removeAttrs);
+    const attrPatterns = removeAttrs.filter(name => name.endsWith('*')).map(name => name.slice(0, -1));
+    return {
+        config: {
+            ALLOWED_TAGS: unique([...ALLOWED_TAGS_HTML, ...toLower(p.addTags)]).filter(tag => !removeTags.includes(tag)),
+            ALLOWED_ATTR: unique([...ALLOWED_ATTRS_HTML, ...toLower(p.addAttrs)])
+                .filter(name => !removeAttrs.includes(name) && !attrPatterns.some(prefix => name.startsWith(prefix))),
+            KEEP_CONTENT: true,
+            RETURN_TRUSTED_TYPE: false,
+            ...(attrPatterns.includes('data-') ? { ALLOW_DATA_ATTR: false } : {}),
+            ...(attrPatterns.includes('aria-') ? { ALLOW_ARIA_ATTR: false } : {}),
+            ...(p.config || {})
+        },
+        removeAttrs,
+        attrPatterns,
+        urlSchemes: Array.isArray(p.urlSchemes) ? toLower(p.urlSchemes).map(s => s.replace(/:$/, '')) : null,
+        urlHosts: Array.isArray(p.urlHosts) ? toLower(p.urlHosts) : null,
+        hooks: Object.entries(p.hooks || {}).filter(([, fn]) => typeof fn === 'function')
+    };
+};
+
+const hostAllowed = (host, patterns) => patterns.some(pattern =>
+    (pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern));
+
+// URL check against an already compiled policy
+const urlAllowed = (value, { urlSchemes, urlHosts }) => {
+    if (!urlSchemes && !urlHosts) return true;
+    let url;
+    try {
+        url = new URL(String(value).trim(), RELATIVE_BASE);
+    } catch (e) {
+        return false;
+    }
+    if (url.href.startsWith(RELATIVE_BASE)) return true;
+    const scheme = url.protocol.slice(0, -1);
+    if (urlSchemes && !urlSchemes.includes(scheme)) return false;
+    if (urlHosts && url.host && !hostAllowed(url.hostname, urlHosts)) return false;
+    return true;
+};
+
+/**
+ * Check one URL against a policy's scheme and host allowlists
+ * @param {string} value
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+export const isUrlAllowed = (value, policy) => urlAllowed(value, compilePolicy(policy));
+
+// srcset holds "url descriptor, url descriptor"
+const urlsOf = (name, value) => (name === 'srcset'
+    ? String(value).split(',').map(part => part.trim().split(/\s+/)[0]).filter(Boolean)
+    : [value]);
+
+const describeNode = node => (node && node.nodeName ? node.nodeName.toLowerCase() : '');
+
+/**
+ * Sanitize HTML under a policy
+ * @param {string} html
+ * @param {Object|null} policy
+ * @returns {{ html: string, removed: Array<Object> }} Safe HTML and what was stripped:
+ * `{ type: 'element', tag }` or `{ type: 'attribute', tag, name, value, reason }`
+ */
+export const sanitizeWithPolicy = (html = '', policy = null) => {
+    if (!html || typeof html !== 'string') return { html: '', removed: [] };
+    const compiledPolicy = compilePolicy(policy);
+    const { config, removeAttrs, attrPatterns, hooks } = compiledPolicy;
+    const reasons = new Map();
+
+    const attributeHook = (node, data) => {
+        const name = data.attrName;
+        let reason = null;
+        if (removeAttrs.includes(name) || attrPatterns.some(prefix => name.startsWith(prefix))) {
+            reason = 'attribute-removed';
+        } else if (URL_ATTRS.includes(name) && !urlsOf(name, data.attrValue).every(url => urlAllowed(url, compiledPolicy))) {
+            reason = 'url-not-allowed';
+        }
+        if (!reason) return;
+        data.keepAttr = false;
+        if (!reasons.has(node)) reasons.set(node, new Map());
+        reasons.get(node).set(name, reason);
+    };
+
+    DOMPurify.addHook('uponSanitizeAttribute', attributeHook);
+    hooks.forEach(([entry, fn]) => DOMPurify.addHook(entry, fn));
+    try {
+        const safe = DOMPurify.sanitize(html, config);
+        const removed = (DOMPurify.removed || []).map(item => {
+            if (item.attribute) {
+                const tag = describeNode(item.from);
+                const name = String(item.attribute.name || '').toLowerCase();
+                return {
+                    type: 'attribute',
+                    tag,
+                    name,
+                    value: item.attribute.value,
+                    reason: reasons.get(item.from)?.get(name) || 'not-allowed'
+                };
+            }
+            // DOMPurify also reports the <body> it parses into
+            if (item.element && item.element.nodeType === 1 && !DOCUMENT_TAGS.includes(describeNode(item.element))) {
+                return { type: 'element', tag: describeNode(item.element), reason: 'not-allowed' };
+            }
+            return null;
+        }).filter(Boolean);
+        return { html: typeof safe === 'string' ? safe : String(safe), removed };
+    } catch (err) {
+        return { html: escapeHtml(html), removed: [] };
+    } finally {
+        DOMPurify.removeHook('uponSanitizeAttribute', attributeHook);
+        hooks.forEach(([entry, fn]) => DOMPurify.removeHook(entry, fn));
+    }
+};
+
+/**
+ * Sanitize a parsed node tree in place, without DOMPurify or a DOM (server rendering).
+ * Applies the same allowlists, URL checks and policy hooks as sanitizeWithPolicy. Of a
+ * policy's DOMPurify `config` only the tag and attribute lists are applied (ALLOWED_TAGS,
+ * ALLOWED_ATTR, ADD_TAGS, ADD_ATTR, FORBID_TAGS, FORBID_ATTR, FORBID_CONTENTS,
+ * ADD_FORBID_CONTENTS, ALLOW_DATA_ATTR, ALLOW_ARIA_ATTR); hydration renders a card again
+ * when the client sanitizer would still change its markup.
+ * @param {Object} root - Node tree with the DOM node API subset of ssr.js
+ * @param {Object|null} policy
+ * @returns {Object} root
+ */
+export const sanitizeTree = (root, policy = null) => {
+    const compiledPolicy = compilePolicy(policy);
+    const { config, removeAttrs, attrPatterns, hooks } = compiledPolicy;
+    const forbidTags = toLower(config.FORBID_TAGS);
+    const forbidAttrs = toLower(config.FORBID_ATTR);
+    const tags = new Set([...toLower(config.ALLOWED_TAGS), ...toLower(config.ADD_TAGS)].filter(tag => !forbidTags.includes(tag)));
+    const attrs = new Set([...toLower(config.ALLOWED_ATTR), ...toLower(config.ADD_ATTR)].filter(name => !forbidAttrs.includes(name)));
+    const forbidContents = [...(Array.isArray(config.FORBID_CONTENTS) ? toLower(config.FORBID_CONTENTS) : FORBID_CONTENTS),
+        ...toLower(config.ADD_FORBID_CONTENTS)];
+    const run = (entry, node, data) => hooks.forEach(([name, fn]) => name === entry && fn(node, data, config));
+
+    const attrAllowed = (tag, name, value) => {
+        if (UNSAFE_ATTR_VALUE.test(value)) return false;
+        if (removeAttrs.includes(name) || attrPatterns.some(prefix => name.startsWith(prefix))) return false;
+        if (URL_ATTRS.includes(name) && !urlsOf(name, value).every(url => urlAllowed(url, compiledPolicy))) return false;
+        if (forbidAttrs.includes(name)) return false;
+        if ((config.ALLOW_DATA_ATTR !== false && DATA_ATTR.test(name)) || (config.ALLOW_ARIA_ATTR !== false && ARIA_ATTR.test(name))) return true;
+        if (!attrs.has(name) || name.startsWith('on')) return false;
+        if (URI_SAFE_ATTRS.includes(name)) return true;
+        const compact = String(value).replace(ATTR_WHITESPACE, '');
+        if (!compact || ALLOWED_URI.test(compact)) return true;
+        return ['src', 'xlink:href', 'href'].includes(name) && compact.startsWith('data:') && DATA_URI_TAGS.includes(tag);
+    };
+
+    const walk = parent => Array.from(parent.childNodes).forEach(node => {
+        run('beforeSanitizeElements', node, null);
+        // comments are dropped like DOMPurify does
+        if (node.nodeType === 8) {
+            node.remove();
+            return;
+        }
+        if (node.nodeType !== 1) return;
+        const tag = node.tagName.toLowerCase();
+        run('uponSanitizeElement', node, { tagName: tag, allowedTags: config.ALLOWED_TAGS });
+        if (RAW_TEXT.includes(tag) && !node.firstElementChild && MARKUP_TEXT.test(node.textContent)) {
+            node.remove();
+            return;
+        }
+        if (!tags.has(tag)) {
+            if (forbidContents.includes(tag)) {
+                node.remove();
+                return;
+            }
+            walk(node);
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        run('beforeSanitizeAttributes', node, null);
+        node.attributes.slice().forEach(({ name, value }) => {
+            const data = { attrName: name, attrValue: value, keepAttr: true, allowedAttributes: config.ALLOWED_ATTR };
+            run('uponSanitizeAttribute', node, data);
+            if (!data.keepAttr || !attrAllowed(tag, name, data.attrValue)) node.removeAttribute(name);
+            else if (data.attrValue !== value) node.setAttribute(name, data.attrValue);
+        });
+        run('afterSanitizeAttributes', node, null);
+        walk(node);
+    });
+
+    walk(root);
+    return root;
+};
+
+/**
+ * Sanitize one attribute value under a policy (see utils.sanitizeAttribute)
+ * @param {string} tagName
+ * @param {string} attr
+ * @param {string} value
+ * @param {Object|null} policy
+ * @returns {string|null} Safe value, or null if the policy drops it
+ */
+export const sanitizeAttributeWithPolicy = (tagName, attr, value, policy = null) => {
+    const tag = String(tagName || '').toLowerCase();
+    const name = String(attr || '').toLowerCase();
+    if (!/^[a-z][a-z0-9-]*$/.test(tag) || !/^[a-z][a-z0-9_.:-]*$/.test(name)) return null;
+    const { html } = sanitizeWithPolicy(`<${tag} ${name}="${escapeHtml(value)}"></${tag}>`, policy);
+    if (!html) return null;
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const el = template.content.firstElementChild;
+    return el && el.hasAttribute(name) ? el.getAttribute(name) : null;
+};
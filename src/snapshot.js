@@ -0,0 +1,111 @@
+import { ERROR_MESSAGES, ERROR_CODES, SNAPSHOT_VERSION, SNAPSHOT_OPTION_KEYS } from './constants.js';
+import { ShadowCardError } from './errors.js';
+
+/**
+ * Snapshot schema helpers
+ * Card snapshot (v1):  { version, id, html, css, styleLayers?, data, styles?, options }
+ * `css` is the base style layer; named layers are kept as [{ name, css }]
+ * Batch snapshot (v1): { version, cards: CardSnapshot[] }
+ *
+ * MIGRATIONS[n] upgrades a snapshot from version n to n + 1, so snapshots
+ * written by older releases keep loading after the schema changes.
+ */
+const MIGRATIONS = {
+    // 0 -> 1: unversioned snapshots were plain card options
+    0: legacy => ({
+        version: 1,
+        id: legacy.id,
+        html: legacy.html || '',
+        css: legacy.css || '',
+        data: legacy.data || {},
+        styles: legacy.styles,
+        options: pickOptions(legacy)
+    })
+};
+
+const BATCH_MIGRATIONS = {
+    // 0 -> 1: unversioned batches were plain arrays of card snapshots
+    0: legacy => ({ version: 1, cards: Array.isArray(legacy) ? legacy : legacy.cards || [] })
+};
+
+/**
+ * Deep-copy JSON-safe data so snapshots do not share references with live cards
+ * @param {*} value
+ */
+export const cloneJson = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const pickOptions = source => SNAPSHOT_OPTION_KEYS.reduce((acc, key) => {
+    if (source && source[key] !== undefined) acc[key] = source[key];
+    return acc;
+}, {});
+
+const parse = input => {
+    let value = input;
+    if (typeof value === 'string') {
+        try { value = JSON.parse(value); } catch (e) { throw new ShadowCardError(ERROR_CODES.INVALID_SNAPSHOT, ERROR_MESSAGES.INVALID_SNAPSHOT); }
+    }
+    if (!value || typeof value !== 'object') throw new ShadowCardError(ERROR_CODES.INVALID_SNAPSHOT, ERROR_MESSAGES.INVALID_SNAPSHOT);
+    return value;
+};
+
+const migrate = (snapshot, migrations) => {
+    let current = snapshot;
+    let version = Number(current.version) || 0;
+    if (version > SNAPSHOT_VERSION) throw new ShadowCardError(ERROR_CODES.INVALID_SNAPSHOT, ERROR_MESSAGES.UNSUPPORTED_SNAPSHOT_VERSION);
+    while (version < SNAPSHOT_VERSION) {
+        current = migrations[version](current);
+        version = current.version;
+    }
+    return current;
+};
+
+/**
+ * Parse and upgrade a card snapshot to the current schema
+ * @param {Object|string} input
+ */
+export const migrateSnapshot = input => migrate(parse(input), MIGRATIONS);
+
+/**
+ * Parse and upgrade a batch snapshot (and each of its cards) to the current schema
+ * @param {Object|Array|string} input
+ */
+export const migrateBatchSnapshot = input => {
+    const batch = migrate(Array.isArray(input) ? input : parse(input), BATCH_MIGRATIONS);
+    return { ...batch, cards: batch.cards.map(migrateSnapshot) };
+};
+
+/**
+ * Build a current-version snapshot from constructor options (for cards never rendered)
+ * @param {Object} options - Card constructor options
+ */
+export const optionsToSnapshot = (options = {}) => ({
+    version: SNAPSHOT_VERSION,
+    id: options.id,
+    html: options.html || '',
+    css: options.css || '',
+    ...(options.styleLayers?.length ? { styleLayers: cloneJson(options.styleLayers) } : {}),
+    data: cloneJson(options.data) || {},
+    ...(options.styles ? { styles: cloneJson(options.styles) } : {}),
+    options: pickOptions(options)
+});
+
+/**
+ * Turn a card snapshot into constructor options
+ * @param {Object|string} input - Snapshot in any supported version
+ * @param {Object} overrides - Options that win over the snapshot (e.g. container)
+ */
+export const snapshotToOptions = (input, overrides = {}) => {
+    const snapshot = migrateSnapshot(input);
+    const options = {
+        ...pickOptions(snapshot.options),
+        html: snapshot.html || '',
+        css: snapshot.css || '',
+        ...(snapshot.styleLayers ? { styleLayers: cloneJson(snapshot.styleLayers) } : {}),
+        data: cloneJson(snapshot.data) || {},
+        // without styles the card falls back to the default styles
+        ...(snapshot.styles ? { styles: { ...snapshot.styles } } : {}),
+        ...overrides
+    };
+    if (snapshot.id && !('id' in overrides)) options.id = snapshot.id;
+    return options;
+};
@@ -0,0 +1,312 @@
+import { EVENT_TYPES } from './constants.js';
+
+/**
+ * CardSortable - drag-and-drop reordering of the cards in a container
+ * Features:
+ * - Pointer events, so mouse, pen and touch drags behave the same
+ * - Cards move between containers whose sortables share a `group`
+ * - A placeholder marks the drop position while the card follows the pointer
+ * - The card element is moved, never recreated: data, listeners and history survive
+ * - `card-reorder` fires on the card after a drop that changed its position
+ *
+ * Collections listen for `card-reorder` and keep their order in sync.
+ * Escape or a cancelled pointer puts the card back where it was.
+ */
+const DEFAULT_SORTABLE_OPTIONS = {
+    group: null,
+    handle: null,
+    threshold: 5,
+    touchAction: 'none'
+};
+
+const PLACEHOLDER_CLASS = 'shadow-card-drop-placeholder';
+const DRAG_PROPS = ['position', 'left', 'top', 'width', 'margin', 'z-index', 'pointer-events', 'box-sizing'];
+// pointer downs on these keep their own behaviour
+const NO_DRAG_SELECTOR = 'input, select, textarea, button, a[href], [contenteditable="true"]';
+
+// group name -> sortables that accept each other's cards
+const groups = new Map();
+
+export class CardSortable {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {string|null} options.group - Sortables in the same group exchange cards
+     * @param {string|null} options.handle - Selector (inside the card) that starts a drag; default: the whole card
+     * @param {number} options.threshold - Pointer travel in px before a drag starts
+     * @param {string|null} options.touchAction - touch-action set on the container so touch drags do not scroll
+     */
+    constructor(container, options = {}) {
+        if (!(container instanceof HTMLElement)) throw new Error('Container must be a valid DOM element');
+        this.container = container;
+        this.options = { ...DEFAULT_SORTABLE_OPTIONS, ...options };
+        this.isDestroyed = false;
+        this._drag = null;
+        this._savedTouchAction = container.style.getPropertyValue('touch-action');
+        this._applyTouchAction();
+
+        this._onPointerDown = e => this._handlePointerDown(e);
+        this._onPointerMove = e => this._handlePointerMove(e);
+        this._onPointerUp = e => this._finish(e, false);
+        this._onPointerCancel = e => this._finish(e, true);
+        this._onKeyDown = e => {
+            if (e.key === 'Escape') this._finish(e, true);
+        };
+        container.addEventListener('pointerdown', this._onPointerDown);
+        this._join(this.options.group);
+    }
+
+    /** Live cards in the container, in DOM order */
+    get cards() {
+        return Array.from(this.container.children)
+            .map(el => el.card)
+            .filter(card => card && !card.isDestroyed);
+    }
+
+    /** Whether a card is being dragged from this container */
+    get isDragging() {
+        return !!this._drag?.started;
+    }
+
+    /**
+     * Change options (group, handle, threshold, touchAction)
+     * @param {Object} options
+     */
+    setOptions(options = {}) {
+        if (this.isDestroyed) return this;
+        const { group } = this.options;
+        this.options = { ...this.options, ...options };
+        if (this.options.group !== group) {
+            this._leave(group);
+            this._join(this.options.group);
+        }
+        this._applyTouchAction();
+        return this;
+    }
+
+    destroy() {
+        if (this.isDestroyed) return;
+        this._finish(null, true);
+        this.container.removeEventListener('pointerdown', this._onPointerDown);
+        this._leave(this.options.group);
+        setStyle(this.container, 'touch-action', this._savedTouchAction);
+        this.isDestroyed = true;
+        this.container = null;
+    }
+
+    _applyTouchAction() {
+        setStyle(this.container, 'touch-action', this.options.touchAction || this._savedTouchAction);
+    }
+
+    // ---------- Groups ----------
+    _join(group) {
+        if (group == null) return;
+        if (!groups.has(group)) groups.set(group, new Set());
+        groups.get(group).add(this);
+    }
+
+    _leave(group) {
+        const members = groups.get(group);
+        if (!members) return;
+        members.delete(this);
+        if (!members.size) groups.delete(group);
+    }
+
+    // the sortable whose container holds a node: this one, or one from the same group
+    _sortableAt(node) {
+        if (!node) return null;
+        const candidates = this.options.group == null ? [this] : [...(groups.get(this.options.group) || [])];
+        return candidates.find(sortable => !sortable.isDestroyed && sortable.container.contains(node)) || null;
+    }
+
+    // ---------- Dragging ----------
+    _handlePointerDown(event) {
+        if (this._drag || event.button !== 0 || event.isPrimary === false) return;
+        const element = this._cardElementFrom(event.target);
+        if (!element) return;
+
+        // the path crosses the card's shadow root, so handles and form controls inside it are visible
+        const fullPath = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+        const path = fullPath.slice(0, fullPath.indexOf(element) + 1);
+        const origin = path[0];
+        if (origin?.isContentEditable || origin?.closest?.(NO_DRAG_SELECTOR)) return;
+        if (this.options.handle && !path.some(node => node?.matches?.(this.options.handle))) return;
+
+        this._drag = {
+            card: element.card,
+            element,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            offsetX: 0,
+            offsetY: 0,
+            started: false,
+            from: this.container,
+            oldIndex: cardIndex(this.container, element),
+            placeholder: null,
+            saved: null,
+            savedUserSelect: ''
+        };
+        document.addEventListener('pointermove', this._onPointerMove);
+        document.addEventListener('pointerup', this._onPointerUp);
+        document.addEventListener('pointercancel', this._onPointerCancel);
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    _handlePointerMove(event) {
+        const drag = this._drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        if (!drag.started) {
+            const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+            if (distance < Math.max(0, Number(this.options.threshold) || 0)) return;
+            if (drag.card.isDestroyed) {
+                this._finish(null, true);
+                return;
+            }
+            this._start(drag);
+        }
+        event.preventDefault();
+        drag.element.style.left = `${event.clientX - drag.offsetX}px`;
+        drag.element.style.top = `${event.clientY - drag.offsetY}px`;
+        this._movePlaceholder(event.clientX, event.clientY);
+    }
+
+    // lift the card out of the flow and leave a placeholder of the same size
+    _start(drag) {
+        const { element } = drag;
+        const rect = element.getBoundingClientRect();
+        const computed = getComputedStyle(element);
+        drag.offsetX = drag.startX - rect.left;
+        drag.offsetY = drag.startY - rect.top;
+        drag.saved = DRAG_PROPS.reduce((acc, prop) => ({ ...acc, [prop]: element.style.getPropertyValue(prop) }), {});
+
+        const placeholder = document.createElement('div');
+        placeholder.className = PLACEHOLDER_CLASS;
+        placeholder.setAttribute('aria-hidden', 'true');
+        Object.assign(placeholder.style, {
+            display: computed.display === 'inline' ? 'inline-block' : computed.display,
+            boxSizing: 'border-box',
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            margin: computed.margin,
+            outline: '2px dashed var(--shadow-card-drop-placeholder-color, #93c5fd)',
+            outlineOffset: '-2px',
+            borderRadius: 'var(--shadow-card-border-radius, 6px)'
+        });
+        element.parentNode.insertBefore(placeholder, element);
+        drag.placeholder = placeholder;
+
+        Object.assign(element.style, {
+            position: 'fixed',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            margin: '0',
+            zIndex: '1000',
+            pointerEvents: 'none',
+            boxSizing: 'border-box'
+        });
+        element.setAttribute('dragging', '');
+        drag.savedUserSelect = document.documentElement.style.userSelect;
+        document.documentElement.style.userSelect = 'none';
+        drag.started = true;
+    }
+
+    _movePlaceholder(x, y) {
+        const { element, placeholder } = this._drag;
+        const hit = document.elementFromPoint(x, y);
+        const target = this._sortableAt(hit);
+        if (!target) return;
+        const { container } = target;
+
+        let child = hit;
+        while (child && child.parentNode !== container) child = child.parentNode;
+        if (child === placeholder) return;
+
+        let ref;
+        if (child?.card && child !== element) {
+            const rect = child.getBoundingClientRect();
+            const after = target._flowsHorizontally(element)
+                ? x > rect.left + rect.width / 2
+                : y > rect.top + rect.height / 2;
+            ref = after ? child.nextSibling : child;
+        } else if (placeholder.parentNode !== container) {
+            // empty area of another container: drop at its end
+            ref = null;
+        } else {
+            return;
+        }
+        if (ref === placeholder || (placeholder.parentNode === container && placeholder.nextSibling === ref)) return;
+        container.insertBefore(placeholder, ref);
+    }
+
+    // grid rows and flex rows place their first two cards side by side
+    _flowsHorizontally(dragged) {
+        const [first, second] = this.cards.filter(card => card.element !== dragged).map(card => card.element);
+        if (!first || !second) return false;
+        return Math.abs(first.getBoundingClientRect().top - second.getBoundingClientRect().top) < 1;
+    }
+
+    _finish(event, cancel) {
+        const drag = this._drag;
+        if (!drag || (event?.pointerId !== undefined && event.pointerId !== drag.pointerId)) return;
+        this._drag = null;
+        document.removeEventListener('pointermove', this._onPointerMove);
+        document.removeEventListener('pointerup', this._onPointerUp);
+        document.removeEventListener('pointercancel', this._onPointerCancel);
+        document.removeEventListener('keydown', this._onKeyDown);
+        if (!drag.started) return;
+
+        const { card, element, placeholder } = drag;
+        Object.entries(drag.saved).forEach(([prop, value]) => setStyle(element, prop, value));
+        element.removeAttribute('dragging');
+        document.documentElement.style.userSelect = drag.savedUserSelect;
+        suppressNextClick();
+
+        const to = placeholder.parentNode;
+        const drop = !cancel && to && !card.isDestroyed;
+        // moved within one task, so a <shadow-card> reconnects before its disconnect check runs
+        if (drop) to.insertBefore(element, placeholder);
+        placeholder.remove();
+        if (!drop) return;
+
+        const newIndex = cardIndex(to, element);
+        if (to === drag.from && newIndex === drag.oldIndex) return;
+        card._setContainer(to);
+        card.dispatchEvent(EVENT_TYPES.CARD_REORDER, {
+            element,
+            oldIndex: drag.oldIndex,
+            newIndex,
+            fromContainer: drag.from,
+            toContainer: to
+        });
+    }
+
+    _cardElementFrom(target) {
+        let el = target;
+        while (el && el.parentNode !== this.container) el = el.parentNode;
+        return el?.card && !el.card.isDestroyed ? el : null;
+    }
+}
+
+// index among the card children of a container
+const cardIndex = (container, element) => Array.from(container.children)
+    .filter(el => el.card && !el.card.isDestroyed)
+    .indexOf(element);
+
+// the pointerup of a drag would otherwise click the card under it
+const suppressNextClick = () => {
+    const swallow = event => {
+        event.stopPropagation();
+        event.preventDefault();
+    };
+    window.addEventListener('click', swallow, { capture: true, once: true });
+    setTimeout(() => window.removeEventListener('click', swallow, true), 0);
+};
+
+const setStyle = (el, prop, value) => {
+    if (value) el.style.setProperty(prop, value);
+    else el.style.removeProperty(prop);
+};
+
+export default CardSortable;
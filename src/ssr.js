@@ -0,0 +1,664 @@
+import { DEFAULT_OPTIONS, ERROR_CODES, ERROR_MESSAGES, ERROR_SEVERITY } from './constants.js';
+import { ShadowCardError, toShadowCardError, notifyError } from './errors.js';
+import { generateUniqueId, Validator, escapeHtml } from './utils.js';
+import { sanitizeTree } from './sanitize.js';
+import { markdownToHtml, markdownPolicyFor } from './markdown.js';
+import { TemplateBinder, interpolate } from './binding.js';
+import { getTheme, isKnownTheme, resolveThemeName } from './themes.js';
+import { optionsToSnapshot } from './snapshot.js';
+import { resolvePlugins, pluginStyles, pipeHook } from './plugins.js';
+import { baseStyles, overlayMarkup, INNER_WIDTH } from './template.js';
+
+/**
+ * Server-side rendering
+ * renderToString() turns card options into <shadow-card> markup with a
+ * declarative shadow root, without a DOM:
+ *
+ *   <shadow-card id="..." style="--vars; width: 320px">
+ *     <template shadowrootmode="open">styles, hidden overlay, bound content</template>
+ *     <script type="application/json" data-shadow-card-state>snapshot</script>
+ *   </shadow-card>
+ *
+ * - HTML (or Markdown) is parsed into a small node tree, sanitized with the
+ *   card policy and bound with the same TemplateBinder as in the browser
+ * - The content is zoomed to the card scale, so the height is right before any script runs
+ * - ShadowCard.hydrate() adopts the markup and the snapshot without re-rendering
+ * - Plugins run beforeCreate and beforeSetHTML (with a null card); the other hooks
+ *   need a live card and run after hydration
+ *
+ * The node tree implements the part of the DOM the binder and the sanitizer use.
+ */
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+// content kept as written: no tags, no entities (RCDATA tags decode entities)
+const RAW_TEXT_TAGS = ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'];
+const RCDATA_TAGS = ['textarea', 'title'];
+// start tags that close an open <p>
+const CLOSES_P = ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+// start tag -> open elements it closes first
+const IMPLIED_END = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option'],
+    optgroup: ['option', 'optgroup'],
+    tr: ['td', 'th', 'tr'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    thead: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'],
+    tbody: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'],
+    tfoot: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot']
+};
+// a <p> inside these is out of reach of a closing block
+const P_SCOPE = ['button', 'td', 'th', 'table', 'caption', 'template', 'object'];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad', ensp: '\u2002', emsp: '\u2003',
+    thinsp: '\u2009', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·', times: '×', divide: '÷', deg: '°',
+    plusmn: '±', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', larr: '←', rarr: '→', uarr: '↑',
+    darr: '↓', check: '✓', hearts: '♥', star: '☆'
+};
+
+const decodeEntities = text => (text.includes('&')
+    ? text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, code) => {
+        if (code[0] !== '#') return NAMED_ENTITIES[code] ?? match;
+        const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '\ufffd';
+    })
+    : text);
+
+const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+const escapeAttr = text => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+
+// raw text cannot be escaped, but it must not end its element early
+const escapeRawText = (text, tag) => String(text).replace(new RegExp(`<\\/(${tag})`, 'gi'), '<\\/$1');
+const escapeStyle = css => escapeRawText(css, 'style');
+
+// ---------- Node tree ----------
+class SsrNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get nextSibling() {
+        const siblings = this.parentNode?.childNodes;
+        return siblings ? siblings[siblings.indexOf(this) + 1] || null : null;
+    }
+
+    get firstElementChild() {
+        return this.childNodes.find(node => node.nodeType === 1) || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(node => { node.parentNode = null; });
+        this.childNodes = [];
+        if (value != null && value !== '') this.appendChild(new SsrText(String(value)));
+    }
+
+    appendChild(node) {
+        return this._insert([node], this.childNodes.length)[0];
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    before(...nodes) {
+        const parent = this.parentNode;
+        if (parent) parent._insert(nodes, () => parent.childNodes.indexOf(this));
+    }
+
+    after(...nodes) {
+        const parent = this.parentNode;
+        if (parent) parent._insert(nodes, () => parent.childNodes.indexOf(this) + 1);
+    }
+
+    replaceWith(...nodes) {
+        this.before(...nodes.filter(node => node !== this));
+        if (!nodes.includes(this)) this.remove();
+    }
+
+    // index: number, or a function read after the nodes left their old parents
+    _insert(nodes, index) {
+        nodes.forEach(node => node.remove());
+        const at = typeof index === 'function' ? index() : index;
+        nodes.forEach(node => { node.parentNode = this; });
+        this.childNodes.splice(at, 0, ...nodes);
+        return nodes;
+    }
+}
+
+class SsrText extends SsrNode {
+    constructor(value) {
+        super(3);
+        this.nodeName = '#text';
+        this.nodeValue = value;
+    }
+
+    get textContent() {
+        return this.nodeValue;
+    }
+
+    set textContent(value) {
+        this.nodeValue = String(value ?? '');
+    }
+
+    cloneNode() {
+        return new SsrText(this.nodeValue);
+    }
+}
+
+class SsrComment extends SsrText {
+    constructor(value) {
+        super(value);
+        this.nodeType = 8;
+        this.nodeName = '#comment';
+    }
+
+    get textContent() {
+        return '';
+    }
+
+    cloneNode() {
+        return new SsrComment(this.nodeValue);
+    }
+}
+
+class SsrFragment extends SsrNode {
+    constructor() {
+        super(11);
+        this.nodeName = '#document-fragment';
+    }
+
+    get innerHTML() {
+        return serializeChildren(this);
+    }
+
+    cloneNode(deep = false) {
+        return cloneChildren(this, new SsrFragment(), deep);
+    }
+}
+
+class SsrElement extends SsrNode {
+    constructor(tagName) {
+        super(1);
+        this.tagName = String(tagName).toUpperCase();
+        this.nodeName = this.tagName;
+        this.attributes = [];
+    }
+
+    getAttribute(name) {
+        const attr = this.attributes.find(entry => entry.name === String(name).toLowerCase());
+        return attr ? attr.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const key = String(name).toLowerCase();
+        const attr = this.attributes.find(entry => entry.name === key);
+        if (attr) attr.value = String(value);
+        else this.attributes.push({ name: key, value: String(value) });
+    }
+
+    removeAttribute(name) {
+        const key = String(name).toLowerCase();
+        this.attributes = this.attributes.filter(entry => entry.name !== key);
+    }
+
+    toggleAttribute(name, force) {
+        const on = force === undefined ? !this.hasAttribute(name) : !!force;
+        if (on && !this.hasAttribute(name)) this.setAttribute(name, '');
+        else if (!on) this.removeAttribute(name);
+        return on;
+    }
+
+    // the binder only reads and writes `display`
+    get style() {
+        const el = this;
+        return {
+            get display() {
+                return readDeclarations(el.getAttribute('style')).display || '';
+            },
+            set display(value) {
+                const declarations = readDeclarations(el.getAttribute('style'));
+                if (value) declarations.display = value;
+                else delete declarations.display;
+                const text = Object.entries(declarations).map(([prop, val]) => `${prop}: ${val}`).join('; ');
+                if (text) el.setAttribute('style', text);
+                else el.removeAttribute('style');
+            }
+        };
+    }
+
+    get innerHTML() {
+        return serializeChildren(this);
+    }
+
+    set innerHTML(html) {
+        this.textContent = '';
+        parseInto(this, html);
+    }
+
+    // ---------- form controls (what writeControlValue touches) ----------
+    get type() {
+        if (this.tagName === 'SELECT') return this.multiple ? 'select-multiple' : 'select-one';
+        if (this.tagName === 'TEXTAREA') return 'textarea';
+        return (this.getAttribute('type') || 'text').toLowerCase();
+    }
+
+    get multiple() {
+        return this.hasAttribute('multiple');
+    }
+
+    get options() {
+        return descendants(this).filter(node => node.tagName === 'OPTION');
+    }
+
+    get checked() {
+        return this.hasAttribute('checked');
+    }
+
+    set checked(value) {
+        this.toggleAttribute('checked', !!value);
+    }
+
+    get selected() {
+        return this.hasAttribute('selected');
+    }
+
+    set selected(value) {
+        this.toggleAttribute('selected', !!value);
+    }
+
+    get value() {
+        if (this.tagName === 'OPTION') return this.getAttribute('value') ?? this.textContent;
+        if (this.tagName === 'TEXTAREA') return this.textContent;
+        if (this.tagName === 'SELECT') {
+            const { options } = this;
+            return (options.find(option => option.selected) || options[0])?.value ?? '';
+        }
+        return this.getAttribute('value') ?? (this.type === 'checkbox' || this.type === 'radio' ? 'on' : '');
+    }
+
+    set value(value) {
+        const text = String(value ?? '');
+        if (this.tagName === 'TEXTAREA') {
+            this.textContent = text;
+        } else if (this.tagName === 'SELECT') {
+            let found = false;
+            this.options.forEach(option => {
+                option.selected = !found && option.value === text;
+                found = found || option.selected;
+            });
+        } else {
+            this.setAttribute('value', text);
+        }
+    }
+
+    cloneNode(deep = false) {
+        const clone = new SsrElement(this.tagName);
+        clone.attributes = this.attributes.map(attr => ({ ...attr }));
+        return cloneChildren(this, clone, deep);
+    }
+}
+
+const cloneChildren = (source, target, deep) => {
+    if (deep) source.childNodes.forEach(node => target.appendChild(node.cloneNode(true)));
+    return target;
+};
+
+const descendants = node => node.childNodes.flatMap(child => (child.nodeType === 1 ? [child, ...descendants(child)] : []));
+
+const readDeclarations = style => String(style || '').split(';').reduce((acc, part) => {
+    const colon = part.indexOf(':');
+    if (colon > 0) acc[part.slice(0, colon).trim().toLowerCase()] = part.slice(colon + 1).trim();
+    return acc;
+}, {});
+
+// what the binder creates nodes with on the server
+const ssrDocument = {
+    createComment: value => new SsrComment(value),
+    createTextNode: value => new SsrText(value),
+    createElement: tagName => new SsrElement(tagName)
+};
+
+// ---------- Parser ----------
+const TAG_NAME = /<([a-zA-Z][^\s/>]*)/y;
+const ATTRIBUTE = /([^\s"'>/=][^\s"'>/=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+const END_TAG = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+
+const readStartTag = (source, start) => {
+    TAG_NAME.lastIndex = start;
+    const name = TAG_NAME.exec(source);
+    if (!name) return null;
+    const attrs = [];
+    let i = TAG_NAME.lastIndex;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '>') return { name: name[1].toLowerCase(), attrs, end: i + 1 };
+        if (char === '/' || /\s/.test(char)) {
+            i++;
+            continue;
+        }
+        ATTRIBUTE.lastIndex = i;
+        const attr = ATTRIBUTE.exec(source);
+        if (!attr) {
+            i++;
+            continue;
+        }
+        const attrName = attr[1].toLowerCase();
+        // the first of duplicate attributes wins
+        if (!attrs.some(entry => entry.name === attrName)) {
+            attrs.push({ name: attrName, value: decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '') });
+        }
+        i = ATTRIBUTE.lastIndex;
+    }
+    // a tag cut off by the end of input is dropped
+    return { name: null, end: source.length };
+};
+
+/**
+ * Parse an HTML fragment into a node (a forgiving subset of the HTML parsing rules:
+ * void and raw-text elements, implied end tags, entities)
+ * @param {Object} root - SsrElement or SsrFragment
+ * @param {string} html
+ */
+const parseInto = (root, html) => {
+    const source = String(html ?? '');
+    const lower = source.toLowerCase();
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tagOf = node => (node.nodeType === 1 ? node.tagName.toLowerCase() : null);
+
+    const pushText = text => {
+        if (!text) return;
+        const parent = current();
+        const last = parent.childNodes[parent.childNodes.length - 1];
+        if (last?.nodeType === 3) last.nodeValue += text;
+        else parent.appendChild(new SsrText(text));
+    };
+    const close = name => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (tagOf(stack[i]) === name) {
+                stack.length = i;
+                return;
+            }
+        }
+    };
+    const closeP = () => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            const tag = tagOf(stack[i]);
+            if (tag === 'p') {
+                stack.length = i;
+                return;
+            }
+            if (P_SCOPE.includes(tag)) return;
+        }
+    };
+
+    let i = 0;
+    while (i < source.length) {
+        const lt = source.indexOf('<', i);
+        if (lt === -1) {
+            pushText(decodeEntities(source.slice(i)));
+            break;
+        }
+        pushText(decodeEntities(source.slice(i, lt)));
+        i = lt;
+
+        if (source.startsWith('<!--', i)) {
+            const end = source.indexOf('-->', i + 4);
+            current().appendChild(new SsrComment(source.slice(i + 4, end === -1 ? source.length : end)));
+            i = end === -1 ? source.length : end + 3;
+            continue;
+        }
+        // doctype, CDATA and processing instructions carry no content
+        if (source[i + 1] === '!' || source[i + 1] === '?') {
+            const end = source.indexOf('>', i);
+            i = end === -1 ? source.length : end + 1;
+            continue;
+        }
+        if (source[i + 1] === '/') {
+            END_TAG.lastIndex = i;
+            const end = END_TAG.exec(source);
+            if (end) {
+                close(end[1].toLowerCase());
+                i = END_TAG.lastIndex;
+            } else {
+                pushText('<');
+                i++;
+            }
+            continue;
+        }
+
+        const tag = readStartTag(source, i);
+        if (!tag) {
+            pushText('<');
+            i++;
+            continue;
+        }
+        i = tag.end;
+        if (!tag.name) continue;
+
+        const { name } = tag;
+        const implied = IMPLIED_END[name];
+        while (implied && implied.includes(tagOf(current()))) stack.pop();
+        if (CLOSES_P.includes(name)) closeP();
+
+        const el = new SsrElement(name);
+        el.attributes = tag.attrs;
+        current().appendChild(el);
+        if (VOID_TAGS.includes(name)) continue;
+
+        if (RAW_TEXT_TAGS.includes(name) || RCDATA_TAGS.includes(name)) {
+            let end = lower.indexOf(`</${name}`, i);
+            if (end === -1) end = source.length;
+            const text = source.slice(i, end);
+            if (text) el.appendChild(new SsrText(RCDATA_TAGS.includes(name) ? decodeEntities(text) : text));
+            const gt = source.indexOf('>', end);
+            i = gt === -1 ? source.length : gt + 1;
+            continue;
+        }
+        stack.push(el);
+    }
+    return root;
+};
+
+// ---------- Serializer ----------
+const serializeNode = node => {
+    if (node.nodeType === 3) {
+        const parent = node.parentNode;
+        const tag = parent?.nodeType === 1 ? parent.tagName.toLowerCase() : null;
+        return RAW_TEXT_TAGS.includes(tag) ? escapeRawText(node.nodeValue, tag) : escapeText(node.nodeValue);
+    }
+    if (node.nodeType === 8) return `<!--${node.nodeValue}-->`;
+    if (node.nodeType === 11) return serializeChildren(node);
+    const tag = node.tagName.toLowerCase();
+    const attrs = node.attributes.map(({ name, value }) => ` ${name}="${escapeAttr(value)}"`).join('');
+    return VOID_TAGS.includes(tag) ? `<${tag}${attrs}>` : `<${tag}${attrs}>${serializeChildren(node)}</${tag}>`;
+};
+
+const serializeChildren = node => node.childNodes.map(serializeNode).join('');
+
+const parseHTML = html => parseInto(new SsrFragment(), html);
+
+const sanitizeToString = (html, policy) => serializeChildren(sanitizeTree(parseHTML(html), policy));
+
+// same contract as sanitizeAttributeWithPolicy: the value, or null when the policy drops it
+const sanitizeAttr = (tagName, attr, value, policy) => {
+    const tag = String(tagName || '').toLowerCase();
+    const name = String(attr || '').toLowerCase();
+    if (!/^[a-z][a-z0-9-]*$/.test(tag) || !/^[a-z][a-z0-9_.:-]*$/.test(name)) return null;
+    const root = new SsrFragment();
+    const el = root.appendChild(new SsrElement(tag));
+    el.setAttribute(name, value);
+    sanitizeTree(root, policy);
+    return root.childNodes[0] === el ? el.getAttribute(name) : null;
+};
+
+// what _imageState sets up in the browser, so images keep their box before hydration
+const prepareImages = (root, { imageLoading }) => descendants(root)
+    .filter(el => el.tagName === 'IMG')
+    .forEach(img => {
+        if (imageLoading && !img.hasAttribute('loading')) img.setAttribute('loading', imageLoading);
+        const width = parseFloat(img.getAttribute('width'));
+        const height = parseFloat(img.getAttribute('height'));
+        if (width > 0 && height > 0) {
+            const style = img.getAttribute('style');
+            img.setAttribute('style', `${style ? `${style.replace(/;\s*$/, '')}; ` : ''}aspect-ratio: ${width} / ${height}`);
+        }
+    });
+
+// ariaLabel: a string with {{ path }} placeholders, or (data, card) => string (card is null here)
+const ariaLabelOf = ({ ariaLabel }, data) => {
+    if (ariaLabel == null || ariaLabel === '') return '';
+    try {
+        return String((typeof ariaLabel === 'function' ? ariaLabel(data, null) : interpolate(ariaLabel, data)) ?? '').trim();
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * Render a card to <shadow-card> markup with a declarative shadow root
+ * @param {Function} ShadowCard - The card class (for its style mappings)
+ * @param {Object} input - Card options; container, element and DOM-only options are ignored
+ * @returns {string}
+ */
+export const renderToString = (ShadowCard, input = {}) => {
+    if (!input || typeof input !== 'object') {
+        throw new ShadowCardError(ERROR_CODES.INVALID_OPTIONS, ERROR_MESSAGES.INVALID_OPTIONS);
+    }
+    const plugins = resolvePlugins(input.plugins);
+    const pluginFailed = hook => (err, plugin) => notifyError(toShadowCardError(err, {
+        code: ERROR_CODES.PLUGIN_FAILED,
+        severity: ERROR_SEVERITY.WARNING,
+        details: { plugin: plugin.name, hook }
+    }), null, input.onError);
+    const options = { ...DEFAULT_OPTIONS, ...pipeHook(plugins, 'beforeCreate', { ...input }, [], pluginFailed('beforeCreate')) };
+    Validator.validateHtml(options.html);
+    Validator.validateCss(options.css);
+    Validator.validateStyleLayers(options.styleLayers);
+    Validator.validateData(options.data);
+    Validator.validateTargetWidth(options.targetWidth);
+    Validator.validateSchema(options.schema);
+    if (!isKnownTheme(options.theme)) {
+        throw new ShadowCardError(ERROR_CODES.INVALID_THEME, `Unknown theme: ${JSON.stringify(options.theme)}`);
+    }
+
+    const id = options.id || generateUniqueId();
+    const data = options.data || {};
+    const markdown = options.format === 'markdown';
+    const policy = options.sanitize;
+
+    // ---------- content ----------
+    const html = pipeHook(plugins, 'beforeSetHTML', options.html, [null, { format: options.format || 'html' }], pluginFailed('beforeSetHTML'));
+    const content = parseHTML(markdown ? markdownToHtml(html) : html);
+    sanitizeTree(content, markdown ? markdownPolicyFor(policy) : policy);
+    new TemplateBinder({
+        document: ssrDocument,
+        markers: true,
+        sanitizeAttr: (tag, attr, value) => sanitizeAttr(tag, attr, value, policy),
+        renderMarkdown: text => sanitizeToString(markdownToHtml(text), markdownPolicyFor(policy))
+    }).compile(content).render(data);
+    prepareImages(content, options);
+
+    // ---------- size: the content is INNER_WIDTH wide and zoomed to the card width ----------
+    const width = Math.min(Number(options.maxWidth) || 1200, Math.max(Number(options.minWidth) || 0, options.targetWidth));
+    const scale = Math.min(1, Math.max(Number(options.minScale) || 0, width / INNER_WIDTH));
+
+    // ---------- host style: options.styles, then the theme ----------
+    const themeName = resolveThemeName(options.theme);
+    const theme = themeName ? getTheme(themeName) : null;
+    const mappings = { ...pluginStyles(plugins), ...ShadowCard.prototype._getStyleMappings() };
+    const props = {};
+    const setProp = (prop, value) => {
+        if (prop && value != null && typeof value !== 'object') props[prop] = String(value);
+    };
+    Object.entries(options.styles || {}).forEach(([key, value]) => setProp(mappings[key], value));
+    if (theme) {
+        Object.entries(theme.styles).forEach(([key, value]) => setProp(mappings[key], value));
+        Object.entries(theme.variables).forEach(([prop, value]) => setProp(prop, value));
+    }
+    props.width = `${width}px`;
+
+    const label = ariaLabelOf(options, data);
+    const hostAttrs = [
+        ['id', id],
+        ['data-id', id],
+        ['role', options.role],
+        ['tabindex', '0'],
+        ['aria-label', label],
+        ['data-theme', theme ? themeName : ''],
+        ['style', Object.entries(props).map(([prop, value]) => `${prop}: ${value}`).join('; ')]
+    ].filter(([, value]) => value).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+
+    // the base layer, then named layers in order; like setStyle, a repeated name replaces its layer
+    const layers = new Map((options.styleLayers || []).map(entry => [entry.name, entry.css]));
+    const css = [options.css, ...layers.values()].filter(Boolean).join('\n');
+    const loadingText = theme?.styles.loadingText ?? options.styles?.loadingText;
+    const shadow = [
+        `<style>${baseStyles(options)}</style>`,
+        overlayMarkup(loadingText, true),
+        theme?.css ? `<style id="theme-style">${escapeStyle(theme.css)}</style>` : '',
+        css ? `<style id="custom-style">${escapeStyle(css)}</style>` : '',
+        `<div id="inner-container" style="width: ${INNER_WIDTH}px; zoom: ${scale}">${serializeChildren(content)}</div>`
+    ].join('');
+
+    // "<" escaped so the JSON cannot close the script element
+    const state = JSON.stringify(optionsToSnapshot({ ...options, id })).replace(/</g, '\\u003c');
+    return `<shadow-card${hostAttrs}><template shadowrootmode="open">${shadow}</template>`
+        + `<script type="application/json" data-shadow-card-state>${state}</script></shadow-card>`;
+};
+
+/**
+ * Read and remove the snapshot renderToString left in a <shadow-card>
+ * @param {HTMLElement} element
+ * @returns {Object|null}
+ */
+export const takeHydrationState = element => {
+    const script = Array.from(element.children).find(child => child.matches('script[data-shadow-card-state]'));
+    if (!script) return null;
+    script.remove();
+    try {
+        return JSON.parse(script.textContent || '');
+    } catch (e) {
+        throw new ShadowCardError(ERROR_CODES.INVALID_SNAPSHOT, ERROR_MESSAGES.INVALID_SNAPSHOT, { cause: e });
+    }
+};
+
+/**
+ * Whether an element carries server-rendered card markup
+ * @param {HTMLElement} element
+ */
+export const isServerRendered = element => !!element
+    && (!!element.shadowRoot?.getElementById('inner-container') || !!findShadowTemplate(element));
+
+const findShadowTemplate = element => Array.from(element.children)
+    .find(child => child.tagName === 'TEMPLATE' && child.hasAttribute('shadowrootmode')) || null;
+
+/**
+ * Attach the shadow root of a <template shadowrootmode> by hand, for browsers
+ * (and HTML inserted with innerHTML) where the parser did not
+ * @param {HTMLElement} element
+ */
+export const attachDeclarativeShadowRoot = element => {
+    const template = element.shadowRoot ? null : findShadowTemplate(element);
+    if (!template) return;
+    // always open: the card works through element.shadowRoot
+    element.attachShadow({ mode: 'open' }).appendChild(template.content);
+    template.remove();
+};
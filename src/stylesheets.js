@@ -0,0 +1,44 @@
+/**
+ * Shared constructable stylesheets
+ * Sheets are cached by their CSS text and reference counted, so a batch of
+ * cards with identical CSS parses it once and adopts the same CSSStyleSheet.
+ * A sheet is dropped from the cache when its last card releases it.
+ */
+const cache = new Map();
+
+/**
+ * Get the shared sheet for a CSS text and take a reference to it
+ * @param {string} css
+ * @returns {CSSStyleSheet|null} null when constructable stylesheets are unavailable
+ */
+export const acquireSheet = css => {
+    const key = String(css);
+    const cached = cache.get(key);
+    if (cached) {
+        cached.refs++;
+        return cached.sheet;
+    }
+    try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(key);
+        cache.set(key, { sheet, refs: 1 });
+        return sheet;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Drop a reference taken with acquireSheet
+ * @param {string} css
+ */
+export const releaseSheet = css => {
+    const key = String(css);
+    const cached = cache.get(key);
+    if (!cached) return;
+    cached.refs--;
+    if (cached.refs <= 0) cache.delete(key);
+};
+
+/** Number of distinct sheets currently shared */
+export const getSheetCacheSize = () => cache.size;
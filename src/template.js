@@ -0,0 +1,239 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Shadow root markup
+ * Shared by cards built in the browser and by renderToString(), so a server
+ * rendered card hydrates into exactly the markup a new card would create:
+ *
+ *   <style>base styles</style>
+ *   <div id="loading-overlay">spinner, text or loadingTemplate, progress bar</div>
+ *   [<style id="theme-style">] [<style id="custom-style">]
+ *   <div id="inner-container">content</div>
+ */
+
+// unscaled width of the card content; the card scales it down to its target width
+export const INNER_WIDTH = 640;
+
+// shown in place of a failed image when the card has no fallbackImage
+export const IMAGE_PLACEHOLDER = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="48" viewBox="0 0 64 48">'
+    + '<rect width="64" height="48" fill="#f1f5f9"/>'
+    + '<path d="M20 34l8-10 6 7 4-5 6 8z" fill="#cbd5e1"/><circle cx="40" cy="17" r="3" fill="#cbd5e1"/></svg>'
+);
+
+// loadingTemplate value that draws the card's own layout as placeholders
+export const SKELETON = 'skeleton';
+
+/**
+ * Base CSS of the shadow root
+ * @param {Object} options - Card options (`editable` changes pointer handling)
+ */
+export const baseStyles = ({ editable = false } = {}) => `
+    :host {
+        all: initial;
+        display: block;
+        background: #ffffff;
+        border: var(--shadow-card-border)!important;
+        border-radius: var(--shadow-card-border-radius, 6px);
+        cursor: pointer;
+        overflow: hidden;
+        box-sizing: border-box;
+        transition: border 0.3s ease;
+        user-select: none;
+        position: relative;
+        padding:0;
+        margin: var(--shadow-card-margin-height, 0) var(--shadow-card-margin-width, 0);
+    }
+    :host(:hover) {
+        border-color: var(--shadow-card-hover-border-color, #3b82f6)!important;
+    }
+    :host([selected]) {
+        border-color: var(--shadow-card-selected-border-color, #2563eb)!important;
+    }
+    :host([invalid]) {
+        border-color: var(--shadow-card-invalid-color, #dc2626)!important;
+    }
+    :host(:focus-visible) {
+        outline: var(--shadow-card-focus-ring-width, 2px) solid var(--shadow-card-focus-ring-color, #3b82f6);
+        outline-offset: var(--shadow-card-focus-ring-offset, 2px);
+    }
+    #inner-container [data-field]:focus-visible,
+    #inner-container [data-img]:focus-visible {
+        outline: var(--shadow-card-focus-ring-width, 2px) solid var(--shadow-card-focus-ring-color, #3b82f6);
+        outline-offset: 2px;
+    }
+    #inner-container {
+        width: ${INNER_WIDTH}px;
+        transform-origin: top left;
+        transform: scale(1);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        pointer-events: ${!editable ? 'auto' : 'none'};
+    }
+    #inner-container [data-editable="open"] {
+        pointer-events: ${!editable ? 'none' : 'auto'};
+    }
+    #inner-container [data-img] {
+        pointer-events: ${!editable ? 'none' : 'auto'};
+    }
+    #inner-container input,
+    #inner-container select,
+    #inner-container textarea,
+    #inner-container label {
+        pointer-events: auto;
+        user-select: text;
+        -webkit-user-select: text;
+        cursor: auto;
+    }
+    #inner-container [aria-invalid="true"] {
+        outline: 1px solid var(--shadow-card-invalid-color, #dc2626);
+        outline-offset: 1px;
+    }
+    #inner-container img.shadowcard-img-loading {
+        background: var(--shadow-card-image-placeholder-bg, #f1f5f9);
+    }
+    ${editable ? `
+    #inner-container [data-field] {
+        pointer-events: auto;
+    }
+    #inner-container [contenteditable] {
+        cursor: text;
+        user-select: text;
+        -webkit-user-select: text;
+    }` : ''}
+    #loading-overlay {
+        position: absolute;
+        inset: 0;
+        background: var(--shadow-card-loading-bg, #ffffff);
+        color: var(--shadow-card-loading-color, #4b5563);
+        font-size: var(--shadow-card-loading-font-size, 0.8rem);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: var(--shadow-card-loading-gap, 8px);
+        z-index: 10;
+        opacity: 1;
+        transition: opacity 0.3s ease;
+        pointer-events: none;
+    }
+    .loading-spinner {
+        width: var(--shadow-card-loading-icon-size, 20px);
+        height: var(--shadow-card-loading-icon-size, 20px);
+        border: 2px solid var(--shadow-card-loading-spinner-border, rgba(0,0,0,0.1));
+        border-top-color: var(--shadow-card-loading-spinner-color, #3b82f6);
+        border-radius: 50%;
+        animation: spin var(--shadow-card-loading-spinner-speed, 1s) linear infinite;
+    }
+    @keyframes spin { to { transform: rotate(360deg); } }
+    #loading-overlay.hidden { opacity: 0; }
+    .loading-progress {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        height: var(--shadow-card-loading-progress-height, 3px);
+        background: var(--shadow-card-loading-spinner-border, rgba(0,0,0,0.1));
+    }
+    .loading-progress[hidden] { display: none; }
+    .loading-progress-bar {
+        height: 100%;
+        background: var(--shadow-card-loading-spinner-color, #3b82f6);
+        transform-origin: left;
+        transform: scaleX(var(--shadow-card-loading-progress, 0));
+        transition: transform 0.2s ease;
+    }
+    #loading-overlay.skeleton {
+        display: block;
+        overflow: hidden;
+    }
+    .loading-skeleton {
+        width: ${INNER_WIDTH}px;
+        transform-origin: top left;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    }
+    .loading-skeleton .skeleton-line,
+    .loading-skeleton .skeleton-line * {
+        color: transparent !important;
+        border-color: transparent !important;
+    }
+    .loading-skeleton .skeleton-line,
+    .loading-skeleton .skeleton-block {
+        background: var(--shadow-card-skeleton-color, #e2e8f0) !important;
+        border-radius: var(--shadow-card-skeleton-radius, 4px);
+        animation: skeleton-pulse var(--shadow-card-skeleton-speed, 1.5s) ease-in-out infinite;
+    }
+    .loading-skeleton .skeleton-block {
+        display: inline-block;
+        max-width: 100%;
+        vertical-align: middle;
+    }
+    @keyframes skeleton-pulse { 50% { opacity: 0.5; } }
+    .loading-sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+    }`;
+
+/**
+ * Default overlay content: spinner and text
+ * @param {string} loadingText
+ */
+export const spinnerMarkup = (loadingText = '') => `
+        <div class="loading-spinner"></div>
+        <span class="loading-text">${escapeHtml(loadingText || '')}</span>`;
+
+/** Progress bar along the bottom of the overlay, hidden until a progress is set */
+export const progressMarkup = () => `
+        <div class="loading-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" hidden>
+            <div class="loading-progress-bar"></div>
+        </div>`;
+
+/**
+ * Loading overlay shown while the card measures itself or setLoading() is on
+ * @param {string} loadingText
+ * @param {boolean} hidden - Render it already hidden (server-rendered cards are sized)
+ */
+export const overlayMarkup = (loadingText = '', hidden = false) => `
+    <div id="loading-overlay"${hidden ? ' class="hidden"' : ''} role="status" aria-live="polite">${spinnerMarkup(loadingText)}${progressMarkup()}
+    </div>`;
+
+// copies must not take ids, focus or edits from the live content
+const SKELETON_STRIP_ATTRS = ['id', 'name', 'for', 'tabindex', 'contenteditable', 'href', 'srcset', 'src'];
+
+/**
+ * Skeleton of rendered content: a copy of its layout where data fields become
+ * placeholder bars and images placeholder blocks of the same size.
+ * Scale it like #inner-container, since it copies the unscaled layout.
+ * @param {Element} container - #inner-container
+ * @returns {Element} `.loading-skeleton` element
+ */
+export const buildSkeleton = container => {
+    const doc = container.ownerDocument;
+    const skeleton = doc.createElement('div');
+    skeleton.className = 'loading-skeleton';
+    skeleton.setAttribute('aria-hidden', 'true');
+    Array.from(container.childNodes).forEach(node => skeleton.appendChild(node.cloneNode(true)));
+
+    // copies of images would load again; blocks keep their place (clone order matches)
+    const images = Array.from(container.querySelectorAll('img'));
+    Array.from(skeleton.querySelectorAll('img')).forEach((img, i) => {
+        const width = images[i]?.offsetWidth || Number(img.getAttribute('width')) || 0;
+        const height = images[i]?.offsetHeight || Number(img.getAttribute('height')) || 0;
+        const block = doc.createElement('span');
+        block.className = `${img.className || ''} skeleton-block`.trim();
+        block.style.width = width ? `${width}px` : '100%';
+        block.style.height = height ? `${height}px` : '4em';
+        img.replaceWith(block);
+    });
+    skeleton.querySelectorAll('source, script').forEach(node => node.remove());
+    skeleton.querySelectorAll('[data-field]').forEach(el => el.classList.add('skeleton-line'));
+    skeleton.querySelectorAll('input, select, textarea, button').forEach(el => { el.disabled = true; });
+    skeleton.querySelectorAll('*').forEach(el => SKELETON_STRIP_ATTRS.forEach(attr => el.removeAttribute(attr)));
+    return skeleton;
+};
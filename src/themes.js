@@ -0,0 +1,133 @@
+/**
+ * Theme registry
+ * A theme bundles three layers of card styling:
+ * - styles     container style keys (border, borderRadius, marginWidth, ...) applied as CSS variables
+ * - variables  raw custom properties (`--brand: #6366f1`) set on the host
+ * - css        content CSS adopted into the shadow root, underneath the card's own CSS
+ *
+ * Cards pick a theme by name, or a `{ light, dark }` pair that follows
+ * `prefers-color-scheme`. Themed cards are tracked so that re-registering a
+ * theme or a color scheme change restyles them in place.
+ */
+const themes = new Map();
+const themedCards = new Set();
+let darkQuery = null;
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Register (or replace) a named theme
+ * @param {string} name
+ * @param {Object} theme
+ * @param {Object} theme.styles - Style keys, as in the `styles` option
+ * @param {string} theme.css - Content CSS
+ * @param {Object} theme.variables - Custom properties, with or without the leading `--`
+ */
+export const registerTheme = (name, { styles = {}, css = '', variables = {} } = {}) => {
+    if (!name || typeof name !== 'string') throw new Error('Theme name must be a non-empty string');
+    if (typeof css !== 'string') throw new Error('Theme css must be a string');
+    themes.set(name, {
+        name,
+        styles: { ...styles },
+        css,
+        variables: Object.entries(variables || {}).reduce((acc, [key, value]) => ({
+            ...acc,
+            [key.startsWith('--') ? key : `--${key}`]: value
+        }), {}),
+        sheet: null
+    });
+    refreshThemedCards(name);
+};
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined} Registered theme
+ */
+export const getTheme = name => themes.get(name);
+
+/** Names of every registered theme */
+export const getThemeNames = () => [...themes.keys()];
+
+/**
+ * Whether a `theme` option value only names registered themes
+ * @param {string|Object|null} theme - Name or { light, dark } pair
+ */
+export const isKnownTheme = theme => {
+    if (theme == null) return true;
+    if (typeof theme === 'string') return themes.has(theme);
+    if (typeof theme === 'object') {
+        return [theme.light, theme.dark].every(name => name == null || themes.has(name));
+    }
+    return false;
+};
+
+const prefersDark = () => {
+    try {
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            && window.matchMedia(DARK_SCHEME_QUERY).matches;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Resolve a `theme` option value to a theme name for the current color scheme
+ * @param {string|Object|null} theme
+ * @returns {string|null}
+ */
+export const resolveThemeName = theme => {
+    if (!theme) return null;
+    if (typeof theme === 'string') return theme;
+    const { light = null, dark = null } = theme;
+    return (prefersDark() ? dark : light) || light || dark;
+};
+
+/**
+ * Shared constructable stylesheet for a theme's CSS (null where unsupported)
+ * @param {Object} theme - Registered theme
+ */
+export const getThemeSheet = theme => {
+    if (theme.sheet || !theme.css || typeof CSSStyleSheet === 'undefined') return theme.sheet;
+    try {
+        theme.sheet = new CSSStyleSheet();
+        theme.sheet.replaceSync(theme.css);
+    } catch (e) {
+        theme.sheet = null;
+    }
+    return theme.sheet;
+};
+
+const handleSchemeChange = () => themedCards.forEach(card => {
+    if (card.options?.theme && typeof card.options.theme === 'object') card._applyTheme();
+});
+
+/**
+ * Track a themed card, or stop tracking it once it has no theme
+ * @param {Object} card - ShadowCard instance
+ */
+export const watchTheme = card => {
+    if (!card.options?.theme) {
+        unwatchTheme(card);
+        return;
+    }
+    themedCards.add(card);
+    if (darkQuery || typeof window === 'undefined' || typeof window.matchMedia !== 'function') return;
+    try {
+        darkQuery = window.matchMedia(DARK_SCHEME_QUERY);
+        if (darkQuery.addEventListener) darkQuery.addEventListener('change', handleSchemeChange);
+        else darkQuery.addListener?.(handleSchemeChange);
+    } catch (e) {
+        darkQuery = null;
+    }
+};
+
+/**
+ * @param {Object} card - ShadowCard instance
+ */
+export const unwatchTheme = card => {
+    themedCards.delete(card);
+};
+
+const refreshThemedCards = name => themedCards.forEach(card => {
+    if (card._themeName === name || resolveThemeName(card.options?.theme) === name) card._applyTheme();
+});
@@ -1,4 +1,5 @@
-import { ERROR_MESSAGES, ALLOWED_TAGS_MARKDOWN, ALLOWED_ATTRS_MARKDOWN } from './constants.js';
+import { ERROR_MESSAGES, ERROR_CODES, ALLOWED_TAGS_MARKDOWN, ALLOWED_ATTRS_MARKDOWN } from './constants.js';
+import { ShadowCardError } from './errors.js';
 
 import { v4 as uuidv4 } from 'uuid';
 import DOMPurify from 'dompurify';
@@ -24,6 +25,27 @@ export const sanitizeHtml = (html = '', allowedTags = ALLOWED_TAGS_MARKDOWN || [
     }
 }
 
+/**
+ * Sanitize a single attribute value by running it through the same rules as sanitizeHtml
+ * @param {string} tagName - Tag the attribute belongs to
+ * @param {string} attr - Attribute name
+ * @param {string} value
+ * @param {string[]} allowedTags
+ * @param {string[]} allowedAttrs
+ * @returns {string|null} Safe value, or null if the sanitizer drops it
+ */
+export const sanitizeAttribute = (tagName, attr, value, allowedTags = ALLOWED_TAGS_MARKDOWN || [], allowedAttrs = ALLOWED_ATTRS_MARKDOWN || []) => {
+    const tag = String(tagName || '').toLowerCase();
+    const name = String(attr || '').toLowerCase();
+    if (!/^[a-z][a-z0-9-]*$/.test(tag) || !/^[a-z][a-z0-9_.:-]*$/.test(name)) return null;
+    const safeHtml = sanitizeHtml(`<${tag} ${name}="${escapeHtml(value)}"></${tag}>`, allowedTags, allowedAttrs);
+    if (!safeHtml) return null;
+    const template = document.createElement('template');
+    template.innerHTML = safeHtml;
+    const el = template.content.firstElementChild;
+    return el && el.hasAttribute(name) ? el.getAttribute(name) : null;
+}
+
 /**
  * Escape plain text to HTML
  * @param {string} str
@@ -52,32 +74,69 @@ export const generateUniqueId = () => {
 export const Validator = {
     validateContainer(container) {
         if (!(container instanceof HTMLElement)) {
-            throw new Error(ERROR_MESSAGES.INVALID_CONTAINER);
+            throw new ShadowCardError(ERROR_CODES.INVALID_CONTAINER, ERROR_MESSAGES.INVALID_CONTAINER);
         }
     },
     validateHtml(html) {
         if (typeof html !== 'string') {
-            throw new Error(ERROR_MESSAGES.INVALID_HTML);
+            throw new ShadowCardError(ERROR_CODES.INVALID_HTML, ERROR_MESSAGES.INVALID_HTML);
         }
     },
     validateCss(css) {
         if (typeof css !== 'string') {
-            throw new Error(ERROR_MESSAGES.INVALID_CSS);
+            throw new ShadowCardError(ERROR_CODES.INVALID_CSS, ERROR_MESSAGES.INVALID_CSS);
+        }
+    },
+    validateStyleLayers(layers) {
+        if (layers != null && (!Array.isArray(layers)
+            || layers.some(entry => !entry || typeof entry.name !== 'string' || !entry.name || typeof entry.css !== 'string'))) {
+            throw new ShadowCardError(ERROR_CODES.INVALID_CSS, ERROR_MESSAGES.INVALID_STYLE_LAYERS);
         }
     },
     validateData(data) {
         if (data !== null && typeof data !== 'object') {
-            throw new Error(ERROR_MESSAGES.INVALID_DATA);
+            throw new ShadowCardError(ERROR_CODES.INVALID_DATA, ERROR_MESSAGES.INVALID_DATA);
+        }
+    },
+    validateSchema(schema) {
+        if (schema != null && (typeof schema !== 'object' || Array.isArray(schema)
+            || Object.values(schema).some(rule => rule != null && typeof rule !== 'object'))) {
+            throw new ShadowCardError(ERROR_CODES.INVALID_SCHEMA, ERROR_MESSAGES.INVALID_SCHEMA);
         }
     },
     validateTargetWidth(width) {
         if (typeof width !== 'number' || width <= 0 || isNaN(width)) {
-            throw new Error(ERROR_MESSAGES.INVALID_TARGET_WIDTH);
+            throw new ShadowCardError(ERROR_CODES.INVALID_TARGET_WIDTH, ERROR_MESSAGES.INVALID_TARGET_WIDTH);
+        }
+    },
+    /**
+     * Run every constructor rule against merged card options
+     * @param {Object} options - Options merged over DEFAULT_OPTIONS
+     */
+    validateOptions(options) {
+        if (!options || typeof options !== 'object') {
+            throw new ShadowCardError(ERROR_CODES.INVALID_OPTIONS, ERROR_MESSAGES.INVALID_OPTIONS);
         }
+        this.validateContainer(options.container);
+        this.validateHtml(options.html);
+        this.validateCss(options.css);
+        this.validateStyleLayers(options.styleLayers);
+        this.validateData(options.data);
+        this.validateTargetWidth(options.targetWidth);
+        this.validateSchema(options.schema);
     },
     validateNotDestroyed(instance) {
         if (instance.isDestroyed) {
-            throw new Error(ERROR_MESSAGES.ELEMENT_DESTROYED);
+            throw new ShadowCardError(ERROR_CODES.DESTROYED, ERROR_MESSAGES.ELEMENT_DESTROYED);
         }
     }
 };
+
+/**
+ * Give the main thread a chance to paint and handle input
+ * @returns {Promise<void>}
+ */
+export const yieldToMain = () => {
+    if (typeof scheduler !== 'undefined' && typeof scheduler.yield === 'function') return scheduler.yield();
+    return new Promise(resolve => setTimeout(resolve, 0));
+};
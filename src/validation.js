@@ -0,0 +1,143 @@
+import { getPath } from './binding.js';
+
+/**
+ * Schema validation
+ * A schema maps data paths to rules, checked in this order:
+ *
+ *   {
+ *     'email':     { required: true, type: 'email' },
+ *     'age':       { type: 'integer', min: 18, max: 120, message: { min: 'Adults only' } },
+ *     'code':      { pattern: /^[A-Z]{3}$/ },
+ *     'tags':      { type: 'array', max: 5 },
+ *     'password':  { required: true, min: 8, validate: (value, data) => value !== data.user || 'Too obvious' }
+ *   }
+ *
+ * - `type`: string, number, integer, boolean, array, email, url (absolute http or https) or date
+ * - `min` / `max`: bounds for numbers and dates, lengths for strings and arrays
+ * - `validate`: function or list of functions of (value, data, card) returning
+ *   true/undefined when valid, false or a message otherwise
+ * - `message`: one message for every rule, or messages keyed by rule name
+ *
+ * Empty values (undefined, null, '', [] and false) only fail `required`;
+ * the other rules skip them.
+ */
+const DEFAULT_MESSAGES = {
+    required: () => 'This field is required',
+    type: rule => (rule.type === 'url' ? 'Must be a URL' : `Must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`),
+    min: (rule, value) => (hasLength(value) ? `Must be at least ${rule.min} ${unitOf(value)}` : `Must be at least ${rule.min}`),
+    max: (rule, value) => (hasLength(value) ? `Must be at most ${rule.max} ${unitOf(value)}` : `Must be at most ${rule.max}`),
+    pattern: () => 'Has an invalid format',
+    validate: () => 'Is invalid'
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// javascript:, data: and the like are never valid links
+const URL_PROTOCOLS = ['http:', 'https:'];
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    email: value => typeof value === 'string' && EMAIL.test(value),
+    url: value => {
+        try {
+            return URL_PROTOCOLS.includes(new URL(String(value)).protocol);
+        } catch (e) {
+            return false;
+        }
+    },
+    date: value => toTime(value) !== null
+};
+
+const hasLength = value => typeof value === 'string' || Array.isArray(value);
+const unitOf = value => (Array.isArray(value) ? 'items' : 'characters');
+
+const toTime = value => {
+    if (value === '' || value == null || typeof value === 'boolean') return null;
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+};
+
+const isEmpty = value => value === undefined || value === null || value === '' || value === false
+    || (Array.isArray(value) && !value.length);
+
+// what min/max compare: lengths, dates (as time) or numbers
+const measure = (value, rule) => {
+    if (hasLength(value) && rule.type !== 'date') return value.length;
+    if (rule.type === 'date') return toTime(value);
+    return typeof value === 'number' ? value : Number(value);
+};
+
+const bound = (limit, rule) => (rule.type === 'date' ? toTime(limit) : Number(limit));
+
+const messageFor = (rule, name, value) => {
+    const { message } = rule;
+    if (typeof message === 'string') return message;
+    if (message && typeof message[name] === 'string') return message[name];
+    return DEFAULT_MESSAGES[name](rule, value);
+};
+
+/**
+ * Check one value against its rule
+ * @param {*} value
+ * @param {Object} rule
+ * @param {Object} data - Whole card data, passed to custom validators
+ * @param {Object} card - ShadowCard instance, passed to custom validators
+ * @returns {{ rule: string, message: string }|null} First failed rule, or null when valid
+ */
+export const validateValue = (value, rule = {}, data = {}, card = null) => {
+    const fail = (name, message) => ({ rule: name, message: message || messageFor(rule, name, value) });
+    if (isEmpty(value)) return rule.required ? fail('required') : null;
+
+    if (rule.type && TYPE_CHECKS[rule.type] && !TYPE_CHECKS[rule.type](value)) return fail('type');
+    if (rule.min != null && !(measure(value, rule) >= bound(rule.min, rule))) return fail('min');
+    if (rule.max != null && !(measure(value, rule) <= bound(rule.max, rule))) return fail('max');
+    if (rule.pattern) {
+        const pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+        pattern.lastIndex = 0;
+        if (!pattern.test(String(value))) return fail('pattern');
+    }
+
+    const validators = [].concat(rule.validate || []).filter(fn => typeof fn === 'function');
+    for (const validator of validators) {
+        let result;
+        try {
+            result = validator(value, data, card);
+        } catch (err) {
+            return fail('validate', err?.message);
+        }
+        if (result === false) return fail('validate');
+        if (typeof result === 'string') return fail('validate', result);
+    }
+    return null;
+};
+
+/**
+ * Validate card data against a schema
+ * @param {Object} data
+ * @param {Object|null} schema
+ * @param {Object} card - ShadowCard instance, passed to custom validators
+ * @returns {{ valid: boolean, errors: Object<string, { rule: string, message: string }> }}
+ */
+export const validateSchema = (data = {}, schema = null, card = null) => {
+    const errors = {};
+    Object.entries(schema || {}).forEach(([path, rule]) => {
+        const error = validateValue(getPath(data, path), rule || {}, data, card);
+        if (error) errors[path] = error;
+    });
+    return { valid: !Object.keys(errors).length, errors };
+};
+
+/**
+ * Whether two validation results report the same errors
+ * @param {Object|null} a
+ * @param {Object|null} b
+ */
+export const sameValidation = (a, b) => {
+    if (!a || !b) return a === b;
+    const keys = Object.keys(a.errors);
+    return keys.length === Object.keys(b.errors).length
+        && keys.every(key => b.errors[key]?.message === a.errors[key].message && b.errors[key]?.rule === a.errors[key].rule);
+};
@@ -0,0 +1,412 @@
+import { DEFAULT_OPTIONS, SNAPSHOT_VERSION, ERROR_CODES } from './constants.js';
+import { ShadowCardError } from './errors.js';
+import { generateUniqueId, Validator } from './utils.js';
+import { CardCollection } from './collection.js';
+import { migrateBatchSnapshot, optionsToSnapshot, snapshotToOptions } from './snapshot.js';
+
+/**
+ * VirtualCardCollection - CardCollection that only renders cards near the viewport
+ * Features:
+ * - Every card starts as a lightweight placeholder sized like the card
+ * - Cards mount when their placeholder comes within `mountMargin` of the viewport
+ * - Cards unmount (shadow root released) once they are beyond `unmountMargin`
+ * - Data, HTML, CSS and styles of unmounted cards are kept and survive the round trip
+ *
+ * Unmounted cards have no ShadowCard instance: get(), forEach() and friends only
+ * see mounted cards, while size, updateAll(), resizeAll(), setTheme(), setLoading(),
+ * serialize() and exportAll() cover every card. A remounted card is a new instance, so listen
+ * through collection.on() rather than card.on(). Undo history does not survive
+ * unmounting. Keyboard navigation and focus() mount the target card first.
+ * Cards mounted with mount(id) stay mounted, wherever they are, until unmount(id).
+ * Selection is kept by id and covers unmounted cards (see getSelectedIds()).
+ */
+const DEFAULT_VIRTUAL_OPTIONS = {
+    root: null,
+    mountMargin: '200px',
+    unmountMargin: '1000px',
+    estimatedHeight: 200
+};
+
+const PLACEHOLDER_CLASS = 'shadow-card-placeholder';
+
+export class VirtualCardCollection extends CardCollection {
+    /**
+     * @param {Object[]} configs - Card options, as for new ShadowCard()
+     * @param {Object} options
+     * @param {Function} options.create - Factory turning card options into a ShadowCard
+     * @param {Function} options.fromJSON - Factory turning (snapshot, options) into a ShadowCard
+     * @param {Element|null} options.root - Scroll container observed for visibility (null = viewport)
+     * @param {string} options.mountMargin - Root margin within which cards mount
+     * @param {string} options.unmountMargin - Root margin beyond which cards unmount
+     * @param {number} options.estimatedHeight - Placeholder height before a card was first measured
+     * @param {string} options.selection - 'none', 'single' or 'multi'
+     */
+    constructor(configs = [], { create, fromJSON, selection, ...options } = {}) {
+        super([], { create, fromJSON, selection });
+        this.virtualOptions = { ...DEFAULT_VIRTUAL_OPTIONS, ...options };
+        this._records = [];
+        this._recordById = new Map();
+        this._recordByNode = new WeakMap();
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            const { root, mountMargin, unmountMargin } = this.virtualOptions;
+            this._mountObserver = new IntersectionObserver(
+                entries => this._handleIntersections(entries, true),
+                { root, rootMargin: mountMargin }
+            );
+            this._unmountObserver = new IntersectionObserver(
+                entries => this._handleIntersections(entries, false),
+                { root, rootMargin: unmountMargin }
+            );
+        }
+
+        configs.forEach(config => this.add(config));
+    }
+
+    /** Number of cards, mounted or not */
+    get size() {
+        this._prune();
+        return this._records.length;
+    }
+
+    /** Mounted cards in order */
+    toArray() {
+        this._prune();
+        return this._records.filter(record => record.card).map(record => record.card);
+    }
+
+    /** Ids of every card in order */
+    ids() {
+        this._prune();
+        return this._records.map(record => record.id);
+    }
+
+    isMounted(id) {
+        return !!this.get(id);
+    }
+
+    /**
+     * Add a card as a placeholder; it mounts once it nears the viewport
+     * @param {Object} options - Card options (a live ShadowCard is adopted as mounted)
+     * @returns {Object|null} The card if mounted, otherwise null
+     */
+    add(options) {
+        this._prune();
+        if (this._isCard(options)) return this._adopt(options);
+
+        const config = { ...options };
+        config.id = config.id || generateUniqueId();
+        if (this._recordById.has(config.id)) {
+            this._rejectDuplicate(config.id);
+            return this.get(config.id) || null;
+        }
+        // validate up front so cards do not fail later, while scrolling
+        Validator.validateOptions({ ...DEFAULT_OPTIONS, ...config });
+        const container = config.container || DEFAULT_OPTIONS.container;
+
+        const record = { id: config.id, options: config, card: null, placeholder: null, height: null, loading: null, pinned: false };
+        this._records.push(record);
+        this._recordById.set(record.id, record);
+        record.placeholder = this._createPlaceholder(record);
+        container.appendChild(record.placeholder);
+
+        if (this._mountObserver) this._mountObserver.observe(record.placeholder);
+        else return this._mount(record);
+        return null;
+    }
+
+    /**
+     * Remove a card, mounted or not
+     * @param {string|Object} idOrCard
+     * @param {Object} options
+     * @param {boolean} options.destroy - Also destroy the card
+     * @returns {Object|null} The removed card, or the removed card options when unmounted
+     */
+    remove(idOrCard, { destroy = false } = {}) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        const record = this._recordById.get(id);
+        if (!record) return null;
+
+        this._records.splice(this._records.indexOf(record), 1);
+        this._recordById.delete(id);
+        if (record.card) {
+            this._unmountObserver?.unobserve(record.card.element);
+            return super.remove(record.card, { destroy });
+        }
+        this._removePlaceholder(record);
+        this._dropSelection(id);
+        return record.options;
+    }
+
+    /**
+     * Render a card now, whatever its position, and keep it until unmount(id)
+     * @param {string} id
+     * @returns {Object|undefined} The mounted card
+     */
+    mount(id) {
+        const record = this._recordById.get(id);
+        if (!record) return undefined;
+        // the unmount observer reports a distant card right away; it must not release it
+        record.pinned = true;
+        return this._mount(record);
+    }
+
+    /**
+     * Release a card's shadow root and keep only its options and data
+     * @param {string} id
+     */
+    unmount(id) {
+        const record = this._recordById.get(id);
+        if (record) {
+            record.pinned = false;
+            this._unmount(record);
+        }
+        return this;
+    }
+
+    updateAll(dataById = {}) {
+        Object.entries(dataById || {}).forEach(([id, data]) => {
+            const record = this._recordById.get(id);
+            if (!record) return;
+            if (record.card) record.card.setContent(data);
+            else record.options.data = { ...record.options.data, ...data };
+        });
+        return this;
+    }
+
+    resizeAll(targetWidth) {
+        this._records.forEach(record => {
+            if (record.card) {
+                record.card.resize(targetWidth);
+            } else if (Number(targetWidth) > 0) {
+                // cards scale uniformly, so the measured height follows the width
+                const previous = Number(record.options.targetWidth) || DEFAULT_OPTIONS.targetWidth;
+                record.options.targetWidth = Number(targetWidth);
+                if (record.height) record.height *= record.options.targetWidth / previous;
+                this._sizePlaceholder(record);
+            }
+        });
+        return this;
+    }
+
+    setTheme(theme) {
+        this._records.forEach(record => {
+            if (record.card) record.card.setTheme(theme);
+            else record.options.theme = theme;
+        });
+        return this;
+    }
+
+    /**
+     * Call setLoading on every card; unmounted cards show the state once mounted
+     * @param {boolean|Object|Function} state - setLoading state, or (cardId) => state per card
+     */
+    setLoading(state) {
+        this._records.forEach(record => {
+            const next = typeof state === 'function' ? state(record.id) : state;
+            if (record.card) record.card.setLoading(next);
+            else record.loading = next ? { ...record.loading, ...(typeof next === 'object' ? next : {}) } : null;
+        });
+        return this;
+    }
+
+    isLoading() {
+        return this._records.some(record => (record.card ? record.card.isLoading() : !!record.loading));
+    }
+
+    destroyAll() {
+        this._records.forEach(record => {
+            if (record.card) {
+                this._unmountObserver?.unobserve(record.card.element);
+                record.card.destroy();
+            }
+            this._removePlaceholder(record);
+        });
+        this._records.length = 0;
+        this._recordById.clear();
+        return super.destroyAll();
+    }
+
+    /** Stop observing and destroy every card */
+    disconnect() {
+        this.destroyAll();
+        this._mountObserver?.disconnect();
+        this._unmountObserver?.disconnect();
+        return this;
+    }
+
+    // ---------- Keyboard navigation ----------
+    focus(idOrCard) {
+        const id = typeof idOrCard === 'string' ? idOrCard : idOrCard?.id;
+        const record = this._recordById.get(id);
+        if (record) this._mount(record);
+        return super.focus(id);
+    }
+
+    // navigate in document order, across unmounted cards
+    _navigationTarget(card, key) {
+        this._prune();
+        const index = this._records.findIndex(record => record.id === card.id);
+        if (index === -1) return null;
+        const targetIndex = this._navigationIndex(index, this._records.length, key, this._columnCount(card));
+        return targetIndex === -1 ? null : this._mount(this._records[targetIndex]);
+    }
+
+    // ---------- Ordering ----------
+    // placeholders of unmounted cards count as neighbours
+    _handleReorder(card) {
+        const record = this._recordById.get(card.id);
+        if (record) this._reposition(this._records, record, card.element, el => this._recordByNode.get(el) || null);
+        super._handleReorder(card);
+    }
+
+    // ---------- Selection ----------
+    _hasId(id) {
+        return this._recordById.has(id);
+    }
+
+    _orderedIds() {
+        return this.ids();
+    }
+
+    // ---------- Serialization ----------
+    serialize() {
+        this._prune();
+        return {
+            version: SNAPSHOT_VERSION,
+            cards: this._records.map(record => (record.card ? record.card.toJSON() : optionsToSnapshot(record.options)))
+        };
+    }
+
+    restore(json, options = {}) {
+        const { cards } = migrateBatchSnapshot(json);
+        return cards.map(snapshot => (this._recordById.has(snapshot.id)
+            ? this.get(snapshot.id) || null
+            : this.add(snapshotToOptions(snapshot, options))));
+    }
+
+    // ---------- Export ----------
+    // Unmounted cards are mounted for the export and released again afterwards
+    exportAll(format = 'html', options = {}) {
+        const method = { html: 'exportHTML', svg: 'exportSVG', png: 'exportPNG' }[String(format).toLowerCase()];
+        if (!method) return Promise.reject(new Error(`Unsupported export format: ${format}`));
+        this._prune();
+        return Promise.all(this._records.map(async record => {
+            const wasMounted = !!record.card;
+            const card = this._mount(record);
+            try {
+                return { id: record.id, output: await card[method](options) };
+            } finally {
+                if (!wasMounted && record.card === card) this._unmount(record);
+            }
+        }));
+    }
+
+    // ---------- Mounting ----------
+    _handleIntersections(entries, mounting) {
+        entries.forEach(entry => {
+            const record = this._recordByNode.get(entry.target);
+            if (!record || entry.isIntersecting !== mounting || (!mounting && record.pinned)) return;
+            if (mounting) this._mount(record);
+            else this._unmount(record);
+        });
+    }
+
+    _adopt(card) {
+        if (card.isDestroyed) throw new ShadowCardError(ERROR_CODES.DESTROYED, 'Cannot add a destroyed card', { cardId: card.id });
+        if (this._recordById.has(card.id)) {
+            const existing = this.get(card.id);
+            if (existing !== card) this._rejectDuplicate(card.id, card);
+            return existing || null;
+        }
+        const record = { id: card.id, options: { ...card.options }, card: null, placeholder: null, height: null, loading: null, pinned: false };
+        this._records.push(record);
+        this._recordById.set(record.id, record);
+        this._attach(record, card);
+        return card;
+    }
+
+    _attach(record, card) {
+        record.card = card;
+        this._recordByNode.set(card.element, record);
+        super.add(card);
+        this._unmountObserver?.observe(card.element);
+    }
+
+    _mount(record) {
+        if (record.card) return record.card;
+        const card = this._createCard(record.options);
+        // created cards append to the container; move them into the placeholder's slot
+        if (record.placeholder?.parentNode) record.placeholder.replaceWith(card.element);
+        this._removePlaceholder(record);
+        this._attach(record, card);
+        if (record.loading) card.setLoading(record.loading);
+        record.loading = null;
+        return card;
+    }
+
+    _unmount(record) {
+        const card = record.card;
+        if (!card) return;
+        if (card.isDestroyed) {
+            this._prune();
+            return;
+        }
+        if (card._editSession) card._commitEdit();
+
+        record.options = { ...record.options, ...snapshotToOptions(card.toJSON()) };
+        record.loading = card._loading ? { ...card._loading } : null;
+        const height = parseFloat(card.element.style.height) || card.element.offsetHeight;
+        if (height > 0) record.height = height;
+
+        record.placeholder = this._createPlaceholder(record);
+        this._unmountObserver?.unobserve(card.element);
+        if (card.element.parentNode) card.element.replaceWith(record.placeholder);
+        record.card = null;
+        super.remove(card, { destroy: true });
+        this._mountObserver?.observe(record.placeholder);
+    }
+
+    _createPlaceholder(record) {
+        const placeholder = document.createElement('div');
+        placeholder.className = PLACEHOLDER_CLASS;
+        placeholder.dataset.cardId = record.id;
+        placeholder.setAttribute('aria-hidden', 'true');
+        placeholder.style.display = 'block';
+        placeholder.style.boxSizing = 'border-box';
+        const styles = { ...DEFAULT_OPTIONS.styles, ...record.options.styles };
+        placeholder.style.margin = `${styles.marginHeight || '0'} ${styles.marginWidth || '0'}`;
+        this._recordByNode.set(placeholder, record);
+        this._sizePlaceholder(record, placeholder);
+        return placeholder;
+    }
+
+    _sizePlaceholder(record, placeholder = record.placeholder) {
+        if (!placeholder) return;
+        const width = Number(record.options.targetWidth) || DEFAULT_OPTIONS.targetWidth;
+        placeholder.style.width = `${width}px`;
+        placeholder.style.height = `${record.height || this.virtualOptions.estimatedHeight}px`;
+    }
+
+    _removePlaceholder(record) {
+        if (!record.placeholder) return;
+        this._mountObserver?.unobserve(record.placeholder);
+        record.placeholder.remove();
+        record.placeholder = null;
+    }
+
+    // cards destroyed directly leave the collection entirely
+    _prune() {
+        if (!this._records) return;
+        if (this._records.some(record => record.card?.isDestroyed)) {
+            this._records = this._records.filter(record => {
+                if (!record.card?.isDestroyed) return true;
+                this._recordById.delete(record.id);
+                return false;
+            });
+        }
+        super._prune();
+    }
+}
+
+export default VirtualCardCollection;
@@ -0,0 +1,93 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+
+const config = (id, container) => ({ id, container, html: '<p data-field="title"></p>', data: { title: id } });
+
+test('restore recreates cards from a batch snapshot', () => {
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate([config('a', container), config('b', container)]);
+    const saved = JSON.stringify(cards.serialize());
+    cards.destroyAll();
+
+    const restored = cards.restore(saved, { container });
+    assert.deepEqual(restored.map(card => card.id), ['a', 'b']);
+    assert.equal(cards.get('b').data.title, 'b');
+    assert.equal(container.querySelectorAll('shadow-card').length, 2);
+});
+
+test('restore keeps cards whose id is already in the collection, without building a second host', () => {
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate([config('keep', container)]);
+    const existing = cards.get('keep');
+    const saved = cards.serialize();
+    saved.cards.push(config('new', container));
+
+    const restored = cards.restore(saved, { container });
+    assert.equal(restored[0], existing);
+    assert.equal(restored[1].id, 'new');
+    assert.equal(cards.size, 2);
+    assert.equal(container.querySelectorAll('#keep').length, 1);
+    assert.equal(container.querySelectorAll('shadow-card').length, 2);
+});
+
+test('batchCreate keeps the first card for a duplicate id and reports the second', () => {
+    const container = createContainer();
+    const errors = [];
+    const cards = ShadowCard.batchCreate([config('dup', container), config('dup', container)], {
+        onError: (error, card) => errors.push([error.code, error.severity, card?.id])
+    });
+    assert.equal(cards.size, 1);
+    assert.equal(container.querySelectorAll('shadow-card').length, 1);
+    assert.deepEqual(errors, [['DUPLICATE_ID', 'warning', 'dup']]);
+});
+
+test('add destroys a second instance with an id already in the collection', () => {
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate([config('dup', container)]);
+    const kept = cards.get('dup');
+    const errors = [];
+    kept.on('error', e => errors.push(e.detail.code));
+
+    const duplicate = new ShadowCard(config('dup', container));
+    assert.equal(cards.add(duplicate), kept);
+    assert.ok(duplicate.isDestroyed);
+    assert.equal(cards.add(kept), kept);
+    assert.deepEqual(errors, ['DUPLICATE_ID']);
+    assert.equal(container.querySelectorAll('shadow-card').length, 1);
+});
+
+test('batchCreateAsync rejects configs whose id was already created', async () => {
+    const container = createContainer();
+    const report = await ShadowCard.batchCreateAsync([config('dup', container), config('dup', container), config('other', container)]);
+    assert.equal(report.created, 2);
+    assert.equal(report.failed, 1);
+    assert.deepEqual(report.errors.map(({ index, id, code }) => [index, id, code]), [[1, 'dup', 'DUPLICATE_ID']]);
+    assert.equal(report.collection.size, 2);
+    assert.equal(container.querySelectorAll('shadow-card').length, 2);
+});
+
+test('selection changes without a trigger card reach the DOM too', () => {
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate(['a', 'b', 'c'].map(id => config(id, container)), { selection: 'multi' });
+    const dom = [];
+    const collection = [];
+    container.addEventListener('selection-change', e => dom.push([e.detail.cardId, e.detail.selected, e.detail.removed]));
+    cards.on('selection-change', (e, card) => collection.push(card?.id ?? null));
+
+    cards.select('a');
+    cards.select('b', { add: true });
+    cards.get('a').destroy();
+    assert.deepEqual(cards.getSelectedIds(), ['b']);
+    cards.clearSelection();
+
+    assert.deepEqual(dom, [
+        ['a', ['a'], []],
+        ['b', ['a', 'b'], []],
+        [null, ['b'], ['a']],
+        [null, [], ['b']]
+    ]);
+    assert.deepEqual(collection, ['a', 'b', null, null]);
+    cards.destroyAll();
+});
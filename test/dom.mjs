@@ -0,0 +1,30 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Browser globals for tests that need a DOM. Import it before src/, so that
+ * DOMPurify and the <shadow-card> element find a window when they load.
+ */
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+const { window } = dom;
+
+[
+    'window', 'document', 'navigator', 'Node', 'Element', 'HTMLElement', 'HTMLImageElement', 'HTMLTemplateElement',
+    'DocumentFragment', 'CustomEvent', 'Event', 'KeyboardEvent', 'MouseEvent', 'DOMParser', 'XMLSerializer',
+    'MutationObserver', 'customElements', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+].forEach(key => {
+    Object.defineProperty(globalThis, key, { configurable: true, writable: true, value: window[key] });
+});
+
+// jsdom has no contenteditable support
+Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+    configurable: true,
+    get() { return !!this.closest('[contenteditable]'); }
+});
+
+/** Fresh container appended to the document body */
+export const createContainer = () => document.body.appendChild(document.createElement('div'));
+
+/** Resolve after `ms` milliseconds (resizes and image waits run on timers and frames) */
+export const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+export { window };
@@ -0,0 +1,61 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+import { scopeHostCss } from '../src/export.js';
+
+// resolves once the first resize has sized the host
+const createCard = () => new Promise(resolve => {
+    const card = new ShadowCard({
+        id: 'export-card',
+        container: createContainer(),
+        targetWidth: 320,
+        html: '<h3 data-field="title"></h3><p class="note">Static</p>',
+        css: ':host(:not([selected])) .note { color: gray; }',
+        data: { title: 'Exported <title>' }
+    });
+    card.on('loading-end', () => resolve(card));
+});
+
+test('scopeHostCss rewrites :host, :host() with nested parentheses and :host-context()', () => {
+    assert.equal(scopeHostCss(':host { a: b; }'), '.shadow-card-export { a: b; }');
+    assert.equal(scopeHostCss(':host(.dark) p {}'), '.shadow-card-export.dark p {}');
+    assert.equal(scopeHostCss(':host(:not(.x)) p {}'), '.shadow-card-export:not(.x) p {}');
+    assert.equal(scopeHostCss(':host(:is(.a, :not(.b))):hover {}'), '.shadow-card-export:is(.a, :not(.b)):hover {}');
+    assert.equal(scopeHostCss(':host-context(.x) {}'), '.shadow-card-export:is(.x, .x *) {}');
+    assert.equal(scopeHostCss(':host-context(body:not(.a)) p, :host {}'), '.shadow-card-export:is(body:not(.a), body:not(.a) *) p, .shadow-card-export {}');
+
+    // like :host-context, the rewrite matches the wrapper itself or any ancestor
+    const outer = createContainer();
+    outer.innerHTML = '<div class="dark"><div class="shadow-card-export"></div></div><div class="shadow-card-export dark"></div>';
+    const selector = scopeHostCss(':host-context(.dark)');
+    assert.equal(outer.querySelectorAll(selector).length, 2);
+    outer.firstElementChild.classList.remove('dark');
+    assert.equal(outer.querySelectorAll(selector).length, 1);
+});
+
+test('exportHTML returns a standalone document with the content and scoped CSS', async () => {
+    const card = await createCard();
+    const html = await card.exportHTML({ inlineImages: false, title: 'Card & co' });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Card &amp; co<\/title>/);
+    assert.match(html, /<div class="shadow-card-export" data-card-id="export-card" style="[^"]*width: 320px/);
+    assert.match(html, /<h3 data-field="title"[^>]*>Exported &lt;title&gt;<\/h3>/);
+    assert.match(html, /\.shadow-card-export:not\(\[selected\]\) \.note \{ color: gray; \}/);
+    assert.doesNotMatch(html, /:host/);
+    assert.doesNotMatch(html, /<script/);
+    card.destroy();
+});
+
+test('exportSVG wraps the same tree in a foreignObject sized like the card', async () => {
+    const card = await createCard();
+    card.element.style.height = '120px';
+    const svg = await card.exportSVG({ inlineImages: false });
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="320" height="120" viewBox="0 0 320 120">/);
+    assert.match(svg, /<foreignObject x="0" y="0" width="320" height="120"><div xmlns="http:\/\/www\.w3\.org\/1999\/xhtml" class="shadow-card-export"/);
+    assert.match(svg, /Exported &lt;title&gt;/);
+    assert.match(svg, /<\/foreignObject><\/svg>$/);
+    card.destroy();
+});
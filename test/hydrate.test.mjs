@@ -0,0 +1,96 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard, renderToString } from '../src/index.js';
+import { sanitizeWithPolicy } from '../src/sanitize.js';
+
+const PAYLOADS = [
+    '<article><section><button>Go</button></section></article>',
+    '<div data-x="1" aria-label="y" onclick="z()">a</div>',
+    '<img src="x.png" onerror="alert(1)">',
+    '<a href="javascript:alert(1)">a</a><a href=" jav&#x09;ascript:alert(1)">b</a>',
+    '<a href="https://example.com/" title="t">ok</a><img src="data:image/png;base64,AAAA">',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<p title="--&gt;&lt;img src=x onerror=alert(1)&gt;">t</p><p title="&lt;/textarea&gt;">u</p>',
+    '<!-- <img src=x onerror=alert(1)> --><p>c</p>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe><object data="x"></object>',
+    '<table><tr><td>cell<tr><td>next</table>',
+    '<select><option>a<option>b</select><textarea></textarea><p>after</p>'
+];
+
+// the server parser has no foreign content or head handling, so these come out differently
+// (never less safe): whatever the server emits must pass the client sanitizer unchanged
+const DIVERGING_PAYLOADS = [
+    '<svg><style><img src=x onerror=alert(1)></style></svg>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    '<style>p { color: red; }</style><template><script>alert(1)</script></template>'
+];
+
+const POLICIES = {
+    default: null,
+    narrowed: { removeTags: ['img', 'button'], removeAttrs: ['aria-*', 'title'] },
+    widened: { addTags: ['iframe'], addAttrs: ['srcdoc'] },
+    urls: { urlSchemes: ['https'], urlHosts: ['example.com'] },
+    config: { config: { FORBID_TAGS: ['section'], FORBID_ATTR: ['title', 'data-x'], ADD_TAGS: ['object'], ADD_FORBID_CONTENTS: ['button'] } },
+    hooks: {
+        hooks: {
+            uponSanitizeAttribute(node, data) {
+                if (data.attrName === 'title') data.attrValue = data.attrValue.toUpperCase();
+            }
+        }
+    }
+};
+
+// content of the server-rendered inner container, as the browser parses it
+const serverContent = (html, sanitize) => {
+    const host = document.createElement('div');
+    host.innerHTML = renderToString({ html, sanitize });
+    const root = host.querySelector('template[shadowrootmode]').content;
+    return root.getElementById('inner-container').innerHTML;
+};
+
+const clientContent = (html, sanitize) => {
+    const host = document.createElement('div');
+    host.innerHTML = sanitizeWithPolicy(html, sanitize).html;
+    return host.innerHTML;
+};
+
+Object.entries(POLICIES).forEach(([name, policy]) => {
+    test(`the server sanitizer matches DOMPurify under the ${name} policy`, () => {
+        PAYLOADS.forEach(html => assert.equal(serverContent(html, policy), clientContent(html, policy), html));
+        DIVERGING_PAYLOADS.forEach(html => assert.deepEqual(sanitizeWithPolicy(serverContent(html, policy), policy).removed, [], html));
+    });
+});
+
+test('hydration keeps server markup that passes the client policy', () => {
+    const container = createContainer();
+    container.innerHTML = renderToString({ id: 'ssr', html: '<p data-field="title"></p><button>Go</button>', data: { title: 'Hi' } });
+    const element = container.firstElementChild;
+    const errors = [];
+    element.addEventListener('error', e => errors.push(e.detail));
+
+    const card = ShadowCard.hydrate(element);
+    assert.equal(card.innerContainer.querySelector('p').textContent, 'Hi');
+    assert.ok(card.innerContainer.querySelector('button'));
+    assert.deepEqual(errors, []);
+    card.destroy();
+});
+
+test('hydration renders again when the server markup fails the client policy', () => {
+    const container = createContainer();
+    container.innerHTML = renderToString({ id: 'ssr', html: '<p data-field="title"></p>', data: { title: 'Hi' } })
+        .replace('<p', '<img src="x.png" onerror="alert(1)"><p');
+    const element = container.firstElementChild;
+    const errors = [];
+    element.addEventListener('error', e => errors.push(e.detail));
+
+    const card = ShadowCard.hydrate(element);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, 'INVALID_HTML');
+    assert.equal(errors[0].severity, 'warning');
+    assert.equal(card.innerContainer.querySelector('[onerror]'), null);
+    assert.equal(card.innerContainer.querySelector('img'), null);
+    assert.equal(card.innerContainer.querySelector('p').textContent, 'Hi');
+    card.destroy();
+});
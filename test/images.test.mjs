@@ -0,0 +1,41 @@
+import { createContainer, window } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+
+const once = (card, type) => new Promise(resolve => card.on(type, e => resolve(e.detail)));
+
+// jsdom never loads images: they stay incomplete unless told otherwise
+test('a timed-out image does not hold up later resizes', async () => {
+    const card = new ShadowCard({ container: createContainer(), html: '<img src="slow.png">', imageTimeoutMs: 200 });
+    const timeout = await once(card, 'img-error');
+    assert.equal(timeout.code, 'IMG_TIMEOUT');
+    await once(card, 'loading-end');
+
+    const started = Date.now();
+    card.resize(300);
+    await once(card, 'loading-end');
+    assert.ok(Date.now() - started < 200, 'the second resize waited for the image again');
+    card.destroy();
+});
+
+test('an image that is already broken reports img-error and falls back', async t => {
+    const proto = window.HTMLImageElement.prototype;
+    const complete = Object.getOwnPropertyDescriptor(proto, 'complete');
+    Object.defineProperty(proto, 'complete', { configurable: true, get: () => true });
+    t.after(() => Object.defineProperty(proto, 'complete', complete));
+
+    const card = new ShadowCard({
+        container: createContainer(),
+        html: '<img data-img="cover" src="broken.png">',
+        imageRetries: 0,
+        fallbackImage: 'fallback.png'
+    });
+    const img = card.innerContainer.querySelector('img');
+    const error = await once(card, 'img-error');
+    assert.equal(error.attempts, 1);
+    assert.equal(error.code, 'IMG_LOAD_FAILED');
+    assert.equal(error.imgKey, 'cover');
+    assert.equal(img.getAttribute('src'), 'fallback.png');
+    card.destroy();
+});
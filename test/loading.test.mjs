@@ -0,0 +1,105 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+
+const once = (card, type) => new Promise(resolve => card.on(type, e => resolve(e.detail)));
+
+const createCard = (options = {}) => new ShadowCard({
+    container: createContainer(),
+    html: '<h3 data-field="title"></h3><img data-img="cover" width="40" height="40"><p>text</p>',
+    data: { title: 'Title' },
+    ...options
+});
+
+const overlayOf = card => card.shadow.getElementById('loading-overlay');
+
+test('a new card reports its initial overlay with loading-start and loading-end', async () => {
+    const card = createCard();
+    const events = [];
+    ['loading-start', 'loading-end'].forEach(type => card.on(type, e => events.push([type, e.detail.reason])));
+    assert.ok(card.isLoading());
+    assert.equal(card.element.getAttribute('aria-busy'), 'true');
+
+    await once(card, 'loading-end');
+    assert.deepEqual(events, [['loading-start', 'resize'], ['loading-end', 'resize']]);
+    assert.ok(!card.isLoading());
+    assert.ok(!card.element.hasAttribute('aria-busy'));
+    assert.ok(overlayOf(card).classList.contains('hidden'));
+    card.destroy();
+});
+
+test('setLoading shows text and progress until setLoading(false)', async () => {
+    const card = createCard({ styles: { loadingText: 'Loading…' } });
+    await once(card, 'loading-end');
+    const events = [];
+    ['loading-start', 'loading-end'].forEach(type => card.on(type, e => events.push([type, e.detail])));
+
+    card.setLoading({ text: 'Fetching', progress: 0.25 });
+    assert.ok(card.isLoading());
+    assert.equal(overlayOf(card).querySelector('.loading-text').textContent, 'Fetching');
+    assert.equal(overlayOf(card).querySelector('.loading-progress').getAttribute('aria-valuenow'), '25');
+
+    card.setLoading({ progress: 2 });
+    assert.equal(overlayOf(card).querySelector('.loading-progress').getAttribute('aria-valuenow'), '100');
+    card.setLoading({ text: null, progress: null });
+    assert.equal(overlayOf(card).querySelector('.loading-text').textContent, 'Loading…');
+    assert.ok(overlayOf(card).querySelector('.loading-progress').hidden);
+
+    card.setLoading(false);
+    assert.ok(!card.isLoading());
+    assert.deepEqual(events.map(([type, { reason }]) => [type, reason]), [['loading-start', 'manual'], ['loading-end', 'manual']]);
+    assert.equal(events[0][1].text, 'Fetching');
+    assert.equal(events[0][1].progress, 0.25);
+    card.destroy();
+});
+
+test('the overlay stays up until both setLoading(false) and measuring are done', async () => {
+    const card = createCard();
+    const ends = [];
+    card.on('loading-end', e => ends.push(e.detail.reason));
+    card.setLoading(true);
+
+    card.resize(300);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.ok(card.isLoading());
+    assert.deepEqual(ends, []);
+
+    card.setLoading(false);
+    assert.deepEqual(ends, ['manual']);
+    card.destroy();
+});
+
+test('loadingTemplate draws a skeleton of the card or sanitized HTML', async () => {
+    const skeleton = createCard({ loadingTemplate: 'skeleton' });
+    const layout = overlayOf(skeleton).querySelector('.loading-skeleton');
+    assert.ok(overlayOf(skeleton).classList.contains('skeleton'));
+    assert.ok(layout.querySelector('h3.skeleton-line'));
+    assert.ok(layout.querySelector('.skeleton-block'));
+    skeleton.destroy();
+
+    const custom = createCard({ loadingTemplate: '<p class="loading-text" onclick="x()"></p><img src=x onerror="y()">' });
+    custom.setLoading({ text: 'Please wait' });
+    const overlay = overlayOf(custom);
+    assert.equal(overlay.querySelector('p.loading-text').textContent, 'Please wait');
+    assert.equal(overlay.querySelector('[onclick], [onerror]'), null);
+    assert.ok(overlay.querySelector('.loading-progress'));
+    custom.destroy();
+});
+
+test('collections set and report loading for every card', async () => {
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate(['a', 'b'].map(id => ({ id, container, html: '<p>card</p>' })));
+    const starts = [];
+    cards.on('loading-start', (e, card) => starts.push([card.id, e.detail.reason]));
+    await Promise.all(cards.map(card => once(card, 'loading-end')));
+    assert.deepEqual(starts, [['a', 'resize'], ['b', 'resize']]);
+    assert.ok(!cards.isLoading());
+
+    cards.setLoading({ text: 'Syncing' });
+    assert.ok(cards.isLoading());
+    assert.deepEqual(starts.slice(2), [['a', 'manual'], ['b', 'manual']]);
+    cards.setLoading(false);
+    assert.ok(!cards.isLoading());
+    cards.destroyAll();
+});
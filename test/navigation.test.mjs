@@ -0,0 +1,53 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard, CardLayout } from '../src/index.js';
+
+const createBatch = container => ShadowCard.batchCreate(['a', 'b', 'c', 'd', 'e'].map(id => ({ id, container, html: `<p>${id}</p>` })));
+
+const press = (card, key) => card.element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true }));
+
+const focused = cards => cards.toArray().find(card => card.element === document.activeElement)?.id;
+
+test('ArrowDown and ArrowUp move by the columns of a CSS grid', () => {
+    const container = createContainer();
+    container.style.display = 'grid';
+    container.style.gridTemplateColumns = '100px 100px 100px';
+    const cards = createBatch(container);
+
+    cards.focus('a');
+    press(cards.get('a'), 'ArrowDown');
+    assert.equal(focused(cards), 'd');
+    press(cards.get('d'), 'ArrowRight');
+    assert.equal(focused(cards), 'e');
+    press(cards.get('e'), 'ArrowUp');
+    assert.equal(focused(cards), 'b');
+    // no card below c
+    press(cards.get('b'), 'ArrowRight');
+    press(cards.get('c'), 'ArrowDown');
+    assert.equal(focused(cards), 'c');
+    cards.destroyAll();
+});
+
+test('ArrowDown uses the column count of a CardLayout', () => {
+    const container = createContainer();
+    // jsdom has no layout: 2 columns of 200px with a 16px gap
+    Object.defineProperty(container, 'clientWidth', { value: 416 });
+    const cards = createBatch(container);
+    const layout = new CardLayout(container, { mode: 'masonry' }).layoutNow();
+    assert.equal(layout.columns, 2);
+
+    cards.focus('a');
+    press(cards.get('a'), 'ArrowDown');
+    assert.equal(focused(cards), 'c');
+    layout.destroy();
+    cards.destroyAll();
+});
+
+test('outside a grid, ArrowDown moves to the next card', () => {
+    const cards = createBatch(createContainer());
+    cards.focus('a');
+    press(cards.get('a'), 'ArrowDown');
+    assert.equal(focused(cards), 'b');
+    cards.destroyAll();
+});
@@ -0,0 +1,113 @@
+import { createContainer, wait } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard, EVENT_TYPES } from '../src/index.js';
+import { registerPlugin, unregisterPlugin, resolvePlugins, pluginStyles, pluginEvents, callHook, pipeHook } from '../src/plugins.js';
+
+// register a global plugin for one test only
+const useFor = (t, plugin) => {
+    ShadowCard.use(plugin);
+    t.after(() => ShadowCard.unuse(plugin.name));
+};
+
+test('pipeHook passes the value through each plugin in order', () => {
+    const failures = [];
+    const list = [
+        { name: 'a', beforeSetHTML: html => `${html}a` },
+        { name: 'skip' },
+        { name: 'keep', beforeSetHTML: () => undefined },
+        { name: 'wrong-type', beforeSetHTML: () => 42 },
+        { name: 'broken', beforeSetHTML: () => { throw new Error('boom'); } },
+        { name: 'b', beforeSetHTML: (html, card, { format }) => `${html}b:${format}` }
+    ];
+    const result = pipeHook(list, 'beforeSetHTML', '', [null, { format: 'html' }], (err, plugin) => failures.push([plugin.name, err.message]));
+    assert.equal(result, 'ab:html');
+    assert.deepEqual(failures, [['broken', 'boom']]);
+});
+
+test('callHook calls every plugin even after one throws', () => {
+    const calls = [];
+    const list = [
+        { name: 'a', afterRender: card => calls.push(['a', card]) },
+        { name: 'broken', afterRender: () => { throw new Error('boom'); } },
+        { name: 'b', afterRender: card => calls.push(['b', card]) }
+    ];
+    const failures = [];
+    callHook(list, 'afterRender', ['card'], (err, plugin) => failures.push(plugin.name));
+    assert.deepEqual(calls, [['a', 'card'], ['b', 'card']]);
+    assert.deepEqual(failures, ['broken']);
+});
+
+test('resolvePlugins puts global plugins first; a card plugin replaces one with its name', t => {
+    useFor(t, { name: 'order-one' });
+    useFor(t, { name: 'order-two', styles: { badgeColor: 'shadow-card-badge-color' } });
+    const replacement = { name: 'order-one', styles: { badgeColor: '--card-badge' } };
+    const names = list => list.map(plugin => plugin.name).filter(name => name.startsWith('order-') || name === 'own');
+
+    assert.deepEqual(names(resolvePlugins()), ['order-one', 'order-two']);
+    const resolved = resolvePlugins([{ name: 'own' }, replacement]);
+    assert.deepEqual(names(resolved), ['order-two', 'own', 'order-one']);
+    // later plugins win; names without the -- prefix get it
+    assert.equal(pluginStyles(resolved).badgeColor, '--card-badge');
+    assert.equal(pluginStyles(resolvePlugins()).badgeColor, '--shadow-card-badge-color');
+});
+
+test('plugins are validated', () => {
+    const invalid = message => ({ name: 'ShadowCardError', code: 'INVALID_PLUGIN', message });
+    assert.throws(() => registerPlugin(null), invalid(/must be an object/));
+    assert.throws(() => registerPlugin({ styles: {} }), invalid(/name/));
+    assert.throws(() => resolvePlugins([{ name: 'bad', events: { CARD_CLICK: 'other-click' } }]), invalid(/already 'card-click'/));
+    assert.throws(() => resolvePlugins([{ name: 'bad', events: { EMPTY: '' } }]), invalid(/non-empty string/));
+    assert.throws(() => new ShadowCard({ container: createContainer(), plugins: [{}] }), { code: 'INVALID_PLUGIN', severity: 'fatal' });
+    assert.deepEqual(pluginEvents([{ name: 'ev', events: { PING: 'ping' } }]), { ...EVENT_TYPES, PING: 'ping' });
+});
+
+test('event types of a card plugin stay off the shared EVENT_TYPES', () => {
+    const card = new ShadowCard({
+        container: createContainer(),
+        plugins: [{ name: 'local-events', events: { LOCAL_PING: 'local-ping' } }]
+    });
+    assert.equal(EVENT_TYPES.LOCAL_PING, undefined);
+    assert.equal(card.eventTypes.LOCAL_PING, 'local-ping');
+    assert.equal(card.eventTypes.CARD_CLICK, EVENT_TYPES.CARD_CLICK);
+    card.destroy();
+});
+
+test('global plugins add their event types to EVENT_TYPES until they are replaced or unregistered', () => {
+    ShadowCard.use({ name: 'global-events', events: { GLOBAL_PING: 'global-ping', GLOBAL_PONG: 'global-pong' } });
+    assert.equal(EVENT_TYPES.GLOBAL_PING, 'global-ping');
+    const card = new ShadowCard({ container: createContainer() });
+    assert.equal(card.eventTypes.GLOBAL_PONG, 'global-pong');
+
+    // the replacement may redefine its own types; the old ones go
+    ShadowCard.use({ name: 'global-events', events: { GLOBAL_PING: 'global-ping-2' } });
+    assert.equal(EVENT_TYPES.GLOBAL_PING, 'global-ping-2');
+    assert.equal(EVENT_TYPES.GLOBAL_PONG, undefined);
+
+    // types shared with another plugin stay while that one is registered
+    ShadowCard.use({ name: 'other-events', events: { GLOBAL_PING: 'global-ping-2' } });
+    assert.equal(unregisterPlugin('global-events'), true);
+    assert.equal(EVENT_TYPES.GLOBAL_PING, 'global-ping-2');
+    ShadowCard.unuse('other-events');
+    assert.equal(EVENT_TYPES.GLOBAL_PING, undefined);
+    assert.equal(unregisterPlugin('other-events'), false);
+    assert.equal(EVENT_TYPES.CARD_CLICK, 'card-click');
+
+    // cards keep the plugins they were created with
+    assert.equal(card.eventTypes.GLOBAL_PONG, 'global-pong');
+    card.destroy();
+});
+
+test('<shadow-card> reads and watches style attributes of global plugins', async t => {
+    useFor(t, { name: 'ribbon', styles: { ribbonColor: '--shadow-card-ribbon-color' } });
+    const element = document.createElement('shadow-card');
+    element.setAttribute('ribbon-color', 'red');
+    createContainer().append(element);
+
+    assert.ok(element.card);
+    assert.equal(element.style.getPropertyValue('--shadow-card-ribbon-color'), 'red');
+    element.setAttribute('ribbon-color', 'blue');
+    await wait(0);
+    assert.equal(element.style.getPropertyValue('--shadow-card-ribbon-color'), 'blue');
+    element.card.destroy();
+});
@@ -0,0 +1,43 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard, renderToString } from '../src/index.js';
+import { sanitizeWithPolicy } from '../src/sanitize.js';
+import { sanitizeHtml } from '../src/utils.js';
+
+const sectioned = '<article><header>Head</header><section>Body <button>Go</button></section></article>';
+
+test('the default allowlist keeps the html profile', () => {
+    assert.equal(sanitizeWithPolicy(sectioned).html, sectioned);
+    assert.equal(sanitizeHtml(sectioned), sectioned);
+    assert.equal(sanitizeHtml('<p onclick="x()">a<script>b</script></p>'), '<p>a</p>');
+});
+
+test('server rendering keeps the same tags', () => {
+    const markup = renderToString({ id: 'ssr', html: sectioned });
+    assert.ok(markup.includes(sectioned));
+});
+
+test('changes to a card policy apply on the next setHTML', () => {
+    const policy = {};
+    const card = new ShadowCard({ container: createContainer(), html: sectioned, sanitize: policy });
+    assert.ok(card.innerContainer.innerHTML.includes('<button>'));
+
+    policy.removeTags = ['button'];
+    card.setHTML(sectioned);
+    assert.ok(!card.innerContainer.innerHTML.includes('<button>'));
+    assert.ok(card.innerContainer.innerHTML.includes('Go'));
+    card.destroy();
+});
+
+test('data is never bound into raw-text elements', () => {
+    const card = new ShadowCard({
+        container: createContainer(),
+        html: '<p>styled</p><style data-field="x"></style><style>{{ x }}</style>',
+        data: { x: 'p { color: red; }' }
+    });
+    const [field, text] = card.innerContainer.querySelectorAll('style');
+    assert.equal(field.textContent, '');
+    assert.equal(text.textContent, '{{ x }}');
+    card.destroy();
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateSnapshot, migrateBatchSnapshot, optionsToSnapshot, snapshotToOptions, cloneJson } from '../src/snapshot.js';
+import { SNAPSHOT_VERSION } from '../src/constants.js';
+
+const legacyCard = { id: 'old', html: '<p>old</p>', data: { a: 1 }, targetWidth: 240, container: {}, onError: () => {} };
+
+test('migrates unversioned card options to the current snapshot', () => {
+    const snapshot = migrateSnapshot(legacyCard);
+    assert.deepEqual(snapshot, {
+        version: SNAPSHOT_VERSION,
+        id: 'old',
+        html: '<p>old</p>',
+        css: '',
+        data: { a: 1 },
+        styles: undefined,
+        options: { targetWidth: 240 }
+    });
+});
+
+test('leaves current snapshots as they are and parses JSON strings', () => {
+    const current = optionsToSnapshot({ id: 'new', html: '<p>new</p>', styles: { border: '1px' }, format: 'markdown' });
+    assert.equal(migrateSnapshot(current), current);
+    assert.deepEqual(migrateSnapshot(JSON.stringify(current)), current);
+});
+
+test('rejects invalid and newer snapshots', () => {
+    assert.throws(() => migrateSnapshot('{ not json'), { code: 'INVALID_SNAPSHOT' });
+    assert.throws(() => migrateSnapshot(null), { code: 'INVALID_SNAPSHOT' });
+    assert.throws(() => migrateSnapshot({ version: SNAPSHOT_VERSION + 1 }), { code: 'INVALID_SNAPSHOT', message: /newer version/ });
+});
+
+test('migrates plain arrays of cards to batch snapshots', () => {
+    const batch = migrateBatchSnapshot([legacyCard, optionsToSnapshot({ id: 'new' })]);
+    assert.equal(batch.version, SNAPSHOT_VERSION);
+    assert.deepEqual(batch.cards.map(card => [card.id, card.version]), [['old', 1], ['new', 1]]);
+});
+
+test('round-trips options without sharing data', () => {
+    const data = { nested: { list: [1, 2] } };
+    const snapshot = optionsToSnapshot({ id: 'card', html: '<b></b>', data, editable: true, container: {} });
+    assert.equal(snapshot.options.container, undefined);
+    data.nested.list.push(3);
+    assert.deepEqual(snapshot.data.nested.list, [1, 2]);
+
+    const options = snapshotToOptions(snapshot, { id: 'override', targetWidth: 400 });
+    assert.equal(options.id, 'override');
+    assert.equal(options.editable, true);
+    assert.equal(options.targetWidth, 400);
+    assert.notEqual(options.data, snapshot.data);
+    assert.equal(cloneJson(undefined), undefined);
+});
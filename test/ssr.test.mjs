@@ -0,0 +1,69 @@
+// renderToString needs no DOM: this file runs without ./dom.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderToString } from '../src/index.js';
+
+const render = (options = {}) => renderToString({
+    id: 'server-card',
+    targetWidth: 320,
+    html: '<h3 data-field="title"></h3><p>{{ user.name }}</p><ul><li data-each="tags">{{ item }}</li></ul>',
+    data: { title: 'A <b>', user: { name: 'Ann' }, tags: ['x', 'y'] },
+    ...options
+});
+
+const state = markup => JSON.parse(markup.match(/<script type="application\/json" data-shadow-card-state>(.*?)<\/script>/s)[1]);
+
+test('renders a host with a declarative shadow root, sized to the target width', () => {
+    const markup = render({ styles: { borderRadius: '12px' } });
+    assert.match(markup, /^<shadow-card id="server-card" data-id="server-card" [^>]*style="--shadow-card-border-radius: 12px; width: 320px">/);
+    assert.match(markup, /<template shadowrootmode="open">/);
+    assert.match(markup, /<div id="inner-container" style="width: 640px; zoom: 0.5">/);
+    assert.ok(typeof document === 'undefined');
+});
+
+test('binds data as escaped text with hydration markers', () => {
+    const markup = render();
+    assert.match(markup, /<h3 data-field="title">A &lt;b&gt;<\/h3>/);
+    assert.match(markup, /<p><!--sc-text:[^>]*-->Ann<\/p>/);
+    assert.match(markup, /<template data-sc-each=""><li data-each="tags">\{\{ item \}\}<\/li><\/template>/);
+    assert.equal(markup.match(/<li data-sc-item="">/g).length, 2);
+});
+
+test('sanitizes content under the card policy', () => {
+    const markup = render({
+        html: '<img src="javascript:alert(1)" onerror="x()"><a href="http://example.org/">a</a><section>s</section>',
+        sanitize: { urlSchemes: ['https'] }
+    });
+    const content = markup.match(/<div id="inner-container"[^>]*>(.*?)<\/div><\/template>/s)[1];
+    assert.equal(content, '<img><a>a</a><section>s</section>');
+});
+
+test('embeds a snapshot that keeps the source HTML and data', () => {
+    const snapshot = state(render({ css: ':host { color: red; }' }));
+    assert.equal(snapshot.version, 1);
+    assert.equal(snapshot.id, 'server-card');
+    assert.equal(snapshot.html, '<h3 data-field="title"></h3><p>{{ user.name }}</p><ul><li data-each="tags">{{ item }}</li></ul>');
+    assert.equal(snapshot.css, ':host { color: red; }');
+    assert.deepEqual(snapshot.data.tags, ['x', 'y']);
+    assert.equal(snapshot.options.targetWidth, 320);
+});
+
+test('card CSS cannot close its <style> element', () => {
+    const markup = render({ css: 'p { color: red; }</style><script>alert(1)</script>' });
+    assert.doesNotMatch(markup, /<\/style><script>/);
+    assert.match(markup, /<style id="custom-style">p \{ color: red; \}<\\\/style><script>alert\(1\)<\/script><\/style>/);
+});
+
+test('data is never bound into raw-text elements', () => {
+    const x = '</style><img src=x onerror=alert(1)>';
+    [
+        { html: '<style data-field="x"></style><p>after</p>', data: { x } },
+        { html: '<style>{{ x }}</style><p>after</p>', data: { x } },
+        { html: '<noscript data-field="x"></noscript><p>after</p>', data: { x: '</noscript><img src=x onerror=alert(1)>' } }
+    ].forEach(options => {
+        const markup = render(options);
+        assert.doesNotMatch(markup, /<img/, options.html);
+        assert.match(markup, /<p>after<\/p>/, options.html);
+    });
+    assert.match(render({ html: '<style>{{ x }}</style>', data: { x } }), /<style>\{\{ x \}\}<\/style>/);
+});
@@ -0,0 +1,53 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard, renderToString } from '../src/index.js';
+
+const createCard = options => new ShadowCard({ container: createContainer(), html: '<p>a</p>', css: 'p { margin: 0; }', ...options });
+
+test('setStyle replaces the base layer unless asked to append', () => {
+    const card = createCard();
+    card.setStyle('p { color: red; }');
+    card.setStyle('p { color: red; }');
+    assert.deepEqual(card.getStyleLayers(), [{ name: 'base', css: 'p { color: red; }' }]);
+
+    card.setStyle('h3 { margin: 0; }', { layer: 'user' });
+    card.setStyle('p { padding: 0; }', { append: true });
+    card.setStyle('h3 { color: blue; }', { layer: 'user', append: true });
+    assert.deepEqual(card.getStyleLayers(), [
+        { name: 'base', css: 'p { color: red; }\np { padding: 0; }' },
+        { name: 'user', css: 'h3 { margin: 0; }\nh3 { color: blue; }' }
+    ]);
+
+    card.setStyle('');
+    assert.deepEqual(card.getStyleLayers().map(entry => entry.name), ['user']);
+    card.undo();
+    assert.equal(card.getStyleLayers()[0].css, 'p { color: red; }\np { padding: 0; }');
+    card.destroy();
+});
+
+test('snapshots keep style layers by name', () => {
+    const card = createCard({ styleLayers: [{ name: 'brand', css: 'p { color: red; }' }] });
+    card.setStyle('h3 { margin: 0; }', { layer: 'user' });
+    const snapshot = card.toJSON();
+    assert.equal(snapshot.css, 'p { margin: 0; }');
+    assert.deepEqual(snapshot.styleLayers, [
+        { name: 'brand', css: 'p { color: red; }' },
+        { name: 'user', css: 'h3 { margin: 0; }' }
+    ]);
+
+    const copy = ShadowCard.fromJSON(JSON.stringify(snapshot), { container: createContainer(), id: 'copy' });
+    assert.deepEqual(copy.getStyleLayers(), card.getStyleLayers());
+    copy.removeStyleLayer('user');
+    assert.deepEqual(copy.toJSON().styleLayers, [{ name: 'brand', css: 'p { color: red; }' }]);
+    card.destroy();
+    copy.destroy();
+});
+
+test('style layers are validated and rendered on the server', () => {
+    assert.throws(() => createCard({ styleLayers: [{ name: '', css: 'p {}' }] }), { code: 'INVALID_CSS' });
+    assert.throws(() => createCard({ styleLayers: 'p {}' }), { code: 'INVALID_CSS' });
+
+    const markup = renderToString({ css: 'p { margin: 0; }', styleLayers: [{ name: 'brand', css: 'p { color: red; }' }] });
+    assert.match(markup, /<style id="custom-style">p \{ margin: 0; \}\np \{ color: red; \}<\/style>/);
+});
@@ -0,0 +1,109 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+import { validateValue, validateSchema, sameValidation } from '../src/validation.js';
+
+test('empty values only fail required', () => {
+    [undefined, null, '', [], false].forEach(value => {
+        assert.equal(validateValue(value, { type: 'email', min: 3 }), null);
+        assert.equal(validateValue(value, { required: true }).rule, 'required');
+    });
+    assert.equal(validateValue(0, { required: true }), null);
+});
+
+test('rules are checked in order: type, min/max, pattern, validate', () => {
+    assert.equal(validateValue('x', { type: 'number', min: 3 }).rule, 'type');
+    assert.equal(validateValue('ab', { type: 'string', min: 3, pattern: /^\d+$/ }).message, 'Must be at least 3 characters');
+    assert.equal(validateValue(['a', 'b', 'c'], { max: 2 }).message, 'Must be at most 2 items');
+    assert.equal(validateValue(17, { type: 'integer', min: 18, message: { min: 'Adults only' } }).message, 'Adults only');
+    assert.equal(validateValue('abc', { pattern: '^[A-Z]+$' }).rule, 'pattern');
+    assert.equal(validateValue('2024-01-01', { type: 'date', max: '2023-12-31' }).rule, 'max');
+    assert.equal(validateValue('https://example.com', { type: 'url' }), null);
+    assert.equal(validateValue('/relative', { type: 'url' }).message, 'Must be a URL');
+    assert.equal(validateValue('an', { type: 'email', message: 'Bad address' }).message, 'Bad address');
+});
+
+test('url only accepts absolute http and https URLs', () => {
+    ['http://example.com/a?b', 'https://example.com'].forEach(value => assert.equal(validateValue(value, { type: 'url' }), null, value));
+    ['javascript:alert(1)', 'data:text/html,<b>x</b>', 'ftp://example.com', 'example.com'].forEach(value =>
+        assert.equal(validateValue(value, { type: 'url' })?.rule, 'type', value));
+    assert.equal(validateValue(1, { type: 'integer' }), null);
+    assert.equal(validateValue('x', { type: 'integer' }).message, 'Must be an integer');
+});
+
+test('custom validators get the value, the data and the card', () => {
+    const rule = { validate: [(value, data) => value !== data.user || 'Too obvious', () => { throw new Error('Broken'); }] };
+    assert.equal(validateValue('ann', rule, { user: 'ann' }).message, 'Too obvious');
+    assert.deepEqual(validateValue('secret', rule, { user: 'ann' }), { rule: 'validate', message: 'Broken' });
+    assert.equal(validateValue('x', { validate: () => false }).message, 'Is invalid');
+});
+
+test('validateSchema collects errors by data path', () => {
+    const schema = { 'user.email': { required: true, type: 'email' }, age: { type: 'integer' } };
+    const first = validateSchema({ user: { email: 'nope' }, age: 3 }, schema);
+    assert.deepEqual(first, { valid: false, errors: { 'user.email': { rule: 'type', message: 'Must be an email' } } });
+    assert.deepEqual(validateSchema({ user: { email: 'a@b.co' } }, schema), { valid: true, errors: {} });
+    assert.deepEqual(validateSchema({}, null), { valid: true, errors: {} });
+
+    assert.ok(sameValidation(first, validateSchema({ user: { email: 'still nope' } }, schema)));
+    assert.ok(!sameValidation(first, validateSchema({}, schema)));
+});
+
+const createForm = () => new ShadowCard({
+    container: createContainer(),
+    html: '<input data-field="email"><small data-error="email"></small>',
+    data: { email: '' },
+    schema: { email: { required: true } }
+});
+
+test('validate() shows every error until clearValidation()', () => {
+    const card = createForm();
+    const error = card.innerContainer.querySelector('[data-error]');
+    assert.equal(error.textContent, '');
+
+    assert.equal(card.validate().valid, false);
+    assert.equal(error.textContent, 'This field is required');
+    assert.ok(card.element.hasAttribute('invalid'));
+
+    card.clearValidation();
+    assert.equal(error.textContent, '');
+    assert.ok(!card.element.hasAttribute('invalid'));
+    card.destroy();
+});
+
+test('setSchema hides the errors shown by validate()', () => {
+    const card = createForm();
+    card.validate();
+    card.setSchema({ email: { required: true, type: 'email' } });
+    assert.equal(card.innerContainer.querySelector('[data-error]').textContent, '');
+    assert.equal(card.validate().errors.email.rule, 'required');
+    card.destroy();
+});
+
+test('controls write their value into data, emit content-change on change and undo', () => {
+    const card = createForm();
+    const input = card.innerContainer.querySelector('input');
+    const changes = [];
+    card.on('content-change', e => changes.push(e.detail));
+
+    input.value = 'a@b.co';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(card.data.email, 'a@b.co');
+    assert.deepEqual(changes, []);
+    assert.equal(card.validate().valid, true);
+
+    input.value = 'ann@b.co';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(changes.length, 1);
+    const { field, value, oldValue, source, element } = changes[0];
+    assert.deepEqual({ field, value, oldValue, source }, { field: 'email', value: 'ann@b.co', oldValue: '', source: 'user' });
+    assert.equal(element, input);
+
+    // typing into one field is one undo step
+    card.undo();
+    assert.equal(card.data.email, '');
+    assert.equal(input.value, '');
+    card.destroy();
+});
@@ -0,0 +1,65 @@
+import { createContainer } from './dom.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShadowCard } from '../src/index.js';
+
+// jsdom has no IntersectionObserver: this one reports what the test tells it to
+class FakeIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(target) { this.targets.add(target); }
+    unobserve(target) { this.targets.delete(target); }
+    disconnect() { this.targets.clear(); }
+
+    report(isIntersecting) {
+        const entries = [...this.targets].map(target => ({ target, isIntersecting }));
+        if (entries.length) this.callback(entries, this);
+    }
+}
+
+const createBatch = t => {
+    globalThis.IntersectionObserver = FakeIntersectionObserver;
+    FakeIntersectionObserver.instances = [];
+    const container = createContainer();
+    const cards = ShadowCard.batchCreate(['a', 'b'].map(id => ({ id, container, html: `<p>${id}</p>` })), { virtual: true });
+    t.after(() => {
+        cards.disconnect();
+        delete globalThis.IntersectionObserver;
+    });
+    const [mountObserver, unmountObserver] = FakeIntersectionObserver.instances;
+    return { cards, mountObserver, unmountObserver };
+};
+
+test('cards mount near the viewport and unmount far from it', t => {
+    const { cards, mountObserver, unmountObserver } = createBatch(t);
+    assert.equal(cards.isMounted('a'), false);
+
+    mountObserver.report(true);
+    assert.ok(cards.isMounted('a') && cards.isMounted('b'));
+
+    unmountObserver.report(false);
+    assert.equal(cards.isMounted('a'), false);
+    assert.equal(cards.size, 2);
+});
+
+test('mount(id) keeps a distant card until unmount(id)', t => {
+    const { cards, unmountObserver } = createBatch(t);
+    const card = cards.mount('a');
+    assert.ok(card instanceof ShadowCard);
+
+    // the first report for a card outside unmountMargin
+    unmountObserver.report(false);
+    assert.ok(cards.isMounted('a'));
+    assert.equal(cards.get('a'), card);
+
+    cards.unmount('a');
+    assert.equal(cards.isMounted('a'), false);
+    assert.ok(card.isDestroyed);
+});
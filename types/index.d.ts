@@ -13,8 +13,27 @@ export type Nullable<T> = T | null | undefined;
 /** Default configuration options for ShadowCard instances */
 export const DEFAULT_OPTIONS: {
     targetWidth?: number;
+    fit?: 'container' | 'fixed';
+    minWidth?: number;
+    maxWidth?: number;
+    minScale?: number;
     container: HTMLElement;
     editable?: boolean;
+    editDebounceMs?: number;
+    historyLimit?: number;
+    historyCoalesceMs?: number;
+    fallbackImage?: string;
+    imageTimeoutMs?: number;
+    imageRetries?: number;
+    imageRetryDelayMs?: number;
+    imageLoading?: 'lazy' | 'eager' | null;
+    loadingTemplate?: string | null;
+    format?: 'html' | 'markdown';
+    theme?: string | { light?: string; dark?: string } | null;
+    sanitize?: Record<string, any> | null;
+    schema?: ValidationSchema | null;
+    role: string;
+    ariaLabel: string;
     html: string;
     css: string;
     data?: Record<string, any>;
@@ -35,7 +54,51 @@ export const EVENT_TYPES: {
     CARD_CLICK: 'card-click';
     FIELD_CLICK: 'field-click';
     IMG_CLICK: 'img-click';
+    IMG_LOAD: 'img-load';
+    IMG_ERROR: 'img-error';
+    HISTORY_CHANGE: 'history-change';
+    CARD_RESIZE: 'card-resize';
+    BATCH_PROGRESS: 'batch-progress';
+    SANITIZE_REPORT: 'sanitize-report';
+    SELECTION_CHANGE: 'selection-change';
+    CARD_REORDER: 'card-reorder';
+    VALIDATION_CHANGE: 'validation-change';
+    LOADING_START: 'loading-start';
+    LOADING_END: 'loading-end';
     ERROR: 'error';
+    /** Event types added by plugins */
+    [key: string]: string;
+};
+
+/** Selector for nodes made contenteditable in editable mode */
+export const EDITABLE_SELECTOR: string;
+
+/** Codes carried by ShadowCardError */
+export const ERROR_CODES: {
+    INVALID_OPTIONS: 'INVALID_OPTIONS';
+    INVALID_CONTAINER: 'INVALID_CONTAINER';
+    INVALID_HTML: 'INVALID_HTML';
+    INVALID_CSS: 'INVALID_CSS';
+    INVALID_DATA: 'INVALID_DATA';
+    INVALID_TARGET_WIDTH: 'INVALID_TARGET_WIDTH';
+    INVALID_THEME: 'INVALID_THEME';
+    INVALID_SCHEMA: 'INVALID_SCHEMA';
+    INVALID_SNAPSHOT: 'INVALID_SNAPSHOT';
+    INVALID_PLUGIN: 'INVALID_PLUGIN';
+    IMG_LOAD_FAILED: 'IMG_LOAD_FAILED';
+    IMG_TIMEOUT: 'IMG_TIMEOUT';
+    RESIZE_FAILED: 'RESIZE_FAILED';
+    PLUGIN_FAILED: 'PLUGIN_FAILED';
+    DUPLICATE_ID: 'DUPLICATE_ID';
+    DESTROYED: 'DESTROYED';
+    UNKNOWN: 'UNKNOWN';
+};
+
+/** Severities carried by ShadowCardError */
+export const ERROR_SEVERITY: {
+    WARNING: 'warning';
+    ERROR: 'error';
+    FATAL: 'fatal';
 };
 
 /** Error message constants for consistent error reporting */
@@ -43,17 +106,38 @@ export const ERROR_MESSAGES: {
     INVALID_CONTAINER: 'Container must be a valid DOM element';
     INVALID_HTML: 'HTML content must be a string';
     INVALID_CSS: 'Styles must be a string';
+    INVALID_STYLE_LAYERS: 'Style layers must be an array of { name, css } strings';
     INVALID_DATA: 'Data must be an object';
     INVALID_TARGET_WIDTH: 'Target width must be a positive number';
+    INVALID_OPTIONS: 'Card options must be an object';
+    INVALID_SCHEMA: 'Schema must be an object of rules keyed by data path';
     ELEMENT_DESTROYED: 'Card has been destroyed and cannot perform operations';
+    INVALID_SNAPSHOT: 'Snapshot must be an object or a JSON string';
+    UNSUPPORTED_SNAPSHOT_VERSION: 'Snapshot was created by a newer version and cannot be loaded';
+    NOT_SERVER_RENDERED: 'Element does not hold a card rendered by renderToString';
+    HYDRATION_MISMATCH: 'Server-rendered markup does not pass the card sanitization policy; rendered again';
+    DUPLICATE_ID: 'A card with this id is already in the collection';
+    INVALID_PLUGIN: 'Plugin must be an object with a non-empty name';
 };
 
+/** Current schema version written by toJSON()/serialize() */
+export const SNAPSHOT_VERSION: number;
+
+/** Card options persisted in snapshots */
+export const SNAPSHOT_OPTION_KEYS: string[];
+
 /** HTML tags compatible with Markdown */
 export const ALLOWED_TAGS_MARKDOWN: string[];
 
 /** HTML attributes compatible with Markdown */
 export const ALLOWED_ATTRS_MARKDOWN: string[];
 
+/** Default card HTML tags: DOMPurify's html profile */
+export const ALLOWED_TAGS_HTML: string[];
+
+/** Default card HTML attributes: DOMPurify's html profile (data-* and aria-* pass as well) */
+export const ALLOWED_ATTRS_HTML: string[];
+
 /* ------------------------------------------------------
  * Utility functions
  * ------------------------------------------------------ */
@@ -67,6 +151,65 @@ export function sanitizeHtml(
     allowedAttrs?: string[]
 ): string;
 
+/**
+ * Sanitize one attribute value with the same rules as sanitizeHtml.
+ * Returns null when the sanitizer would drop it.
+ */
+export function sanitizeAttribute(
+    tagName: string,
+    attr: string,
+    value: string,
+    allowedTags?: string[],
+    allowedAttrs?: string[]
+): string | null;
+
+/**
+ * Sanitization policy for the `sanitize` option.
+ * Adjusts the default allowlists (ALLOWED_TAGS_HTML / ALLOWED_ATTRS_HTML).
+ * Read on every render, so later changes to the object apply to the next setHTML.
+ */
+export interface SanitizePolicy {
+    addTags?: string[];
+    removeTags?: string[];
+    addAttrs?: string[];
+    /** Attribute names or `prefix-*` patterns, e.g. 'style', 'aria-*' */
+    removeAttrs?: string[];
+    /** Schemes allowed in href/src/srcset/poster (relative URLs always pass), e.g. ['https'] */
+    urlSchemes?: string[];
+    /** Hosts allowed in absolute URLs; '*.example.com' matches subdomains */
+    urlHosts?: string[];
+    /** Extra DOMPurify config, applied last */
+    config?: Record<string, any>;
+    /** DOMPurify hooks installed while this policy sanitizes */
+    hooks?: Record<string, (node: Node, data: any, config: any) => void>;
+}
+
+/** One item stripped by the sanitizer */
+export type SanitizeRemoval =
+    | { type: 'element'; tag: string; reason: 'not-allowed' }
+    | { type: 'attribute'; tag: string; name: string; value: string; reason: 'not-allowed' | 'attribute-removed' | 'url-not-allowed' };
+
+/** Detail of `sanitize-report` events */
+export interface SanitizeReportDetail {
+    cardId: string;
+    removed: SanitizeRemoval[];
+}
+
+/**
+ * Sanitize HTML under a policy, returning what was stripped
+ */
+export function sanitizeWithPolicy(html: string, policy?: SanitizePolicy | null): { html: string; removed: SanitizeRemoval[] };
+
+/**
+ * Merge a base (batch) policy with an override (card) policy; lists accumulate
+ */
+export function mergePolicies(base?: SanitizePolicy | null, override?: SanitizePolicy | null): SanitizePolicy | null;
+
+/**
+ * Convert GitHub-flavoured Markdown to HTML (not yet sanitized)
+ */
+export function markdownToHtml(source: string): string;
+
 /**
  * Escape plain text to HTML entities
  */
@@ -77,6 +220,11 @@ export function escapeHtml(str?: string): string;
  */
 export function generateUniqueId(): string;
 
+/**
+ * Yield to the main thread (scheduler.yield() when available, else a macrotask)
+ */
+export function yieldToMain(): Promise<void>;
+
 /**
  * Input validation utility
  * Throws descriptive Error if validation fails.
@@ -87,6 +235,8 @@ export const Validator: {
     validateCss(css: unknown): void;
     validateData(data: unknown): void;
     validateTargetWidth(width: unknown): void;
+    /** Every constructor rule, against options merged over DEFAULT_OPTIONS */
+    validateOptions(options: unknown): void;
     validateNotDestroyed(instance: { isDestroyed?: boolean }): void;
 };
 
@@ -106,25 +256,341 @@ export interface ShadowCardStyles {
     loadingFontSize?: string | null;
     loadingGap?: string | null;
     loadingIconSize?: string | null;
+    focusRingColor?: string | null;
+    focusRingWidth?: string | null;
+    focusRingOffset?: string | null;
+    selectedBorderColor?: string | null;
+    imagePlaceholderBg?: string | null;
+    invalidColor?: string | null;
     loadingSpinnerBorder?: string | null;
     loadingSpinnerSpeed?: string | null;
+    loadingProgressHeight?: string | null;
+    skeletonColor?: string | null;
+    skeletonRadius?: string | null;
+    skeletonSpeed?: string | null;
     marginHeight?: string | number | null;
     marginWidth?: string | number | null;
     [key: string]: string | number | boolean | null | undefined;
 }
 
+/** A registered theme */
+export interface ShadowCardTheme {
+    /** Style keys applied as CSS variables; they win over the card's `styles` */
+    styles?: ShadowCardStyles;
+    /** Content CSS adopted underneath the card's own CSS */
+    css?: string;
+    /** Custom properties set on the host (leading `--` optional) */
+    variables?: Record<string, string | number>;
+}
+
+/** Format of `html` / `setHTML` input */
+export type ContentFormat = 'html' | 'markdown';
+
+/** Value of the `theme` option */
+export type ThemeSelection = string | { light?: string; dark?: string } | null;
+
 /** Options for constructing a ShadowCard instance */
 export interface ShadowCardOptions {
     container: HTMLElement;
+    /** Existing <shadow-card> element to use as host instead of creating one */
+    element?: HTMLElement;
     targetWidth?: number;
+    /** 'container' keeps the card as wide as its container; 'fixed' uses targetWidth */
+    fit?: 'container' | 'fixed';
+    /** Smallest width the card is resized to (default 160) */
+    minWidth?: number;
+    /** Largest width the card is resized to (default 1200) */
+    maxWidth?: number;
+    /** Smallest content scale factor (default 0.2) */
+    minScale?: number;
     editable?: boolean;
+    /** Debounce (ms) before edited text is written into `data` */
+    editDebounceMs?: number;
+    /** Maximum number of undo steps kept (0 disables history) */
+    historyLimit?: number;
+    /** Window (ms) in which consecutive edits of one field merge into a single step */
+    historyCoalesceMs?: number;
+    /** Image shown in place of any <img> that fails to load ('' for a built-in placeholder) */
+    fallbackImage?: string;
+    /** How long (ms) measuring and `waitForImages()` wait for images (default 5000) */
+    imageTimeoutMs?: number;
+    /** Retries of a failed image load before it counts as failed (default 2) */
+    imageRetries?: number;
+    /** Delay (ms) before the first retry; doubles with each further retry (default 500) */
+    imageRetryDelayMs?: number;
+    /** `loading` attribute given to images that have none; lazy images do not delay measuring */
+    imageLoading?: 'lazy' | 'eager' | null;
+    /**
+     * Loading overlay content: null for the spinner and text, 'skeleton' for a copy of the card
+     * layout with data fields and images as placeholders, or HTML (sanitized; `.loading-text`
+     * elements receive the loading text)
+     */
+    loadingTemplate?: 'skeleton' | string | null;
+    /** Registered theme name, or a { light, dark } pair following prefers-color-scheme */
+    theme?: ThemeSelection;
+    /** Whether `html` / `setHTML` input is HTML (default) or GitHub-flavoured Markdown */
+    format?: ContentFormat;
+    /** Sanitization policy for html, setHTML and bound attributes */
+    sanitize?: SanitizePolicy | null;
+    /** Validation rules keyed by data path, checked after every data change */
+    schema?: ValidationSchema | null;
+    /** ARIA role of the host element (default 'group'; empty string for none) */
+    role?: string;
+    /** Accessible name; `{{ path }}` placeholders are filled from data, or a function of (data, card) */
+    ariaLabel?: string | ((data: Record<string, any>, card: ShadowCard) => string);
+    /** Throw errors raised by method calls (setHTML, setImages, setTheme) instead of emitting `error` */
+    strict?: boolean;
+    /** Called for every error of this card, before `error` is emitted (or thrown in strict mode) */
+    onError?: ShadowCardErrorHandler | null;
+    /** Plugins of this card, after the ones registered with ShadowCard.use */
+    plugins?: ShadowCardPlugin[] | null;
     html?: string;
+    /** CSS of the base style layer */
     css?: string;
+    /** Named style layers applied after `css`, in order */
+    styleLayers?: Array<{ name: string; css: string }> | null;
     data?: Record<string, any>;
     styles?: ShadowCardStyles;
     [key: string]: any;
 }
 
+/* ------------------------------------------------------
+ * Plugins
+ * ------------------------------------------------------ */
+
+/**
+ * Lifecycle hooks plus style keys and event types. A hook that throws is reported as a
+ * PLUGIN_FAILED warning; the other hooks still run.
+ */
+export interface ShadowCardPlugin {
+    /** Unique name; registering the same name again replaces the plugin */
+    name: string;
+    /** Style keys (usable in `styles` and setCssVariables) mapped to CSS variables */
+    styles?: Record<string, string>;
+    /** Event types: added to EVENT_TYPES while a global plugin is registered, and to `eventTypes` of the cards using it */
+    events?: Record<string, string>;
+    /** Rewrite the constructor options; return undefined to keep them */
+    beforeCreate?(options: Partial<ShadowCardOptions>): Partial<ShadowCardOptions> | void;
+    afterCreate?(card: ShadowCard): void;
+    /** Rewrite HTML (or Markdown) before it is sanitized; card is null in renderToString */
+    beforeSetHTML?(html: string, card: ShadowCard | null, context: { format: ContentFormat }): string | void;
+    /** After content was rendered into the shadow root and bound */
+    afterRender?(card: ShadowCard): void;
+    afterSetContent?(card: ShadowCard, data: Record<string, any>, context: { source: 'api' | 'user' | 'history' }): void;
+    afterResize?(card: ShadowCard, size: { width: number; height: number; scale: number }): void;
+    beforeDestroy?(card: ShadowCard): void;
+}
+
+/* ------------------------------------------------------
+ * Errors
+ * ------------------------------------------------------ */
+
+export type ShadowCardErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+/** warning: the card still works; error: an operation was skipped; fatal: the card was not created */
+export type ShadowCardErrorSeverity = 'warning' | 'error' | 'fatal';
+
+/** Every error a card reports, thrown or emitted */
+export class ShadowCardError extends Error {
+    constructor(
+        code: ShadowCardErrorCode | string,
+        message: string,
+        options?: { severity?: ShadowCardErrorSeverity; cardId?: string | null; cause?: unknown; details?: Record<string, any> }
+    );
+    name: 'ShadowCardError';
+    code: ShadowCardErrorCode | string;
+    severity: ShadowCardErrorSeverity;
+    cardId: string | null;
+    /** Underlying error, when one was wrapped */
+    cause?: unknown;
+    /** Extra data, e.g. `{ src, imgKey }` for IMG_LOAD_FAILED or `{ timeoutMs }` for IMG_TIMEOUT */
+    details?: Record<string, any>;
+    toJSON(): Record<string, any>;
+}
+
+/** `card` is null for configs that never became a card */
+export type ShadowCardErrorHandler = (error: ShadowCardError, card: ShadowCard | null) => void;
+
+/** Detail of the `error` event */
+export interface ErrorDetail {
+    cardId: string;
+    error: ShadowCardError;
+    code: ShadowCardErrorCode | string;
+    severity: ShadowCardErrorSeverity;
+    message: string;
+    stack?: string;
+}
+
+/* ------------------------------------------------------
+ * Forms and validation
+ * ------------------------------------------------------ */
+
+export type ValidationRuleName = 'required' | 'type' | 'min' | 'max' | 'pattern' | 'validate';
+
+/** Custom check: true/undefined when valid, false or a message otherwise */
+export type CustomValidator = (value: any, data: Record<string, any>, card: ShadowCard) => boolean | string | void;
+
+/** Rules for one data path; empty values only fail `required` */
+export interface ValidationRule {
+    required?: boolean;
+    /** `url` accepts absolute http and https URLs only */
+    type?: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'email' | 'url' | 'date';
+    /** Lower bound for numbers and dates, minimum length for strings and arrays */
+    min?: number | string;
+    /** Upper bound for numbers and dates, maximum length for strings and arrays */
+    max?: number | string;
+    pattern?: RegExp | string;
+    validate?: CustomValidator | CustomValidator[];
+    /** One message for every rule, or messages keyed by rule name */
+    message?: string | Partial<Record<ValidationRuleName, string>>;
+}
+
+export type ValidationSchema = Record<string, ValidationRule>;
+
+export interface ValidationError {
+    rule: ValidationRuleName;
+    message: string;
+}
+
+/** Result of `card.validate()`: the first failed rule of each invalid path */
+export interface ValidationResult {
+    valid: boolean;
+    errors: Record<string, ValidationError>;
+}
+
+/** Detail of the `validation-change` event */
+export interface ValidationChangeDetail extends ValidationResult {
+    cardId: string;
+}
+
+/** Detail of the `content-change` event */
+export interface ContentChangeDetail {
+    cardId: string;
+    field: string | null;
+    value: any;
+    oldValue: any;
+    source: 'user' | 'api' | 'history';
+    element: HTMLElement | null;
+}
+
+/** A recorded card mutation */
+export interface HistoryEntry {
+    type: 'data' | 'html' | 'css';
+    key: string;
+    before: any;
+    after: any;
+    coalesce?: boolean;
+    time: number;
+}
+
+/** Bounded undo/redo stack used by each card */
+export class HistoryStack {
+    limit: number;
+    coalesceMs: number;
+    undoStack: HistoryEntry[];
+    redoStack: HistoryEntry[];
+    constructor(opts?: { limit?: number; coalesceMs?: number });
+    push(entry: Omit<HistoryEntry, 'time'>): boolean;
+    undo(): HistoryEntry | null;
+    redo(): HistoryEntry | null;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    clear(): void;
+}
+
+/** Detail of the `history-change` event */
+export interface HistoryChangeDetail {
+    cardId: string;
+    action: 'record' | 'undo' | 'redo' | 'clear';
+    canUndo: boolean;
+    canRedo: boolean;
+}
+
+/** Value accepted for a [data-img] slot */
+export type ImageSource = string | {
+    src?: string | null;
+    alt?: string | null;
+    srcset?: string | null;
+    /** Left out or 'auto': set from the width the image is displayed at, after scaling */
+    sizes?: string | null;
+    /** With height, reserves an aspect-ratio box so the card is measured before the image arrives */
+    width?: string | number | null;
+    height?: string | number | null;
+    loading?: 'lazy' | 'eager' | null;
+};
+
+/** Detail of the `img-load` event */
+export interface ImgLoadDetail {
+    cardId: string;
+    /** data-img key, or null for images without one */
+    imgKey: string | null;
+    src: string;
+    /** 1 when the first try loaded, higher after retries */
+    attempts: number;
+    element: HTMLImageElement;
+}
+
+/** Detail of the `img-error` event, fired once an image failed after its retries or timed out */
+export interface ImgErrorDetail {
+    cardId: string;
+    imgKey: string | null;
+    src: string;
+    attempts: number;
+    code: 'IMG_LOAD_FAILED' | 'IMG_TIMEOUT';
+    error: ShadowCardError;
+    element: HTMLImageElement;
+}
+
+/** Versioned card snapshot returned by `card.toJSON()` */
+export interface CardSnapshot {
+    version: number;
+    id: string;
+    html: string;
+    /** CSS of the base style layer */
+    css: string;
+    /** Named style layers, in cascade order */
+    styleLayers?: Array<{ name: string; css: string }>;
+    data: Record<string, any>;
+    styles?: ShadowCardStyles;
+    options: Partial<Pick<ShadowCardOptions,
+        'targetWidth' | 'fit' | 'minWidth' | 'maxWidth' | 'minScale' | 'editable' | 'editDebounceMs' | 'historyLimit' | 'historyCoalesceMs' | 'fallbackImage' |
+        'imageTimeoutMs' | 'imageRetries' | 'imageRetryDelayMs' | 'imageLoading' | 'loadingTemplate'>>;
+}
+
+/** Versioned batch snapshot returned by `collection.serialize()` */
+export interface BatchSnapshot {
+    version: number;
+    cards: CardSnapshot[];
+}
+
+/** Detail of the `card-resize` event, fired after each resize pass */
+export interface CardResizeDetail {
+    cardId: string;
+    /** Host width in px */
+    width: number;
+    /** Scaled host height in px */
+    height: number;
+    /** Scale applied to the content */
+    scale: number;
+}
+
+/** State passed to `setLoading` */
+export interface LoadingState {
+    /** Overlay text; null goes back to the `loadingText` style */
+    text?: string | null;
+    /** Progress between 0 and 1 shown as a bar; null hides the bar */
+    progress?: number | null;
+}
+
+/** Detail of the `loading-start` / `loading-end` events, fired when the overlay appears or goes */
+export interface LoadingDetail {
+    cardId: string;
+    /** 'manual' for setLoading(), 'resize' while the card measures itself */
+    reason: 'manual' | 'resize';
+    text: string;
+    progress: number | null;
+}
+
 /** Image loading wait result */
 export interface ImageWaitResult {
     success: boolean;
@@ -156,6 +622,9 @@ export class ShadowCard {
     /** Container inside shadow root */
     innerContainer: Nullable<HTMLElement>;
 
+    /** Observer driving automatic re-fitting (null without ResizeObserver support) */
+    resizeObserver: ResizeObserver | null;
+
     /** Whether card is destroyed */
     isDestroyed: boolean;
 
@@ -165,39 +634,113 @@ export class ShadowCard {
     /** Current data bound to fields */
     data: Nullable<Record<string, any>>;
 
+    /** Undo/redo history of data, HTML and CSS mutations */
+    history: Nullable<HistoryStack>;
+
     constructor(options: ShadowCardOptions);
 
     /**
      * Set or replace HTML content (auto-sanitized)
      */
-    setHTML(html: string): this;
+    setHTML(html: string, options?: { format?: ContentFormat }): this;
 
     /**
      * Apply CSS styles within shadow root.
-     * If reset = true, replaces previous CSS.
+     * Without a layer, css replaces the base layer; `true` / `{ reset: true }` replaces all CSS.
+     * With `{ layer }`, that layer's CSS is replaced (empty css removes the layer).
+     * `{ append: true }` adds css to the end of the layer instead.
      */
-    setStyle(css: string, reset?: boolean): this;
+    setStyle(css: string, options?: boolean | { layer?: string; append?: boolean; reset?: boolean }): this;
+
+    /** Remove a named style layer */
+    removeStyleLayer(layer: string): this;
+
+    /** Style layers in cascade order */
+    getStyleLayers(): Array<{ name: string; css: string }>;
 
     /**
-     * Populate [data-field] elements with new data
+     * Merge data and refresh bound elements: [data-field], {{ }} text,
+     * data-bind-* attributes, data-each lists and data-if sections
      */
     setContent(data: Record<string, any>): this;
 
     /**
-     * Resize card dynamically to target width
+     * Revert the most recent data, HTML or CSS mutation
+     */
+    undo(): this;
+
+    /**
+     * Re-apply the most recently undone mutation
+     */
+    redo(): this;
+
+    /** Whether there is a step to undo */
+    canUndo(): boolean;
+
+    /** Whether there is a step to redo */
+    canRedo(): boolean;
+
+    /** Drop all recorded history */
+    clearHistory(): this;
+
+    /**
+     * Swap images in [data-img] slots; values are merged into `data`
+     */
+    setImages(images: Record<string, ImageSource>): this;
+
+    /**
+     * Resize card dynamically to target width (clamped to minWidth/maxWidth).
+     * An explicit width becomes the new `targetWidth`.
      */
     resize(targetWidth?: number): this;
 
     /**
      * Wait for images in the card to finish loading
      */
-    waitForImages(opts?: { timeoutMs?: number }): Promise<ImageWaitResult>;
+    /** Wait for the card's images; lazy ones only with `includeLazy` */
+    waitForImages(opts?: { timeoutMs?: number; includeLazy?: boolean }): Promise<ImageWaitResult>;
 
     /**
      * Set CSS custom properties (variables)
      */
     setCssVariables(vars: Partial<ShadowCardStyles>): this;
 
+    /**
+     * Switch theme live without rebuilding the shadow DOM (null removes it).
+     * Unknown names emit an `error` event and leave the theme unchanged.
+     */
+    setTheme(theme: ThemeSelection): this;
+
+    /** Name of the theme currently applied (resolved for the color scheme) */
+    getTheme(): string | null;
+
+    /**
+     * Show or hide the loading overlay, e.g. while fetching data. An object shows it and
+     * updates text and progress. The overlay also covers the card while it measures itself.
+     */
+    setLoading(state?: boolean | LoadingState): this;
+
+    /** Whether the loading overlay is showing (setLoading() or measuring) */
+    isLoading(): boolean;
+
+    /** Move keyboard focus to the card */
+    focus(options?: FocusOptions): this;
+
+    /** Replace the validation schema (null removes it) and re-validate; errors shown by validate() are hidden again */
+    setSchema(schema: ValidationSchema | null): this;
+
+    /** Validate data against the schema and mark every invalid field */
+    validate(): ValidationResult;
+
+    /** Hide the errors shown so far until fields are changed or left again, or validate() runs */
+    clearValidation(): this;
+
+    /** Whether the card is selected in its collection (host has the `selected` attribute) */
+    readonly selected: boolean;
+
+    /** Built-in event types plus those of the card's plugins, global and its own */
+    readonly eventTypes: Record<string, string>;
+
     /**
      * Add event listener for card-level events
      */
@@ -214,16 +757,413 @@ export class ShadowCard {
         handler?: (event: CustomEvent<any>) => void
     ): this;
 
+    /**
+     * Versioned snapshot of html, css, data, styles and options
+     */
+    toJSON(): CardSnapshot;
+
+    /**
+     * Standalone HTML document of the rendered card with scoped CSS inlined
+     */
+    exportHTML(opts?: { inlineImages?: boolean; title?: string }): Promise<string>;
+
+    /**
+     * SVG (foreignObject) image of the rendered card
+     */
+    exportSVG(opts?: { inlineImages?: boolean }): Promise<string>;
+
+    /**
+     * PNG image of the rendered card
+     */
+    exportPNG(opts?: { scale?: number }): Promise<Blob>;
+
     /**
      * Destroy the card instance and release DOM resources
      */
     destroy(): void;
 
     /**
-     * Create multiple ShadowCard instances in batch
+     * Create a card from a snapshot (object or JSON string, any schema version)
+     */
+    /** Register (or replace) a theme; cards using it restyle immediately */
+    static registerTheme(name: string, theme: ShadowCardTheme): typeof ShadowCard;
+    static getTheme(name: string): (Required<ShadowCardTheme> & { name: string }) | undefined;
+    static getThemeNames(): string[];
+
+    /** Handler for errors of every card; returns a function that removes it */
+    static onError(handler: ShadowCardErrorHandler): () => void;
+
+    /**
+     * Run the onError hooks, then emit `error` (or throw in strict mode when `throwIfStrict` is set).
+     * Plain errors and strings are wrapped with the given code and severity.
+     */
+    dispatchError(
+        error: Error | string,
+        options?: { code?: ShadowCardErrorCode | string; severity?: ShadowCardErrorSeverity; details?: Record<string, any>; throwIfStrict?: boolean }
+    ): ShadowCardError;
+
+    static fromJSON(
+        json: CardSnapshot | string | Record<string, any>,
+        options: Partial<ShadowCardOptions> & { container: HTMLElement }
+    ): ShadowCard;
+
+    /**
+     * Render a card to `<shadow-card>` markup with a declarative shadow root, without a DOM
+     * (e.g. in Node). `container` and `element` are not used.
+     */
+    static renderToString(options?: Partial<ShadowCardOptions>): string;
+
+    /**
+     * Adopt a card rendered by renderToString without re-rendering it. `options` supply what
+     * the embedded snapshot cannot carry (sanitize, schema, onError, ...) or override it.
      */
-    static batchCreate(cards: ShadowCardOptions[]): ShadowCard[];
+    static hydrate(element: HTMLElement, options?: Partial<ShadowCardOptions>): ShadowCard;
+
+    /** Register (or replace, by name) a plugin for every card created afterwards */
+    static use(plugin: ShadowCardPlugin): typeof ShadowCard;
+
+    /** Unregister a global plugin and remove its event types from EVENT_TYPES; existing cards keep it */
+    static unuse(name: string): typeof ShadowCard;
+
+    /**
+     * Create multiple ShadowCard instances in batch.
+     * `sanitize` applies to every card, merged under each card's own policy.
+     */
+    static batchCreate(
+        cards: ShadowCardOptions[],
+        options?: { virtual?: false; sanitize?: SanitizePolicy; selection?: SelectionMode; onError?: ShadowCardErrorHandler }
+    ): CardCollection;
+    /** Create cards as placeholders that only render near the viewport */
+    static batchCreate(
+        cards: ShadowCardOptions[],
+        options: {
+            virtual: true;
+            sanitize?: SanitizePolicy;
+            selection?: SelectionMode;
+            onError?: ShadowCardErrorHandler;
+        } & VirtualCollectionOptions
+    ): VirtualCardCollection;
+
+    /**
+     * Create cards in chunks, yielding to the main thread in between.
+     * Resolves with a report instead of throwing on invalid configs.
+     */
+    static batchCreateAsync(
+        cards: ShadowCardOptions[],
+        options?: {
+            chunkSize?: number;
+            signal?: AbortSignal;
+            target?: EventTarget;
+            sanitize?: SanitizePolicy;
+            selection?: SelectionMode;
+            /** Also called with (error, null) for configs rejected before creation */
+            onError?: ShadowCardErrorHandler;
+        }
+    ): Promise<BatchCreateReport>;
+}
+
+/** Detail of `batch-progress` events */
+export interface BatchProgressDetail {
+    created: number;
+    failed: number;
+    total: number;
+    /** True on the last event (all chunks processed or aborted) */
+    done: boolean;
+}
+
+/** Result of `ShadowCard.batchCreateAsync` */
+export interface BatchCreateReport {
+    /** Cards created successfully */
+    collection: CardCollection;
+    total: number;
+    created: number;
+    failed: number;
+    /** One entry per rejected config */
+    errors: Array<{ index: number; id?: string; code: string; message: string; error: ShadowCardError }>;
+    /** True when the signal aborted before every chunk ran */
+    aborted: boolean;
+}
+
+/* ------------------------------------------------------
+ * CardCollection class
+ * ------------------------------------------------------ */
+
+/** Handler registered on a collection; receives the emitting card */
+export type CollectionEventHandler = (event: CustomEvent<any>, card: ShadowCard | undefined) => void;
+
+/** 'none': clicks do not select; 'single': one card; 'multi': Ctrl/Cmd toggles, Shift selects ranges */
+export type SelectionMode = 'none' | 'single' | 'multi';
+
+/** Detail of `selection-change` events */
+export interface SelectionChangeDetail {
+    /** Card that triggered the change, or null (clearSelection(), a removed or destroyed card) */
+    cardId: string | null;
+    /** Selected ids in collection order */
+    selected: string[];
+    added: string[];
+    removed: string[];
+}
+
+/**
+ * CardCollection — ordered set of cards returned by `ShadowCard.batchCreate`.
+ * Iterable, so `[...collection]` still yields a plain array.
+ */
+export class CardCollection implements Iterable<ShadowCard> {
+    constructor(
+        cards?: ShadowCard[],
+        options?: {
+            create?: (options: ShadowCardOptions) => ShadowCard;
+            fromJSON?: (json: CardSnapshot, options: Partial<ShadowCardOptions>) => ShadowCard;
+            selection?: SelectionMode;
+        }
+    );
+
+    readonly selectionMode: SelectionMode;
+
+    /** Number of live cards */
+    readonly size: number;
+
+    [Symbol.iterator](): Iterator<ShadowCard>;
+
+    toArray(): ShadowCard[];
+    get(id: string): ShadowCard | undefined;
+    has(id: string): boolean;
+
+    /**
+     * Add an instance or create one from options; returns the card.
+     * For an id already present, returns that card, destroys a second instance and reports DUPLICATE_ID.
+     */
+    add(cardOrOptions: ShadowCard | ShadowCardOptions): ShadowCard;
+
+    /** Remove a card (optionally destroying it); returns the removed card */
+    remove(idOrCard: string | ShadowCard, options?: { destroy?: boolean }): ShadowCard | null;
+
+    forEach(callback: (card: ShadowCard, index: number, collection: this) => void): this;
+    map<T>(callback: (card: ShadowCard, index: number, collection: this) => T): T[];
+
+    /** Call setContent on each card listed by id */
+    updateAll(dataById: Record<string, Record<string, any>>): this;
+    resizeAll(targetWidth?: number): this;
+    /** setTheme on every card */
+    setTheme(theme: ThemeSelection): this;
+    /** setLoading on every card, with one state or a state per card id */
+    setLoading(state: boolean | LoadingState | ((cardId: string) => boolean | LoadingState)): this;
+    /** Whether any card shows its loading overlay */
+    isLoading(): boolean;
+    /** Focus a card and make it the collection's single Tab stop */
+    focus(idOrCard: string | ShadowCard): this;
+    destroyAll(): this;
+
+    /** Switching to 'single' keeps only the most recently selected card */
+    setSelectionMode(mode: SelectionMode): this;
+    /** Select a card; replaces the selection unless `add` is set in multi mode */
+    select(idOrCard: string | ShadowCard, options?: { add?: boolean }): this;
+    deselect(idOrCard: string | ShadowCard): this;
+    clearSelection(): this;
+    /** Selected cards in collection order (mounted cards only for virtual collections) */
+    getSelected(): ShadowCard[];
+    /** Selected ids in collection order */
+    getSelectedIds(): string[];
+    isSelected(idOrCard: string | ShadowCard): boolean;
+
+    /** Versioned snapshot of every card, in order */
+    serialize(): BatchSnapshot;
+    toJSON(): BatchSnapshot;
+
+    /** Export every card in order */
+    exportAll(format: 'html' | 'svg', options?: { inlineImages?: boolean; title?: string }): Promise<Array<{ id: string; output: string }>>;
+    exportAll(format: 'png', options?: { scale?: number }): Promise<Array<{ id: string; output: Blob }>>;
+
+    /**
+     * Recreate cards from a batch snapshot and add them; returns the new cards.
+     * Ids already in the collection keep their card, which is returned instead.
+     */
+    restore(
+        json: BatchSnapshot | CardSnapshot[] | string,
+        options: Partial<ShadowCardOptions> & { container: HTMLElement }
+    ): ShadowCard[];
+
+    /** Listen on every card, including cards added later */
+    on(type: keyof typeof EVENT_TYPES | string, handler: CollectionEventHandler): this;
+    off(type: keyof typeof EVENT_TYPES | string, handler?: CollectionEventHandler): this;
+}
+
+/* ------------------------------------------------------
+ * VirtualCardCollection class
+ * ------------------------------------------------------ */
+
+export interface VirtualCollectionOptions {
+    /** Scroll container observed for visibility (default: the viewport) */
+    root?: Element | null;
+    /** Root margin within which cards mount (default '200px') */
+    mountMargin?: string;
+    /** Root margin beyond which cards unmount (default '1000px') */
+    unmountMargin?: string;
+    /** Placeholder height before a card was first measured (default 200) */
+    estimatedHeight?: number;
+}
+
+/**
+ * VirtualCardCollection — returned by `batchCreate(configs, { virtual: true })`.
+ * Only cards near the viewport have a ShadowCard instance; the others are kept
+ * as options/data behind a sized `.shadow-card-placeholder` element.
+ * Iteration, `get` and `forEach` cover mounted cards; `size`, `updateAll`,
+ * `resizeAll`, `setLoading`, `serialize` and `exportAll` cover every card.
+ */
+export class VirtualCardCollection extends CardCollection {
+    constructor(
+        configs?: ShadowCardOptions[],
+        options?: VirtualCollectionOptions & {
+            create?: (options: ShadowCardOptions) => ShadowCard;
+            fromJSON?: (json: CardSnapshot, options: Partial<ShadowCardOptions>) => ShadowCard;
+            selection?: SelectionMode;
+        }
+    );
+
+    readonly virtualOptions: Required<VirtualCollectionOptions>;
+
+    /** Ids of every card, mounted or not, in order */
+    ids(): string[];
+    isMounted(id: string): boolean;
+
+    /** Add a card as a placeholder; returns the card only if it mounted immediately */
+    add(cardOrOptions: ShadowCard | ShadowCardOptions): ShadowCard | null;
+    /** Returns the card, or its stored options when it was not mounted */
+    remove(idOrCard: string | ShadowCard, options?: { destroy?: boolean }): any;
+
+    /** Render a card now, whatever its position; it stays mounted until `unmount(id)` */
+    mount(id: string): ShadowCard | undefined;
+    /** Release a card's shadow root, keeping its options and data */
+    unmount(id: string): this;
+
+    /** Recreate cards from a batch snapshot as placeholders */
+    restore(
+        json: BatchSnapshot | CardSnapshot[] | string,
+        options: Partial<ShadowCardOptions> & { container: HTMLElement }
+    ): Array<ShadowCard | null>;
+
+    /** Stop observing and destroy every card */
+    disconnect(): this;
+}
+
+/* ------------------------------------------------------
+ * CardLayout class
+ * ------------------------------------------------------ */
+
+export interface CardLayoutOptions {
+    /** 'grid' (CSS grid rows) or 'masonry' (shortest column first) */
+    mode?: 'grid' | 'masonry';
+    /** Columns never get narrower than this (default 200) */
+    minCardWidth?: number;
+    /** Cards never get wider than this (default Infinity) */
+    maxCardWidth?: number;
+    /** Space between cards in px (default 16) */
+    gap?: number;
+}
+
+/**
+ * CardLayout — lays out the <shadow-card> children of a container in
+ * columns and resizes each card to the column width.
+ */
+export class CardLayout {
+    constructor(container: HTMLElement, options?: CardLayoutOptions);
+
+    container: HTMLElement | null;
+    options: Required<CardLayoutOptions>;
+    /** Column count from the last layout pass */
+    columns: number;
+    /** Card width from the last layout pass */
+    cardWidth: number;
+    isDestroyed: boolean;
+
+    /** Live cards in the container, in DOM order */
+    readonly cards: ShadowCard[];
+
+    setOptions(options: CardLayoutOptions): this;
+    /** Schedule a batched relayout on the next animation frame */
+    relayout(): this;
+    /** Lay out immediately */
+    layoutNow(): this;
+    /** Stop observing and restore container and card styles */
+    destroy(): void;
+}
+
+/* ------------------------------------------------------
+ * CardSortable class
+ * ------------------------------------------------------ */
+
+export interface CardSortableOptions {
+    /** Sortables in the same group exchange cards (default null: this container only) */
+    group?: string | null;
+    /** Selector inside the card that starts a drag (default: the whole card) */
+    handle?: string | null;
+    /** Pointer travel in px before a drag starts (default 5) */
+    threshold?: number;
+    /** touch-action set on the container so touch drags do not scroll (default 'none') */
+    touchAction?: string | null;
+}
+
+/** Detail of `card-reorder` events */
+export interface CardReorderDetail {
+    cardId: string;
+    element: HTMLElement;
+    /** Index among the card children of fromContainer before the drag */
+    oldIndex: number;
+    /** Index among the card children of toContainer after the drop */
+    newIndex: number;
+    fromContainer: HTMLElement;
+    toContainer: HTMLElement;
+}
+
+/**
+ * CardSortable — drag-and-drop reordering (pointer events) of the cards in a
+ * container, and between containers of the same group. Cards are moved, not
+ * recreated; collections follow the new order.
+ */
+export class CardSortable {
+    constructor(container: HTMLElement, options?: CardSortableOptions);
+
+    container: HTMLElement | null;
+    options: Required<CardSortableOptions>;
+    isDestroyed: boolean;
+
+    /** Live cards in the container, in DOM order */
+    readonly cards: ShadowCard[];
+    /** Whether a card is being dragged from this container */
+    readonly isDragging: boolean;
+
+    setOptions(options: CardSortableOptions): this;
+    /** Stop listening, cancel a running drag and restore the container's touch-action */
+    destroy(): void;
+}
+
+/* ------------------------------------------------------
+ * <shadow-card> custom element
+ * ------------------------------------------------------ */
+
+/**
+ * Element registered as <shadow-card>. Declarative cards read `target-width`,
+ * `editable`, `template` and kebab-case style attributes, a child <template>
+ * (HTML and <style>) and a child <script type="application/json"> (data).
+ */
+export interface ShadowCardElement extends HTMLElement {
+    /** ShadowCard instance driving this element */
+    card: ShadowCard | null;
+    /** Card data; assigning merges it through setContent */
+    data: Record<string, any> | null | undefined;
+}
+
+/** Constructor of the registered element (undefined outside browsers) */
+export const ShadowCardElement: { new(): ShadowCardElement; prototype: ShadowCardElement } | undefined;
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'shadow-card': ShadowCardElement;
+    }
 }
 
 /** Default export */
+/** Render a card to `<shadow-card>` markup (see ShadowCard.renderToString) */
+export function renderToString(options?: Partial<ShadowCardOptions>): string;
+
 export default ShadowCard;